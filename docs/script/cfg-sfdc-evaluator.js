@@ -0,0 +1,1102 @@
+/**
+ * Salesforce Formula Evaluator
+ * Interprets formulas parsed by cfg-sfdc-tokens.js against a sample record
+ *
+ * Intermediate values are { type, value } pairs using the type names of
+ * inferFormulaType. A blank is represented by a null value; dates are Date
+ * objects at UTC midnight, date/times are Date objects and times are
+ * milliseconds since midnight GMT.
+ */
+
+/**
+ * Blank handling modes, as stored in <formulaTreatBlanksAs>
+ */
+const FORMULA_BLANK_MODES = {
+  ZERO: "BlankAsZero", // Blank number fields count as 0
+  BLANK: "BlankAsBlank", // Blanks propagate through arithmetic
+};
+
+const MILLISECONDS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Evaluates a formula against a sample record
+ * Field paths are read from the record by API name, ignoring case, with
+ * relationships as nested objects ({ Owner: { FirstName: "Ann" } }) and
+ * global variables under their own key ({ $User: { Id: "005..." } }).
+ * Strings shaped like 2024-01-31 or 2024-01-31T10:00:00Z are read as dates
+ * and date/times unless resolveFieldType says otherwise.
+ * @param {string} formula - The Salesforce formula to evaluate
+ * @param {Object} record - Sample record supplying the field values
+ * @param {Object} options - Optional settings: treatBlanksAs (BlankAsZero or
+ * BlankAsBlank, default BlankAsZero), now (Date, timestamp or ISO string
+ * used by NOW and TODAY) and resolveFieldType (function mapping a field path
+ * to its type)
+ * @returns {Object} Object with the result value (null when blank), its type
+ * and an array of errors in the detectFormulaErrors shape
+ */
+function evaluateFormula(formula, record = {}, options = {}) {
+  const { ast, errors } = parseFormula(formula);
+  errors.push(...validateFormulaSignatures(formula, options.resolveFieldType));
+
+  if (!ast || errors.length > 0) {
+    return { value: null, type: null, errors };
+  }
+
+  const now =
+    options.now === undefined || options.now === null ?
+      new Date()
+    : new Date(options.now);
+  if (Number.isNaN(now.getTime())) {
+    return {
+      value: null,
+      type: null,
+      errors: [
+        {
+          position: 0,
+          message: `${options.now} is not a valid current date/time`,
+          type: "evaluation",
+        },
+      ],
+    };
+  }
+
+  const context = {
+    record: record || {},
+    treatBlanksAs: options.treatBlanksAs || FORMULA_BLANK_MODES.ZERO,
+    now,
+    resolveFieldType: options.resolveFieldType,
+  };
+
+  try {
+    let result = evaluateFormulaNode(ast, context);
+    if (result.value === null && isBlankZero(result, context)) {
+      result = { type: "number", value: 0 };
+    }
+    return { value: result.value, type: result.type, errors: [] };
+  } catch (error) {
+    if (error.position === undefined) {
+      throw error;
+    }
+    return {
+      value: null,
+      type: null,
+      errors: [
+        {
+          position: error.position,
+          message: error.message,
+          type: "evaluation",
+        },
+      ],
+    };
+  }
+}
+
+/**
+ * Creates the error thrown when a formula node cannot be evaluated
+ * @param {Object} node - Node from parseFormula
+ * @param {string} message - Error message
+ * @returns {Error} Error carrying the node's start position
+ */
+function formulaEvaluationError(node, message) {
+  const error = new Error(message);
+  error.position = node.start;
+  return error;
+}
+
+/**
+ * Evaluates one node of a parsed formula
+ * @param {Object} node - Node from parseFormula
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @returns {Object} The { type, value } result
+ */
+function evaluateFormulaNode(node, context) {
+  switch (node.type) {
+    case AST_NODE_TYPES.STRING:
+      // Salesforce does not distinguish an empty string from a blank
+      return { type: "text", value: node.value === "" ? null : node.value };
+    case AST_NODE_TYPES.NUMBER:
+      return { type: "number", value: node.value };
+    case AST_NODE_TYPES.CONSTANT:
+      if (node.value === "TRUE" || node.value === "FALSE") {
+        return { type: "boolean", value: node.value === "TRUE" };
+      }
+      return { type: null, value: null };
+    case AST_NODE_TYPES.FIELD:
+      return readFormulaField(node, context);
+    case AST_NODE_TYPES.UNARY:
+      return evaluateUnaryNode(node, context);
+    case AST_NODE_TYPES.BINARY:
+      return evaluateBinaryNode(node, context);
+    case AST_NODE_TYPES.CALL:
+      return evaluateCallNode(node, context);
+    default:
+      throw formulaEvaluationError(node, `Cannot evaluate ${node.value}`);
+  }
+}
+
+/**
+ * Reads the value of a field path from the sample record
+ * @param {Object} node - Field node from parseFormula
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @returns {Object} The { type, value } result; missing fields are blank
+ */
+function readFormulaField(node, context) {
+  let value = context.record;
+  for (const segment of node.path) {
+    if (value === null || typeof value !== "object") {
+      value = null;
+      break;
+    }
+    // Polymorphic segments such as Owner:User read the Owner key
+    const name = segment.split(":")[0].toLowerCase();
+    const key = Object.keys(value).find((key) => key.toLowerCase() === name);
+    value = key === undefined ? null : value[key];
+  }
+
+  const declaredType =
+    context.resolveFieldType ? context.resolveFieldType(node.path) : null;
+  return toFormulaValue(value, declaredType || null, node);
+}
+
+/**
+ * Converts a JSON value from the sample record into a formula value
+ * @param {*} value - Value from the sample record
+ * @param {string|null} type - Declared field type, or null to detect it
+ * @param {Object} node - Field node, used for error positions
+ * @returns {Object} The { type, value } result
+ */
+function toFormulaValue(value, type, node) {
+  if (value === null || value === undefined || value === "") {
+    return { type, value: null };
+  }
+  if (Array.isArray(value)) {
+    // Multi-select picklists hold their values separated by semicolons
+    return { type: type || "text", value: value.join(";") };
+  }
+  if (typeof value === "object") {
+    throw formulaEvaluationError(
+      node,
+      `${node.path.join(".")} is a relationship, not a field`
+    );
+  }
+
+  const detectedType =
+    type ||
+    (typeof value === "number" ? "number"
+    : typeof value === "boolean" ? "boolean"
+    : /^\d{4}-\d{2}-\d{2}$/.test(value) ? "date"
+    : /^\d{4}-\d{2}-\d{2}T/.test(value) ? "datetime"
+    : "text");
+
+  switch (detectedType) {
+    case "number":
+      if (isNaN(Number(value))) {
+        throw formulaEvaluationError(node, `${value} is not a number`);
+      }
+      return { type: "number", value: Number(value) };
+    case "boolean":
+      return { type: "boolean", value: value === true || value === "true" };
+    case "date":
+    case "datetime": {
+      const date = parseFormulaDate(String(value), detectedType);
+      if (date === null) {
+        throw formulaEvaluationError(
+          node,
+          `${value} is not a valid ${detectedType}`
+        );
+      }
+      return { type: detectedType, value: date };
+    }
+    case "time": {
+      const time = parseFormulaTime(String(value));
+      if (time === null) {
+        throw formulaEvaluationError(node, `${value} is not a valid time`);
+      }
+      return { type: "time", value: time };
+    }
+    default:
+      return { type: detectedType, value: String(value) };
+  }
+}
+
+/**
+ * Parses date text such as 2024-01-31 or 2024-01-31 10:00:00
+ * @param {string} text - Date or date/time text, read as GMT
+ * @param {string} type - "date" to drop the time of day, or "datetime"
+ * @returns {Date|null} The parsed date, or null when the text is invalid
+ */
+function parseFormulaDate(text, type) {
+  const match = text
+    .trim()
+    .match(
+      /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?\s*(Z|[+-]\d{2}:?\d{2})?)?$/
+    );
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  if (type === "date" || match[4] === undefined) {
+    return date;
+  }
+
+  const dateTime = new Date(
+    `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6] || "00"}.${(match[7] || "0").padEnd(3, "0")}${(match[8] || "Z").replace(/^([+-]\d{2})(\d{2})$/, "$1:$2")}`
+  );
+  return isNaN(dateTime.getTime()) ? null : dateTime;
+}
+
+/**
+ * Parses time text such as 13:45:00.000
+ * @param {string} text - Time text, read as GMT
+ * @returns {number|null} Milliseconds since midnight, or null when invalid
+ */
+function parseFormulaTime(text) {
+  const match = text
+    .trim()
+    .match(/^(\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?Z?$/);
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+    return null;
+  }
+  return (
+    ((Number(match[1]) * 60 + Number(match[2])) * 60 + Number(match[3] || 0)) *
+      1000 +
+    Number((match[4] || "0").padEnd(3, "0"))
+  );
+}
+
+/**
+ * Checks whether a blank value counts as zero under the context's blank mode
+ * @param {Object} operand - The { type, value } operand
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @returns {boolean} True when the operand should be read as 0
+ */
+function isBlankZero(operand, context) {
+  return (
+    operand.value === null &&
+    context.treatBlanksAs === FORMULA_BLANK_MODES.ZERO &&
+    (operand.type === "number" || operand.type === null)
+  );
+}
+
+/**
+ * Ensures an evaluated argument or operand has one of the expected types
+ * Blank values of unknown type are accepted.
+ * @param {Object} operand - The { type, value, node } operand
+ * @param {Array} types - Accepted type names
+ * @returns {*} The operand's value
+ */
+function requireFormulaType(operand, types) {
+  if (operand.type !== null && !types.includes(operand.type)) {
+    throw formulaEvaluationError(
+      operand.node,
+      `Expected ${types.join(" or ")} but found ${operand.type}`
+    );
+  }
+  return operand.value;
+}
+
+/**
+ * Reads a numeric operand, applying the blank mode
+ * @param {Object} operand - The { type, value, node } operand
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @returns {number|null} The number, or null for a blank
+ */
+function formulaNumber(operand, context) {
+  const value = requireFormulaType(operand, ["number"]);
+  return isBlankZero(operand, context) ? 0 : value;
+}
+
+/**
+ * Reads a text operand; blanks read as the empty string
+ * @param {Object} operand - The { type, value, node } operand
+ * @param {Array} types - Accepted type names (defaults to text)
+ * @returns {string} The text
+ */
+function formulaText(operand, types = ["text"]) {
+  const value = requireFormulaType(operand, types);
+  return value === null ? "" : value;
+}
+
+/**
+ * Reads a boolean operand; blanks read as false
+ * @param {Object} operand - The { type, value, node } operand
+ * @returns {boolean} The boolean
+ */
+function formulaBoolean(operand) {
+  return requireFormulaType(operand, ["boolean"]) === true;
+}
+
+/**
+ * Evaluates a node and remembers it on the result for error positions
+ * @param {Object} node - Node from parseFormula
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @returns {Object} The { type, value, node } result
+ */
+function evaluateFormulaOperand(node, context) {
+  return { ...evaluateFormulaNode(node, context), node };
+}
+
+/**
+ * Evaluates a prefix operator node
+ * @param {Object} node - Unary node from parseFormula
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @returns {Object} The { type, value } result
+ */
+function evaluateUnaryNode(node, context) {
+  const operand = evaluateFormulaOperand(node.operand, context);
+
+  if (node.operator === "!") {
+    return { type: "boolean", value: !formulaBoolean(operand) };
+  }
+
+  const value = formulaNumber(operand, context);
+  if (value === null) {
+    return { type: "number", value: null };
+  }
+  return { type: "number", value: node.operator === "-" ? -value : value };
+}
+
+/**
+ * Evaluates a binary operator node
+ * @param {Object} node - Binary node from parseFormula
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @returns {Object} The { type, value } result
+ */
+function evaluateBinaryNode(node, context) {
+  const left = evaluateFormulaOperand(node.left, context);
+
+  // Logical operators only evaluate the right side when needed
+  if (node.operator === "&&" || node.operator === "||") {
+    const leftValue = formulaBoolean(left);
+    if (leftValue === (node.operator === "||")) {
+      return { type: "boolean", value: leftValue };
+    }
+    return {
+      type: "boolean",
+      value: formulaBoolean(evaluateFormulaOperand(node.right, context)),
+    };
+  }
+
+  const right = evaluateFormulaOperand(node.right, context);
+
+  switch (node.operator) {
+    case "=":
+    case "==":
+      return {
+        type: "boolean",
+        value: compareFormulaValues(left, right, context) === 0,
+      };
+    case "<>":
+    case "!=":
+      return {
+        type: "boolean",
+        value: compareFormulaValues(left, right, context) !== 0,
+      };
+    case "<":
+    case ">":
+    case "<=":
+    case ">=": {
+      const comparison = compareFormulaValues(left, right, context, true);
+      if (comparison === null) {
+        return { type: "boolean", value: false };
+      }
+      return {
+        type: "boolean",
+        value:
+          node.operator === "<" ? comparison < 0
+          : node.operator === ">" ? comparison > 0
+          : node.operator === "<=" ? comparison <= 0
+          : comparison >= 0,
+      };
+    }
+    case "&":
+      return concatenateFormulaText(left, right);
+    case "+":
+    case "-":
+      return evaluateAdditiveNode(node, left, right, context);
+    default:
+      return evaluateArithmeticNode(node, left, right, context);
+  }
+}
+
+/**
+ * Concatenates two text operands; the result is blank only if both are
+ * @param {Object} left - Left { type, value, node } operand
+ * @param {Object} right - Right { type, value, node } operand
+ * @returns {Object} The { type, value } result
+ */
+function concatenateFormulaText(left, right) {
+  const text = formulaText(left) + formulaText(right);
+  return { type: "text", value: text === "" ? null : text };
+}
+
+/**
+ * Evaluates + and -, which also apply to dates and (for +) to text
+ * @param {Object} node - Binary node from parseFormula
+ * @param {Object} left - Left { type, value, node } operand
+ * @param {Object} right - Right { type, value, node } operand
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @returns {Object} The { type, value } result
+ */
+function evaluateAdditiveNode(node, left, right, context) {
+  const isTemporal = (operand) =>
+    operand.type === "date" ||
+    operand.type === "datetime" ||
+    operand.type === "time";
+
+  if (
+    node.operator === "+" &&
+    (left.type === "text" || right.type === "text")
+  ) {
+    return concatenateFormulaText(left, right);
+  }
+
+  // Date plus days, days plus date, date minus days
+  if (isTemporal(left) !== isTemporal(right)) {
+    const [temporal, offset] = isTemporal(left) ? [left, right] : [right, left];
+    if (node.operator === "-" && temporal === right) {
+      throw formulaEvaluationError(
+        node,
+        `Cannot subtract a ${right.type} from a number`
+      );
+    }
+    const days = formulaNumber(offset, context);
+    if (temporal.value === null || days === null) {
+      return { type: temporal.type, value: null };
+    }
+    const sign = node.operator === "-" ? -1 : 1;
+    return shiftFormulaTemporal(temporal, sign * days);
+  }
+
+  // Difference between two dates, in days (or milliseconds for times)
+  if (isTemporal(left) && isTemporal(right)) {
+    if (node.operator === "+" || left.type !== right.type) {
+      throw formulaEvaluationError(
+        node,
+        `Cannot apply ${node.operator} to ${left.type} and ${right.type}`
+      );
+    }
+    if (left.value === null || right.value === null) {
+      return { type: "number", value: null };
+    }
+    const difference = left.value - right.value;
+    return {
+      type: "number",
+      value:
+        left.type === "time" ? difference : difference / MILLISECONDS_PER_DAY,
+    };
+  }
+
+  return evaluateArithmeticNode(node, left, right, context);
+}
+
+/**
+ * Moves a date, date/time or time by a number of days (milliseconds for times)
+ * @param {Object} temporal - The { type, value } date operand
+ * @param {number} amount - Days to add (may be fractional for date/times)
+ * @returns {Object} The { type, value } result
+ */
+function shiftFormulaTemporal(temporal, amount) {
+  if (temporal.type === "time") {
+    const time = (temporal.value + Math.round(amount)) % MILLISECONDS_PER_DAY;
+    return {
+      type: "time",
+      value: (time + MILLISECONDS_PER_DAY) % MILLISECONDS_PER_DAY,
+    };
+  }
+  const days = temporal.type === "date" ? Math.trunc(amount) : amount;
+  return {
+    type: temporal.type,
+    value: new Date(
+      temporal.value.getTime() + Math.round(days * MILLISECONDS_PER_DAY)
+    ),
+  };
+}
+
+/**
+ * Evaluates the numeric operators +, -, *, / and ^
+ * @param {Object} node - Binary node from parseFormula
+ * @param {Object} left - Left { type, value, node } operand
+ * @param {Object} right - Right { type, value, node } operand
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @returns {Object} The { type, value } result
+ */
+function evaluateArithmeticNode(node, left, right, context) {
+  const a = formulaNumber(left, context);
+  const b = formulaNumber(right, context);
+  if (a === null || b === null) {
+    return { type: "number", value: null };
+  }
+
+  switch (node.operator) {
+    case "+":
+      return { type: "number", value: a + b };
+    case "-":
+      return { type: "number", value: a - b };
+    case "*":
+      return { type: "number", value: a * b };
+    case "/":
+      if (b === 0) {
+        throw formulaEvaluationError(node, "Division by zero");
+      }
+      return { type: "number", value: a / b };
+    case "^":
+      return { type: "number", value: Math.pow(a, b) };
+    default:
+      throw formulaEvaluationError(
+        node,
+        `Unsupported operator: ${node.operator}`
+      );
+  }
+}
+
+/**
+ * Compares two formula values of the same type
+ * Two blanks are equal; a blank number reads as 0 under BlankAsZero.
+ * @param {Object} left - Left { type, value, node } operand
+ * @param {Object} right - Right { type, value, node } operand
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @param {boolean} ordered - True for <, >, <= and >=, which reject booleans
+ * @returns {number|null} Negative, zero or positive like a sort comparator,
+ * or null when only one side is blank and the order is undefined
+ */
+function compareFormulaValues(left, right, context, ordered = false) {
+  const comparableType = (type) =>
+    type === "picklist" || type === "text" ? "text" : type;
+  const leftType = comparableType(left.type);
+  const rightType = comparableType(right.type);
+
+  if (leftType !== null && rightType !== null && leftType !== rightType) {
+    throw formulaEvaluationError(
+      left.node,
+      `Cannot compare ${left.type} with ${right.type}`
+    );
+  }
+  if (ordered && (leftType === "boolean" || rightType === "boolean")) {
+    throw formulaEvaluationError(left.node, "Cannot order boolean values");
+  }
+
+  const type = leftType || rightType;
+  let a = left.value;
+  let b = right.value;
+  if (type === "number" || type === null) {
+    a = isBlankZero(left, context) ? 0 : a;
+    b = isBlankZero(right, context) ? 0 : b;
+  }
+
+  if (a === null || b === null) {
+    if (a === b) {
+      return 0;
+    }
+    return ordered ? null : 1;
+  }
+  if (a instanceof Date) {
+    a = a.getTime();
+    b = b.getTime();
+  }
+  return (
+    a < b ? -1
+    : a > b ? 1
+    : 0
+  );
+}
+
+/**
+ * Functions whose arguments are only evaluated when needed
+ */
+const LAZY_FORMULA_FUNCTIONS = {
+  AND: (node, context) => ({
+    type: "boolean",
+    value: node.args.every((arg) =>
+      formulaBoolean(evaluateFormulaOperand(arg, context))
+    ),
+  }),
+  OR: (node, context) => ({
+    type: "boolean",
+    value: node.args.some((arg) =>
+      formulaBoolean(evaluateFormulaOperand(arg, context))
+    ),
+  }),
+  IF: (node, context) => {
+    const condition = evaluateFormulaOperand(node.args[0], context);
+    return evaluateFormulaNode(
+      node.args[formulaBoolean(condition) ? 1 : 2],
+      context
+    );
+  },
+  CASE: (node, context) => {
+    const expression = evaluateFormulaOperand(node.args[0], context);
+    for (let i = 1; i < node.args.length - 1; i += 2) {
+      const candidate = evaluateFormulaOperand(node.args[i], context);
+      if (compareFormulaValues(expression, candidate, context) === 0) {
+        return evaluateFormulaNode(node.args[i + 1], context);
+      }
+    }
+    return evaluateFormulaNode(node.args[node.args.length - 1], context);
+  },
+  BLANKVALUE: (node, context) => {
+    const value = evaluateFormulaNode(node.args[0], context);
+    return value.value === null ?
+        evaluateFormulaNode(node.args[1], context)
+      : value;
+  },
+  NULLVALUE: (node, context) =>
+    LAZY_FORMULA_FUNCTIONS.BLANKVALUE(node, context),
+};
+
+/**
+ * Wraps a numeric function so that blank arguments give a blank result
+ * @param {Function} calculate - Function of the numeric argument values
+ * @returns {Function} Implementation for FORMULA_FUNCTIONS
+ */
+function numericFormulaFunction(calculate) {
+  return (args, context, node) => {
+    const numbers = args.map((arg) => formulaNumber(arg, context));
+    if (numbers.includes(null)) {
+      return { type: "number", value: null };
+    }
+    const value = calculate(...numbers);
+    if (!isFinite(value)) {
+      throw formulaEvaluationError(node, `${node.name} result is not a number`);
+    }
+    return { type: "number", value };
+  };
+}
+
+/**
+ * Wraps a function of a date, date/time or time argument so that a blank
+ * argument gives a blank result
+ * @param {Array} types - Accepted argument types
+ * @param {string} returns - Result type
+ * @param {Function} calculate - Function of the argument value and its type
+ * @returns {Function} Implementation for FORMULA_FUNCTIONS
+ */
+function temporalFormulaFunction(types, returns, calculate) {
+  return (args) => {
+    const value = requireFormulaType(args[0], types);
+    return {
+      type: returns,
+      value: value === null ? null : calculate(value, args[0].type),
+    };
+  };
+}
+
+/**
+ * Rounds half away from zero, as Salesforce does
+ * @param {number} value - Number to round
+ * @param {number} digits - Decimal places (negative rounds to tens, ...)
+ * @returns {number} The rounded number
+ */
+function roundFormulaNumber(value, digits) {
+  const factor = Math.pow(10, Math.trunc(digits));
+  return (Math.sign(value) * Math.round(Math.abs(value) * factor)) / factor;
+}
+
+/**
+ * Converts a formula value to its TEXT() representation
+ * @param {Object} result - The { type, value } result
+ * @returns {string} The text; blanks give the empty string
+ */
+function formatFormulaValue(result) {
+  if (result.value === null || result.value === undefined) {
+    return "";
+  }
+  switch (result.type) {
+    case "date":
+      return result.value.toISOString().substring(0, 10);
+    case "datetime":
+      return result.value
+        .toISOString()
+        .replace("T", " ")
+        .replace(/\.\d+Z$/, "Z");
+    case "time":
+      return new Date(result.value).toISOString().substring(11);
+    default:
+      return String(result.value);
+  }
+}
+
+/**
+ * Returns the date part of a Date in UTC, as a formula date
+ * @param {Date} date - Any Date
+ * @returns {Date} The date at UTC midnight
+ */
+function toFormulaDate(date) {
+  return new Date(
+    Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())
+  );
+}
+
+/**
+ * Implementations of the functions evaluated with all arguments up front
+ * Each receives the { type, value, node } arguments, the evaluation context
+ * and the call node.
+ */
+const FORMULA_FUNCTIONS = {
+  // Logical functions
+  NOT: (args) => ({ type: "boolean", value: !formulaBoolean(args[0]) }),
+  ISBLANK: (args) => ({ type: "boolean", value: args[0].value === null }),
+  ISNULL: (args) => ({ type: "boolean", value: args[0].value === null }),
+  ISNUMBER: (args) => ({
+    type: "boolean",
+    value: /^\s*[+-]?(\d+\.?\d*|\.\d+)(E[+-]?\d+)?\s*$/i.test(
+      formulaText(args[0])
+    ),
+  }),
+  ISNEW: () => ({ type: "boolean", value: false }),
+  ISCLONE: () => ({ type: "boolean", value: false }),
+  ISPICKVAL: (args) => ({
+    type: "boolean",
+    value: formulaText(args[0], ["picklist", "text"]) === formulaText(args[1]),
+  }),
+
+  // Text functions
+  BEGINS: (args) => ({
+    type: "boolean",
+    value: formulaText(args[0]).startsWith(formulaText(args[1])),
+  }),
+  BR: () => ({ type: "text", value: "\n" }),
+  CONTAINS: (args) => ({
+    type: "boolean",
+    value: formulaText(args[0]).includes(formulaText(args[1])),
+  }),
+  FIND: (args, context) => {
+    const start = args[2] ? formulaNumber(args[2], context) : 1;
+    const text = formulaText(args[1]);
+    const search = formulaText(args[0]);
+    if (start === null || start < 1 || search === "") {
+      return { type: "number", value: 0 };
+    }
+    return {
+      type: "number",
+      value: text.indexOf(search, Math.trunc(start) - 1) + 1,
+    };
+  },
+  HYPERLINK: (args) => ({
+    type: "text",
+    value: formulaText(args[1]) || formulaText(args[0]) || null,
+  }),
+  INCLUDES: (args) => ({
+    type: "boolean",
+    value: formulaText(args[0], ["picklist", "text"])
+      .split(";")
+      .includes(formulaText(args[1])),
+  }),
+  INITCAP: (args) => ({
+    type: "text",
+    value:
+      formulaText(args[0])
+        .toLowerCase()
+        .replace(
+          /(^|[^a-zA-Z0-9'])([a-z])/g,
+          (match, before, letter) => before + letter.toUpperCase()
+        ) || null,
+  }),
+  LEFT: (args, context) => {
+    const count = formulaNumber(args[1], context);
+    return {
+      type: "text",
+      value: formulaText(args[0]).substring(0, Math.max(count, 0)) || null,
+    };
+  },
+  LEN: (args) => ({ type: "number", value: formulaText(args[0]).length }),
+  LOWER: (args) => ({
+    type: "text",
+    value: formulaText(args[0]).toLowerCase() || null,
+  }),
+  LPAD: (args, context) => padFormulaText(args, context, "padStart"),
+  MID: (args, context) => {
+    const start = Math.max(formulaNumber(args[1], context), 1);
+    const count = Math.max(formulaNumber(args[2], context), 0);
+    return {
+      type: "text",
+      value: formulaText(args[0]).substr(start - 1, count) || null,
+    };
+  },
+  REGEX: (args, context, node) => {
+    let expression;
+    try {
+      expression = new RegExp(`^(?:${formulaText(args[1])})$`);
+    } catch (error) {
+      throw formulaEvaluationError(node, `Invalid regular expression`);
+    }
+    return { type: "boolean", value: expression.test(formulaText(args[0])) };
+  },
+  REVERSE: (args) => ({
+    type: "text",
+    value: [...formulaText(args[0])].reverse().join("") || null,
+  }),
+  RIGHT: (args, context) => {
+    const text = formulaText(args[0]);
+    const count = Math.max(formulaNumber(args[1], context), 0);
+    return {
+      type: "text",
+      value: text.substring(Math.max(text.length - count, 0)) || null,
+    };
+  },
+  RPAD: (args, context) => padFormulaText(args, context, "padEnd"),
+  SUBSTITUTE: (args) => {
+    const search = formulaText(args[1]);
+    const text = formulaText(args[0]);
+    return {
+      type: "text",
+      value:
+        (search === "" ? text : (
+          text.split(search).join(formulaText(args[2]))
+        )) || null,
+    };
+  },
+  TEXT: (args) => ({
+    type: "text",
+    value: formatFormulaValue(args[0]) || null,
+  }),
+  TRIM: (args) => ({
+    type: "text",
+    value: formulaText(args[0]).replace(/^[ \t]+|[ \t]+$/g, "") || null,
+  }),
+  UPPER: (args) => ({
+    type: "text",
+    value: formulaText(args[0]).toUpperCase() || null,
+  }),
+  VALUE: (args, context, node) => {
+    const text = formulaText(args[0]).trim();
+    if (text === "") {
+      return { type: "number", value: null };
+    }
+    if (!/^[+-]?(\d+\.?\d*|\.\d+)(E[+-]?\d+)?$/i.test(text)) {
+      throw formulaEvaluationError(node, `${text} is not a number`);
+    }
+    return { type: "number", value: Number(text) };
+  },
+  ASCII: (args) => {
+    const text = formulaText(args[0]);
+    return {
+      type: "number",
+      value: text === "" ? null : text.codePointAt(0),
+    };
+  },
+  CHR: (args, context) => {
+    const code = formulaNumber(args[0], context);
+    return {
+      type: "text",
+      value: code === null ? null : String.fromCodePoint(Math.trunc(code)),
+    };
+  },
+
+  // Math functions
+  ABS: numericFormulaFunction(Math.abs),
+  // CEILING and FLOOR round away from and towards zero respectively
+  CEILING: numericFormulaFunction(
+    (value) => Math.sign(value) * Math.ceil(Math.abs(value))
+  ),
+  EXP: numericFormulaFunction(Math.exp),
+  FLOOR: numericFormulaFunction(
+    (value) => Math.sign(value) * Math.floor(Math.abs(value))
+  ),
+  LN: numericFormulaFunction(Math.log),
+  LOG: numericFormulaFunction(Math.log10),
+  MAX: numericFormulaFunction(Math.max),
+  MCEILING: numericFormulaFunction(Math.ceil),
+  MFLOOR: numericFormulaFunction(Math.floor),
+  MIN: numericFormulaFunction(Math.min),
+  MOD: numericFormulaFunction((value, divisor) =>
+    divisor === 0 ? NaN : value % divisor
+  ),
+  ROUND: numericFormulaFunction(roundFormulaNumber),
+  SQRT: numericFormulaFunction(Math.sqrt),
+  TRUNC: numericFormulaFunction((value, digits = 0) => {
+    const factor = Math.pow(10, Math.trunc(digits));
+    return Math.trunc(value * factor) / factor;
+  }),
+
+  // Date and time functions
+  ADDMONTHS: (args, context) => {
+    const date = requireFormulaType(args[0], ["date", "datetime"]);
+    const months = formulaNumber(args[1], context);
+    if (date === null || months === null) {
+      return { type: args[0].type, value: null };
+    }
+    // The last day of a month stays the last day of the target month
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + Math.trunc(months);
+    const lastDay = (y, m) => new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+    const day =
+      date.getUTCDate() === lastDay(year, date.getUTCMonth()) ?
+        lastDay(year, month)
+      : Math.min(date.getUTCDate(), lastDay(year, month));
+    const result = new Date(date.getTime());
+    result.setUTCFullYear(year, month, day);
+    return { type: args[0].type, value: result };
+  },
+  DATE: (args, context, node) => {
+    const [year, month, day] = args.map((arg) => formulaNumber(arg, context));
+    if ([year, month, day].includes(null)) {
+      return { type: "date", value: null };
+    }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (
+      date.getUTCFullYear() !== year ||
+      date.getUTCMonth() !== month - 1 ||
+      date.getUTCDate() !== day
+    ) {
+      throw formulaEvaluationError(
+        node,
+        `Invalid date ${year}-${month}-${day}`
+      );
+    }
+    return { type: "date", value: date };
+  },
+  DATETIMEVALUE: (args, context, node) => {
+    const value = requireFormulaType(args[0], ["text", "date", "datetime"]);
+    if (value === null) {
+      return { type: "datetime", value: null };
+    }
+    if (value instanceof Date) {
+      return { type: "datetime", value: new Date(value.getTime()) };
+    }
+    const dateTime = parseFormulaDate(value, "datetime");
+    if (dateTime === null) {
+      throw formulaEvaluationError(node, `${value} is not a valid date/time`);
+    }
+    return { type: "datetime", value: dateTime };
+  },
+  DATEVALUE: (args, context, node) => {
+    const value = requireFormulaType(args[0], ["text", "date", "datetime"]);
+    if (value === null) {
+      return { type: "date", value: null };
+    }
+    const date =
+      value instanceof Date ?
+        toFormulaDate(value)
+      : parseFormulaDate(value, "date");
+    if (date === null) {
+      throw formulaEvaluationError(node, `${value} is not a valid date`);
+    }
+    return { type: "date", value: date };
+  },
+  DAY: temporalFormulaFunction(["date"], "number", (date) => date.getUTCDate()),
+  DAYOFYEAR: temporalFormulaFunction(
+    ["date"],
+    "number",
+    (date) =>
+      (date - Date.UTC(date.getUTCFullYear(), 0, 1)) / MILLISECONDS_PER_DAY + 1
+  ),
+  FROMUNIXTIME: (args, context) => {
+    const seconds = formulaNumber(args[0], context);
+    return {
+      type: "datetime",
+      value: seconds === null ? null : new Date(seconds * 1000),
+    };
+  },
+  HOUR: temporalFormulaFunction(["time"], "number", (time) =>
+    Math.floor(time / 3600000)
+  ),
+  MILLISECOND: temporalFormulaFunction(
+    ["time"],
+    "number",
+    (time) => time % 1000
+  ),
+  MINUTE: temporalFormulaFunction(
+    ["time"],
+    "number",
+    (time) => Math.floor(time / 60000) % 60
+  ),
+  MONTH: temporalFormulaFunction(
+    ["date"],
+    "number",
+    (date) => date.getUTCMonth() + 1
+  ),
+  NOW: (args, context) => ({
+    type: "datetime",
+    value: new Date(context.now.getTime()),
+  }),
+  SECOND: temporalFormulaFunction(
+    ["time"],
+    "number",
+    (time) => Math.floor(time / 1000) % 60
+  ),
+  TIMENOW: (args, context) => ({
+    type: "time",
+    value: context.now.getTime() % MILLISECONDS_PER_DAY,
+  }),
+  TIMEVALUE: (args, context, node) => {
+    const value = requireFormulaType(args[0], ["text", "datetime"]);
+    if (value === null) {
+      return { type: "time", value: null };
+    }
+    const time =
+      value instanceof Date ?
+        value.getTime() % MILLISECONDS_PER_DAY
+      : parseFormulaTime(value);
+    if (time === null) {
+      throw formulaEvaluationError(node, `${value} is not a valid time`);
+    }
+    return { type: "time", value: time };
+  },
+  TODAY: (args, context) => ({
+    type: "date",
+    value: toFormulaDate(context.now),
+  }),
+  UNIXTIMESTAMP: temporalFormulaFunction(
+    ["date", "datetime", "time"],
+    "number",
+    (value, type) =>
+      Math.floor((type === "time" ? value : value.getTime()) / 1000)
+  ),
+  WEEKDAY: temporalFormulaFunction(
+    ["date"],
+    "number",
+    (date) => date.getUTCDay() + 1
+  ),
+  YEAR: temporalFormulaFunction(["date"], "number", (date) =>
+    date.getUTCFullYear()
+  ),
+};
+
+/**
+ * Pads text on the left or right to a length, truncating longer text
+ * @param {Array} args - The text, length and optional padding arguments
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @param {string} method - "padStart" or "padEnd"
+ * @returns {Object} The { type, value } result
+ */
+function padFormulaText(args, context, method) {
+  const length = Math.max(formulaNumber(args[1], context) || 0, 0);
+  const padding = args[2] ? formulaText(args[2]) : " ";
+  const text = formulaText(args[0]);
+  // Longer text is truncated on the right whichever side is padded
+  const padded =
+    text.length >= length ?
+      text.substring(0, length)
+    : text[method](length, padding || " ");
+  return { type: "text", value: padded || null };
+}
+
+/**
+ * Evaluates a function call node
+ * @param {Object} node - Call node from parseFormula
+ * @param {Object} context - Evaluation context from evaluateFormula
+ * @returns {Object} The { type, value } result
+ */
+function evaluateCallNode(node, context) {
+  if (LAZY_FORMULA_FUNCTIONS[node.name]) {
+    return LAZY_FORMULA_FUNCTIONS[node.name](node, context);
+  }
+
+  const implementation = FORMULA_FUNCTIONS[node.name];
+  if (!implementation) {
+    throw formulaEvaluationError(
+      node,
+      `${node.name} cannot be evaluated against a sample record`
+    );
+  }
+
+  const args = node.args.map((arg) => evaluateFormulaOperand(arg, context));
+  const { type, value } = implementation(args, context, node);
+  return { type, value };
+}
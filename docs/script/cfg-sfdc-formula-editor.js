@@ -0,0 +1,500 @@
+/**
+ * Salesforce Formula Editor
+ * An editable formula field built on createFormulaCodeBlock: a transparent
+ * textarea sits on top of the highlighted code block, which is re-rendered as
+ * the user types. Requires cfg-sfdc-tokens.js and cfg-sfdc-tokens-ui.js (and
+ * cfg-sfdc-schema.js when a schema is used for field completion).
+ */
+
+/**
+ * Creates a formula editor inside a container element
+ * The container also receives a "formulachange" CustomEvent whose detail
+ * holds the value and errors whenever the user edits the formula.
+ * @param {HTMLElement|string} container - Container element or its ID
+ * @param {Object} options - Editor options
+ * @param {string} options.value - Initial formula
+ * @param {string} options.objectName - API name of the object the formula belongs to
+ * @param {Object} options.schema - Schema from parseExtractSpecification, for field completion and checks
+ * @param {string} options.returnType - Formula type the formula must return, e.g. "boolean" for validation rules
+ * @param {Object|boolean} options.lint - lintFormula options, or true, to mark lint findings
+ * @param {number} options.rows - Visible lines of the textarea
+ * @param {number} options.maxSuggestions - Maximum number of completions shown
+ * @param {string} options.placeholder - Placeholder text
+ * @param {Function} options.onChange - Called with (value, errors) after each edit
+ * @returns {Object} Editor with getValue, setValue, getErrors, setObject, focus and destroy
+ */
+function createFormulaEditor(container, options = {}) {
+  const {
+    value = "",
+    returnType = null,
+    lint = false,
+    rows = 4,
+    maxSuggestions = 10,
+    placeholder = "",
+    onChange = null,
+  } = options;
+  let { objectName = null, schema = null } = options;
+
+  const element =
+    typeof container === "string" ?
+      document.getElementById(container)
+    : container;
+
+  addFormulaSyntaxStyles();
+  addFormulaEditorStyles();
+
+  element.classList.add("sf-formula-editor");
+  element.innerHTML = `
+    ${createFormulaCodeBlock(" ", {
+      prettify: false,
+      showCopyButton: false,
+    })}
+    <textarea class="sf-formula-editor-input" rows="${rows}" spellcheck="false"
+      autocomplete="off" placeholder="${escapeFormulaHtml(placeholder)}"></textarea>
+    <pre class="sf-formula-code sf-formula-editor-mirror" aria-hidden="true"></pre>
+    <div class="ui vertical menu sf-formula-suggestions"></div>
+    <div class="sf-formula-editor-tooltip"></div>
+  `;
+
+  const highlight = element.querySelector(".sf-formula-code");
+  const input = element.querySelector(".sf-formula-editor-input");
+  const mirror = element.querySelector(".sf-formula-editor-mirror");
+  const menu = element.querySelector(".sf-formula-suggestions");
+  const tooltip = element.querySelector(".sf-formula-editor-tooltip");
+
+  let errors = [];
+  let completions = null;
+  let selectedIndex = 0;
+
+  /**
+   * Collects syntax errors, unknown fields and optional lint findings
+   * @returns {Array} Array of error objects with position and message
+   */
+  function collectErrors() {
+    const formula = input.value;
+    const resolveFieldType =
+      schema && objectName ?
+        createSchemaTypeResolver(objectName, schema)
+      : undefined;
+    const found = detectFormulaErrors(formula, {
+      resolveFieldType,
+      returnType,
+    });
+    if (schema && objectName) {
+      found.push(
+        ...extractFormulaDependencies(formula, objectName, schema).errors
+      );
+    }
+    if (lint) {
+      found.push(
+        ...lintFormula(formula, {
+          resolveFieldType,
+          ...(lint === true ? {} : lint),
+        })
+      );
+    }
+    return found;
+  }
+
+  /**
+   * Re-highlights the formula and refreshes the error list
+   */
+  function render() {
+    const formula = input.value;
+    errors = formula.trim() ? collectErrors() : [];
+
+    const tokens = markErrorTokens(
+      classifyTokens(tokenizeFormula(formula)),
+      errors
+    );
+    // The trailing space keeps a final empty line as tall as the textarea's
+    highlight.innerHTML = renderTokens(tokens) + " ";
+    highlight.setAttribute("data-formula", formula);
+    syncScroll();
+  }
+
+  /**
+   * Keeps the highlighted code block aligned with the textarea
+   */
+  function syncScroll() {
+    highlight.scrollTop = input.scrollTop;
+    highlight.scrollLeft = input.scrollLeft;
+  }
+
+  /**
+   * Notifies listeners that the user changed the formula
+   */
+  function emitChange() {
+    const detail = { value: input.value, errors: errors.slice() };
+    if (onChange) {
+      onChange(detail.value, detail.errors);
+    }
+    element.dispatchEvent(new CustomEvent("formulachange", { detail }));
+  }
+
+  /**
+   * Measures where the caret is drawn, relative to the editor
+   * @returns {Object} Object with top and left in pixels
+   */
+  function getCaretOffset() {
+    mirror.textContent = input.value.substring(0, input.selectionStart);
+    const marker = document.createElement("span");
+    marker.textContent = "\u200b";
+    mirror.appendChild(marker);
+    return {
+      top: marker.offsetTop + marker.offsetHeight - input.scrollTop,
+      left: marker.offsetLeft - input.scrollLeft,
+    };
+  }
+
+  /**
+   * Shows completions for the word at the caret, or hides the menu
+   */
+  function updateSuggestions() {
+    const caret = input.selectionStart;
+    completions =
+      caret === input.selectionEnd ?
+        getFormulaCompletions(input.value, caret, {
+          objectName,
+          schema,
+          limit: maxSuggestions,
+        })
+      : null;
+
+    if (!completions || completions.items.length === 0) {
+      hideSuggestions();
+      return;
+    }
+
+    selectedIndex = 0;
+    menu.innerHTML = completions.items
+      .map(
+        (item, index) => `
+          <a class="item" data-index="${index}">
+            <span class="sf-suggestion-${item.kind}">${escapeFormulaHtml(item.label)}</span>
+            <span class="description">${escapeFormulaHtml(item.detail || item.kind)}</span>
+          </a>`
+      )
+      .join("");
+
+    const offset = getCaretOffset();
+    menu.style.top = `${offset.top}px`;
+    menu.style.left = `${offset.left}px`;
+    menu.classList.add("visible");
+    highlightSuggestion();
+  }
+
+  /**
+   * Marks the selected completion in the menu
+   */
+  function highlightSuggestion() {
+    menu.querySelectorAll(".item").forEach((item, index) => {
+      item.classList.toggle("active", index === selectedIndex);
+      if (index === selectedIndex) {
+        item.scrollIntoView({ block: "nearest" });
+      }
+    });
+  }
+
+  /**
+   * Closes the completion menu
+   */
+  function hideSuggestions() {
+    completions = null;
+    menu.classList.remove("visible");
+  }
+
+  /**
+   * Replaces the word at the caret with a completion
+   * @param {number} index - Index of the completion item
+   */
+  function acceptSuggestion(index) {
+    const item = completions.items[index];
+    const formula = input.value;
+    input.value =
+      formula.substring(0, completions.start) +
+      item.insertText +
+      formula.substring(completions.end);
+
+    const caret = completions.start + item.insertText.length;
+    input.setSelectionRange(caret, caret);
+    input.focus();
+
+    render();
+    emitChange();
+    // Relationships and globals continue with the fields behind the dot
+    if (item.insertText.endsWith(".")) {
+      updateSuggestions();
+    } else {
+      hideSuggestions();
+    }
+  }
+
+  /**
+   * Shows the message of the error or lint token under the mouse
+   * The textarea covers the code block, so the token is found by position.
+   * @param {MouseEvent} event - Mouse event on the textarea
+   */
+  function updateTooltip(event) {
+    const token = document
+      .elementsFromPoint(event.clientX, event.clientY)
+      .find(
+        (candidate) =>
+          highlight.contains(candidate) && candidate.hasAttribute("title")
+      );
+
+    if (!token) {
+      tooltip.classList.remove("visible");
+      return;
+    }
+
+    const bounds = element.getBoundingClientRect();
+    const tokenBounds = token.getBoundingClientRect();
+    tooltip.textContent = token.getAttribute("title");
+    tooltip.style.top = `${tokenBounds.bottom - bounds.top + 4}px`;
+    tooltip.style.left = `${tokenBounds.left - bounds.left}px`;
+    tooltip.classList.add("visible");
+  }
+
+  input.addEventListener("input", () => {
+    render();
+    emitChange();
+    updateSuggestions();
+  });
+
+  input.addEventListener("keydown", (event) => {
+    if (!completions) {
+      if (event.key === " " && event.ctrlKey) {
+        event.preventDefault();
+        updateSuggestions();
+      }
+      return;
+    }
+
+    const count = completions.items.length;
+    if (event.key === "ArrowDown") {
+      selectedIndex = (selectedIndex + 1) % count;
+      highlightSuggestion();
+    } else if (event.key === "ArrowUp") {
+      selectedIndex = (selectedIndex + count - 1) % count;
+      highlightSuggestion();
+    } else if (event.key === "Enter" || event.key === "Tab") {
+      acceptSuggestion(selectedIndex);
+    } else if (event.key === "Escape") {
+      hideSuggestions();
+    } else {
+      return;
+    }
+    event.preventDefault();
+  });
+
+  input.addEventListener("scroll", syncScroll);
+  input.addEventListener("click", hideSuggestions);
+  input.addEventListener("blur", hideSuggestions);
+  input.addEventListener("mousemove", updateTooltip);
+  input.addEventListener("mouseleave", () => {
+    tooltip.classList.remove("visible");
+  });
+
+  // mousedown keeps the focus in the textarea, so blur does not close the menu first
+  menu.addEventListener("mousedown", (event) => {
+    const item = event.target.closest(".item");
+    event.preventDefault();
+    if (item) {
+      acceptSuggestion(parseInt(item.getAttribute("data-index")));
+    }
+  });
+
+  input.value = value;
+  render();
+
+  return {
+    /**
+     * Returns the current formula
+     * @returns {string} The formula text
+     */
+    getValue() {
+      return input.value;
+    },
+
+    /**
+     * Replaces the formula without raising a change event
+     * @param {string} formula - The new formula
+     */
+    setValue(formula) {
+      input.value = formula || "";
+      hideSuggestions();
+      render();
+    },
+
+    /**
+     * Returns the errors found in the current formula
+     * @returns {Array} Array of error objects with position and message
+     */
+    getErrors() {
+      return errors.slice();
+    },
+
+    /**
+     * Switches the object (and optionally the schema) used for fields
+     * @param {string} name - Object API name
+     * @param {Object} newSchema - Schema from parseExtractSpecification
+     */
+    setObject(name, newSchema = schema) {
+      objectName = name;
+      schema = newSchema;
+      render();
+    },
+
+    /**
+     * Moves the keyboard focus into the editor
+     */
+    focus() {
+      input.focus();
+    },
+
+    /**
+     * Removes the editor from its container
+     */
+    destroy() {
+      element.classList.remove("sf-formula-editor");
+      element.innerHTML = "";
+    },
+  };
+}
+
+/**
+ * Adds the CSS for formula editors to the page
+ */
+function addFormulaEditorStyles() {
+  if (document.getElementById("sf-formula-editor-styles")) {
+    return; // Styles already added
+  }
+
+  const styles = `
+    <style id="sf-formula-editor-styles">
+      .sf-formula-editor {
+        position: relative;
+      }
+
+      .sf-formula-editor .formula-container {
+        position: absolute !important;
+        top: 0;
+        right: 0;
+        bottom: 0;
+        left: 0;
+      }
+
+      .sf-formula-editor .sf-formula-code,
+      .sf-formula-editor .sf-formula-editor-input {
+        margin: 0;
+        padding: 12px;
+        border: 1px solid transparent;
+        font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+        font-size: 13px;
+        line-height: 1.4;
+        white-space: pre-wrap;
+        word-wrap: break-word;
+        box-sizing: border-box;
+      }
+
+      .sf-formula-editor .formula-container .sf-formula-code {
+        height: 100%;
+        overflow: hidden;
+        border-color: var(--sf-border);
+      }
+
+      /* Token styles must not change the width of the text */
+      .sf-formula-editor .sf-formula-code span {
+        padding: 0 !important;
+        font-weight: normal !important;
+        font-style: normal !important;
+      }
+
+      .sf-formula-editor .sf-formula-editor-input {
+        position: relative;
+        display: block;
+        width: 100%;
+        resize: vertical;
+        background: transparent;
+        color: transparent;
+        caret-color: var(--sf-operator);
+        outline: none;
+        z-index: 1;
+      }
+
+      .sf-formula-editor .sf-formula-editor-input:focus {
+        border-color: var(--sf-function);
+        border-radius: 4px;
+      }
+
+      .sf-formula-editor .sf-formula-editor-input::placeholder {
+        color: var(--sf-comment);
+      }
+
+      .sf-formula-editor .sf-formula-editor-mirror {
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 100%;
+        visibility: hidden;
+        pointer-events: none;
+      }
+
+      .sf-formula-editor .sf-formula-suggestions {
+        display: none;
+        position: absolute;
+        z-index: 20;
+        max-height: 16em;
+        overflow-y: auto;
+        margin: 0;
+      }
+
+      .sf-formula-editor .sf-formula-suggestions.visible {
+        display: block;
+      }
+
+      .sf-formula-editor .sf-formula-suggestions .item {
+        font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+        font-size: 12px;
+        cursor: pointer;
+      }
+
+      .sf-formula-editor .sf-suggestion-function {
+        color: var(--sf-function);
+      }
+
+      .sf-formula-editor .sf-suggestion-field,
+      .sf-formula-editor .sf-suggestion-relationship {
+        color: var(--sf-field);
+      }
+
+      .sf-formula-editor .sf-suggestion-global {
+        color: var(--sf-global-variable);
+      }
+
+      .sf-formula-editor .sf-suggestion-constant {
+        color: var(--sf-constant);
+      }
+
+      .sf-formula-editor .sf-formula-editor-tooltip {
+        display: none;
+        position: absolute;
+        z-index: 30;
+        max-width: 30em;
+        padding: 4px 8px;
+        border-radius: 4px;
+        background-color: #1b1c1d;
+        color: #ffffff;
+        font-size: 12px;
+        pointer-events: none;
+      }
+
+      .sf-formula-editor .sf-formula-editor-tooltip.visible {
+        display: block;
+      }
+    </style>
+  `;
+
+  document.head.insertAdjacentHTML("beforeend", styles);
+}
@@ -0,0 +1,310 @@
+/**
+ * Salesforce Object Schema Model
+ * Reads the extract specification (200.ExtractSpecificationXml.xml) into a
+ * plain object model used by the formula analysis in cfg-sfdc-tokens.js
+ */
+
+/**
+ * Well-known standard relationship names and the objects they point to
+ * The extract specification only lists custom fields, so standard lookups
+ * such as Owner or CreatedBy cannot be resolved from the schema itself.
+ */
+const STANDARD_RELATIONSHIPS = {
+  Account: "Account",
+  Asset: "Asset",
+  Campaign: "Campaign",
+  Case: "Case",
+  Contact: "Contact",
+  Contract: "Contract",
+  CreatedBy: "User",
+  Lead: "Lead",
+  LastModifiedBy: "User",
+  Manager: "User",
+  Opportunity: "Opportunity",
+  Order: "Order",
+  Owner: "User",
+  Pricebook2: "Pricebook2",
+  Product2: "Product2",
+  Profile: "Profile",
+  RecordType: "RecordType",
+  ServiceTerritory: "ServiceTerritory",
+  UserRole: "UserRole",
+  WorkOrder: "WorkOrder",
+};
+
+/**
+ * Parses an XML document into a lightweight element tree
+ * Supports elements, attributes, text, comments, CDATA and the predefined
+ * entities, which is all the extract specification uses. Malformed markup
+ * is kept as text and reported in the errors of the root.
+ * @param {string} xml - XML source text
+ * @returns {Object} Root element with name, attributes, children and text,
+ * and errors (position and message of each malformed markup)
+ */
+function parseXmlDocument(xml) {
+  const root = {
+    name: "#document",
+    attributes: {},
+    children: [],
+    text: "",
+    errors: [],
+  };
+  const stack = [root];
+  const decode = (text) =>
+    text
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#x([0-9a-fA-F]+);/g, (m, hex) =>
+        String.fromCodePoint(parseInt(hex, 16))
+      )
+      .replace(/&#(\d+);/g, (m, dec) => String.fromCodePoint(parseInt(dec)))
+      .replace(/&amp;/g, "&");
+
+  let position = 0;
+  while (position < xml.length) {
+    const tagStart = xml.indexOf("<", position);
+    const current = stack[stack.length - 1];
+
+    if (tagStart === -1) {
+      current.text += decode(xml.substring(position));
+      break;
+    }
+    if (tagStart > position) {
+      current.text += decode(xml.substring(position, tagStart));
+    }
+
+    if (xml.startsWith("<!--", tagStart)) {
+      position = xml.indexOf("-->", tagStart) + 3;
+    } else if (xml.startsWith("<![CDATA[", tagStart)) {
+      const cdataEnd = xml.indexOf("]]>", tagStart);
+      current.text += xml.substring(tagStart + 9, cdataEnd);
+      position = cdataEnd + 3;
+    } else if (xml[tagStart + 1] === "?" || xml[tagStart + 1] === "!") {
+      position = xml.indexOf(">", tagStart) + 1;
+    } else if (xml[tagStart + 1] === "/") {
+      if (stack.length > 1) {
+        stack.pop();
+      } else {
+        root.errors.push({
+          position: tagStart,
+          message: `Unexpected closing tag at position ${tagStart}`,
+        });
+      }
+      position = xml.indexOf(">", tagStart) + 1;
+    } else {
+      const tagEnd = xml.indexOf(">", tagStart);
+      const selfClosing = xml[tagEnd - 1] === "/";
+      const tag = xml.substring(
+        tagStart + 1,
+        selfClosing ? tagEnd - 1 : tagEnd
+      );
+      const nameMatch = tag.match(/^[A-Za-z_:][\w.:-]*/);
+      if (tagEnd === -1 || !nameMatch) {
+        // A "<" that starts no element, as in unescaped text
+        root.errors.push({
+          position: tagStart,
+          message: `Invalid markup at position ${tagStart}`,
+        });
+        current.text += "<";
+        position = tagStart + 1;
+        continue;
+      }
+      const name = nameMatch[0];
+      const attributes = {};
+      for (const match of tag.matchAll(/([^\s=]+)\s*=\s*"([^"]*)"/g)) {
+        attributes[match[1]] = decode(match[2]);
+      }
+
+      const element = { name, attributes, children: [], text: "" };
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      position = tagEnd + 1;
+    }
+
+    if (position <= tagStart) {
+      // Unterminated markup; keep the remainder as text
+      root.errors.push({
+        position: tagStart,
+        message: `Unterminated markup at position ${tagStart}`,
+      });
+      break;
+    }
+  }
+
+  return root;
+}
+
+/**
+ * Finds the first child element with the given name
+ * @param {Object} element - Element from parseXmlDocument
+ * @param {string} name - Child element name
+ * @returns {Object|undefined} The child element
+ */
+function getXmlChild(element, name) {
+  return element.children.find((child) => child.name === name);
+}
+
+/**
+ * Returns the trimmed text of a named child element
+ * @param {Object} element - Element from parseXmlDocument
+ * @param {string} name - Child element name
+ * @returns {string|null} The text, or null when the child is missing
+ */
+function getXmlChildText(element, name) {
+  const child = getXmlChild(element, name);
+  return child ? child.text.trim() : null;
+}
+
+/**
+ * Builds the schema model from the extract specification XML
+ * Objects and fields are keyed by lower-cased API name because Salesforce
+ * names are case-insensitive; each entry keeps its original name.
+ * @param {string} xml - Contents of 200.ExtractSpecificationXml.xml
+ * @returns {Object} Schema with an `objects` map, and `errors` listing
+ * malformed markup and a missing Schema element
+ */
+function parseExtractSpecification(xml) {
+  const xmlDocument = parseXmlDocument(xml);
+  const specification =
+    getXmlChild(xmlDocument, "Specification") || xmlDocument;
+  const schemaElement = getXmlChild(specification, "Schema");
+  const schema = { objects: {}, errors: xmlDocument.errors };
+
+  if (!schemaElement) {
+    schema.errors.push({ position: 0, message: "No Schema element found" });
+    return schema;
+  }
+
+  schemaElement.children.forEach((objectElement) => {
+    const schemaObject = {
+      name: objectElement.name,
+      label: getXmlChildText(objectElement, "label"),
+      flags: splitXmlFlags(objectElement),
+      fields: {},
+      validationRules: [],
+    };
+
+    const fieldsElement = getXmlChild(objectElement, "Fields");
+    if (fieldsElement) {
+      fieldsElement.children.forEach((fieldElement) => {
+        const field = parseSchemaField(fieldElement);
+        schemaObject.fields[field.name.toLowerCase()] = field;
+      });
+    }
+
+    const rulesElement = getXmlChild(objectElement, "ValidationRules");
+    if (rulesElement) {
+      rulesElement.children.forEach((ruleElement) => {
+        schemaObject.validationRules.push({
+          name: ruleElement.name,
+          active: getXmlChildText(ruleElement, "active") === "true",
+          description: getXmlChildText(ruleElement, "description"),
+          errorConditionFormula: getXmlChildText(
+            ruleElement,
+            "errorConditionFormula"
+          ),
+          errorDisplayField: getXmlChildText(ruleElement, "errorDisplayField"),
+          errorMessage: getXmlChildText(ruleElement, "errorMessage"),
+        });
+      });
+    }
+
+    schema.objects[schemaObject.name.toLowerCase()] = schemaObject;
+  });
+
+  return schema;
+}
+
+/**
+ * Reads one field element of the extract specification
+ * @param {Object} fieldElement - Field element from parseXmlDocument
+ * @returns {Object} Field definition
+ */
+function parseSchemaField(fieldElement) {
+  const field = {
+    name: fieldElement.name,
+    label: getXmlChildText(fieldElement, "label"),
+    type: getXmlChildText(fieldElement, "type"),
+    description: getXmlChildText(fieldElement, "description"),
+    flags: splitXmlFlags(fieldElement),
+    formula: null,
+    formulaTreatBlanksAs: null,
+    referenceTo: [],
+    relationshipName: null,
+  };
+
+  // Formula text keeps its line breaks and indentation
+  const formulaElement = getXmlChild(fieldElement, "formula");
+  if (formulaElement) {
+    field.formula = formulaElement.text;
+    field.formulaTreatBlanksAs = getXmlChildText(
+      fieldElement,
+      "formulaTreatBlanksAs"
+    );
+  }
+
+  field.referenceTo = fieldElement.children
+    .filter((child) => child.name === "referenceTo")
+    .map((child) => child.text.trim());
+  field.relationshipName = getXmlChildText(fieldElement, "relationshipName");
+
+  const summarizedField = getXmlChildText(fieldElement, "summarizedField");
+  if (summarizedField || field.type === "Summary") {
+    const filterItems = getXmlChild(fieldElement, "SummaryFilterItems");
+    field.summary = {
+      summarizedField,
+      foreignKey: getXmlChildText(fieldElement, "summaryForeignKey"),
+      operation: getXmlChildText(fieldElement, "summaryOperation"),
+      filterItems:
+        filterItems ?
+          filterItems.children.map((item) => ({
+            field: getXmlChildText(item, "field"),
+            operation: getXmlChildText(item, "operation"),
+            value: getXmlChildText(item, "value"),
+            valueField: getXmlChildText(item, "valueField"),
+          }))
+        : [],
+    };
+  }
+
+  return field;
+}
+
+/**
+ * Splits the comma-separated flags attribute of an element
+ * @param {Object} element - Element from parseXmlDocument
+ * @returns {Array} Array of flag names
+ */
+function splitXmlFlags(element) {
+  return element.attributes.flags ? element.attributes.flags.split(",") : [];
+}
+
+/**
+ * Looks up an object in the schema by API name, ignoring case
+ * @param {Object} schema - Schema from parseExtractSpecification
+ * @param {string} objectName - Object API name
+ * @returns {Object|null} The schema object
+ */
+function getSchemaObject(schema, objectName) {
+  if (!schema || !objectName) {
+    return null;
+  }
+  return schema.objects[objectName.toLowerCase()] || null;
+}
+
+/**
+ * Looks up a field of a schema object by API name, ignoring case
+ * @param {Object} schemaObject - Object from getSchemaObject
+ * @param {string} fieldName - Field API name
+ * @returns {Object|null} The field definition
+ */
+function getSchemaField(schemaObject, fieldName) {
+  if (!schemaObject || !fieldName) {
+    return null;
+  }
+  return schemaObject.fields[fieldName.toLowerCase()] || null;
+}
@@ -0,0 +1,1171 @@
+/**
+ * Salesforce Formula Rendering
+ * HTML rendering, themes and page integration for the formula toolkit in
+ * cfg-sfdc-tokens.js, which must be loaded first. This is the only part that
+ * needs a browser (and jQuery for the copy buttons and theme selectors).
+ */
+
+/**
+ * Escapes text for use in HTML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeFormulaHtml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Renders tokens as HTML with syntax highlighting
+ * @param {Array} tokens - Array of classified tokens
+ * @returns {string} HTML string with syntax highlighting
+ */
+function renderTokens(tokens) {
+  return tokens
+    .map((token) => {
+      const html = renderTokenHtml({
+        ...token,
+        value: escapeFormulaHtml(token.value),
+      });
+      // Lint warnings and notes keep the token colour and add an underline
+      if (token.lint) {
+        return `<span class="sf-lint-${token.lint.severity}" title="${escapeFormulaHtml(token.lint.message)}">${html}</span>`;
+      }
+      return html;
+    })
+    .join("");
+}
+
+/**
+ * Renders a single token as HTML
+ * @param {Object} token - Classified token
+ * @returns {string} HTML for the token
+ */
+function renderTokenHtml(token) {
+  switch (token.type) {
+    case TOKEN_TYPES.FUNCTION:
+      return `<span class="sf-function">${token.value}</span>`;
+    case TOKEN_TYPES.FIELD:
+      return `<span class="sf-field">${token.value}</span>`;
+    case TOKEN_TYPES.NESTED_FIELD:
+      return `<span class="sf-nested-field">${token.value}</span>`;
+    case TOKEN_TYPES.CUSTOM_FUNCTION:
+      return `<span class="sf-custom-function">${token.value}</span>`;
+    case TOKEN_TYPES.FORMULA_FIELD:
+      return `<span class="sf-formula-field">${token.value}</span>`;
+    case TOKEN_TYPES.OPERATOR:
+      return `<span class="sf-operator">${token.value}</span>`;
+    case TOKEN_TYPES.STRING:
+      return `<span class="sf-string">${token.value}</span>`;
+    case TOKEN_TYPES.NUMBER:
+      return `<span class="sf-number">${token.value}</span>`;
+    case TOKEN_TYPES.CONSTANT:
+      return `<span class="sf-constant">${token.value}</span>`;
+    case TOKEN_TYPES.COMMENT:
+      return `<span class="sf-comment">${token.value}</span>`;
+    case TOKEN_TYPES.GLOBAL_VARIABLE:
+      return `<span class="sf-global-variable">${token.value}</span>`;
+    case TOKEN_TYPES.MERGE_FIELD:
+      return `<span class="sf-merge-field">${token.value}</span>`;
+    case TOKEN_TYPES.ERROR:
+      return token.error ?
+          `<span class="sf-error" title="${escapeFormulaHtml(token.error.message)}">${token.value}</span>`
+        : `<span class="sf-error">${token.value}</span>`;
+    case TOKEN_TYPES.DOT:
+      return `<span class="sf-dot">${token.value}</span>`;
+    case TOKEN_TYPES.PARENTHESIS:
+      return `<span class="sf-parenthesis">${token.value}</span>`;
+    case TOKEN_TYPES.COMMA:
+      return `<span class="sf-comma">${token.value}</span>`;
+    case TOKEN_TYPES.WHITESPACE:
+      return token.value;
+    default:
+      return token.value;
+  }
+}
+
+/**
+ * Main function to highlight a Salesforce formula
+ * @param {string} formula - The Salesforce formula to highlight
+ * @param {boolean} showErrors - Whether to highlight syntax errors (default: true)
+ * @param {Object|boolean} lint - lintFormula options, or true for the defaults,
+ * to also mark lint findings (default: false)
+ * @param {Object} types - resolveFieldType and returnType for the type checks
+ * of detectFormulaErrors (default: none)
+ * @returns {string} HTML string with syntax highlighting
+ */
+function highlightFormula(
+  formula,
+  showErrors = true,
+  lint = false,
+  types = {}
+) {
+  const tokens = tokenizeFormula(formula);
+  let classifiedTokens = classifyTokens(tokens);
+
+  if (showErrors) {
+    const errors = detectFormulaErrors(formula, types);
+    if (lint) {
+      errors.push(
+        ...lintFormula(formula, {
+          resolveFieldType: types.resolveFieldType,
+          ...(lint === true ? {} : lint),
+        })
+      );
+    }
+    if (errors.length > 0) {
+      classifiedTokens = markErrorTokens(classifiedTokens, errors);
+    }
+  }
+
+  return renderTokens(classifiedTokens);
+}
+
+/**
+ * Creates a syntax-highlighted code block for a Salesforce formula
+ * @param {string} formula - The Salesforce formula
+ * @param {Object} options - Display options
+ * @param {boolean} options.prettify - Whether to prettify the formula first
+ * @param {number} options.maxLineWidth - Line width used when prettifying
+ * @param {Object|boolean} options.lint - lintFormula options, or true, to mark lint findings
+ * @param {Function} options.resolveFieldType - Maps a field path to its type, e.g. from createSchemaTypeResolver
+ * @param {string} options.returnType - Formula type the formula must return
+ * @param {string} options.className - Additional CSS classes
+ * @param {boolean} options.showCopyButton - Whether to show a copy button
+ * @param {boolean} options.showExplanation - Whether to add an expandable
+ * plain-English explanation (and a SOQL WHERE clause for boolean formulas)
+ * @param {string} options.objectName - Object of the formula, for field labels
+ * @param {Object} options.schema - Schema from parseExtractSpecification, for field labels
+ * @returns {string} HTML for the code block
+ */
+function createFormulaCodeBlock(formula, options = {}) {
+  const {
+    prettify = true,
+    maxLineWidth = DEFAULT_FORMULA_LINE_WIDTH,
+    lint = false,
+    resolveFieldType = null,
+    returnType = null,
+    className = "",
+    showCopyButton = true,
+    showLineNumbers = false,
+    showThemeSelector = false,
+    showCollapseToggle = false,
+    showExplanation = false,
+    objectName = null,
+    schema = null,
+    maxLines = null,
+  } = options;
+
+  if (!formula || typeof formula !== "string") {
+    return '<div class="ui grey label">No formula</div>';
+  }
+
+  const processedFormula =
+    prettify ? prettifySalesforceFormula(formula, { maxLineWidth }) : formula;
+  const highlightedFormula = highlightFormula(processedFormula, true, lint, {
+    resolveFieldType,
+    returnType,
+  });
+
+  // Generate line numbers if requested
+  let lineNumbersHtml = "";
+  if (showLineNumbers) {
+    const lines = processedFormula.split("\n");
+    lineNumbersHtml =
+      '<div class="line-numbers">' +
+      lines.map((_, index) => `<div>${index + 1}</div>`).join("") +
+      "</div>";
+  }
+
+  // Theme selector if requested
+  let themeSelectorHtml = "";
+  if (showThemeSelector) {
+    themeSelectorHtml = `
+      <div class="theme-selector">
+        <select class="ui mini dropdown" onchange="setFormulaTheme(this.value)">
+          ${renderFormulaThemeOptions()}
+        </select>
+      </div>
+    `;
+  }
+
+  // Collapse toggle if requested
+  let collapseToggleHtml = "";
+  if (showCollapseToggle) {
+    collapseToggleHtml = `
+      <button class="ui mini icon button collapse-toggle" title="Toggle collapse" onclick="toggleFormulaCollapse(this)">
+        <i class="chevron down icon"></i>
+      </button>
+    `;
+  }
+
+  // Apply max lines if specified
+  let maxHeightStyle = "";
+  if (maxLines) {
+    const lineHeight = 1.4; // matches CSS line-height
+    const fontSize = 13; // matches CSS font-size
+    const maxHeight = maxLines * lineHeight * fontSize;
+    maxHeightStyle = `max-height: ${maxHeight}px; overflow-y: auto;`;
+  }
+
+  // Plain-English explanation if requested
+  let explanationHtml = "";
+  const explanation =
+    showExplanation ? explainFormula(formula, { objectName, schema }) : null;
+  if (explanation !== null) {
+    const soqlWhere =
+      returnType === "boolean" ?
+        formulaToSoqlWhere(formula, { resolveFieldType })
+      : null;
+    explanationHtml = `
+      <details class="formula-explanation">
+        <summary>Explain</summary>
+        <p>${escapeFormulaHtml(explanation)}</p>
+        ${
+          soqlWhere !== null ?
+            `<div class="formula-soql"><span class="ui mini basic label">SOQL WHERE</span> <code>${escapeFormulaHtml(soqlWhere)}</code></div>`
+          : ""
+        }
+      </details>
+    `;
+  }
+
+  const copyButton =
+    showCopyButton ?
+      '<button class="ui mini icon button copy-formula" style="position: absolute; top: 5px; right: 5px;" title="Copy formula"><i class="copy icon"></i></button>'
+    : "";
+
+  const uniqueId = "formula-" + Math.random().toString(36).substr(2, 9);
+  const lineNumbersClass = showLineNumbers ? "with-line-numbers" : "";
+
+  return `
+    <div class="formula-container ${className}" style="position: relative;">
+      ${copyButton}
+      ${themeSelectorHtml}
+      ${collapseToggleHtml}
+      <pre class="sf-formula-code ${lineNumbersClass}" data-formula="${processedFormula.replace(/"/g, "&quot;")}" id="${uniqueId}" style="${maxHeightStyle}">${lineNumbersHtml}${highlightedFormula}</pre>
+      ${explanationHtml}
+    </div>
+  `;
+}
+
+/**
+ * Renders the result of diffFormulas as highlighted HTML
+ * @param {Object} diff - Result of diffFormulas
+ * @returns {string} Highlighted formula with added and removed runs marked
+ */
+function renderFormulaDiff(diff) {
+  return diff.changes
+    .map((change) => {
+      const html = change.tokens
+        .map(
+          (token, index) =>
+            (index > 0 || change.type === "equal" ? token.whitespace : "") +
+            renderTokens([token])
+        )
+        .join("");
+      if (change.type === "equal") {
+        return html;
+      }
+      // Keep the whitespace before a change outside its highlight
+      const leading = change.tokens[0].whitespace;
+      return `${leading}<span class="sf-diff-${change.type}">${html}</span>`;
+    })
+    .join("");
+}
+
+/**
+ * Creates a code block showing the inline diff between two formulas
+ * @param {string} a - The original formula
+ * @param {string} b - The changed formula
+ * @param {Object} options - Display options
+ * @param {boolean} options.prettify - Whether to prettify both formulas first
+ * @param {number} options.maxLineWidth - Line width used when prettifying
+ * @param {string} options.className - Additional CSS classes
+ * @returns {string} HTML for the code block
+ */
+function createFormulaDiffBlock(a, b, options = {}) {
+  const {
+    prettify = true,
+    maxLineWidth = DEFAULT_FORMULA_LINE_WIDTH,
+    className = "",
+  } = options;
+
+  const format = (formula) =>
+    prettify && formula ?
+      prettifySalesforceFormula(formula, { maxLineWidth })
+    : formula;
+  const diff = diffFormulas(format(a), format(b));
+
+  const summary =
+    diff.identical ?
+      '<div class="ui grey label">No changes</div>'
+    : `<div class="ui green label">+${diff.added}</div><div class="ui red label">-${diff.removed}</div>`;
+
+  return `
+    <div class="formula-container formula-diff ${className}">
+      ${summary}
+      <pre class="sf-formula-code">${renderFormulaDiff(diff)}</pre>
+    </div>
+  `;
+}
+
+/**
+ * Renders a Salesforce formula for DataTable display
+ * @param {boolean} prettify - Whether to prettify the formula
+ * @param {boolean} showCopyButton - Whether to show copy button in table cells
+ * @param {number} maxLineWidth - Line width used when prettifying
+ * @param {Object} types - resolveFieldType and returnType for the type checks
+ * @returns {Function} - DataTable render function
+ */
+function renderSalesforceFormula(
+  prettify = true,
+  showCopyButton = false,
+  maxLineWidth = DEFAULT_FORMULA_LINE_WIDTH,
+  types = {}
+) {
+  return function (data, type) {
+    if (type === "display") {
+      if (!data || typeof data !== "string") {
+        return '<div class="ui grey label">No formula</div>';
+      }
+
+      const processedFormula =
+        prettify ? prettifySalesforceFormula(data, { maxLineWidth }) : data;
+      const highlightedFormula = highlightFormula(
+        processedFormula,
+        true,
+        false,
+        types
+      );
+
+      if (showCopyButton) {
+        const uniqueId = "formula-" + Math.random().toString(36).substr(2, 9);
+        return `
+          <div class="formula-container" style="position: relative;">
+            <button class="ui mini icon button copy-formula" style="position: absolute; top: 2px; right: 2px;" title="Copy formula"><i class="copy icon"></i></button>
+            <pre class="sf-formula-code" data-formula="${processedFormula.replace(/"/g, "&quot;")}" id="${uniqueId}" style="margin: 0; padding: 8px; font-size: 0.9em;">${highlightedFormula}</pre>
+          </div>
+        `;
+      } else {
+        return `<pre class="sf-formula-code" style="margin: 0; padding: 8px; font-size: 0.9em;">${highlightedFormula}</pre>`;
+      }
+    } else {
+      return data;
+    }
+  };
+}
+
+/**
+ * Initializes copy functionality for formula code blocks
+ * @param {string} selector - CSS selector for formula containers
+ */
+function initializeFormulaCopyButtons(selector = ".formula-container") {
+  $(document).on("click", `${selector} .copy-formula`, function (e) {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const $container = $(this).closest(".formula-container");
+    const $pre = $container.find(".sf-formula-code");
+    const formula = $pre.attr("data-formula") || $pre.text();
+
+    // Copy to clipboard
+    if (navigator.clipboard) {
+      navigator.clipboard
+        .writeText(formula)
+        .then(() => {
+          // Show success feedback
+          const $button = $(this);
+          const originalIcon = $button.html();
+          $button.html('<i class="check icon"></i>').addClass("positive");
+          setTimeout(() => {
+            $button.html(originalIcon).removeClass("positive");
+          }, 1000);
+        })
+        .catch((err) => {
+          console.error("Failed to copy formula:", err);
+        });
+    } else {
+      // Fallback for older browsers
+      const textArea = document.createElement("textarea");
+      textArea.value = formula;
+      document.body.appendChild(textArea);
+      textArea.select();
+      document.execCommand("copy");
+      document.body.removeChild(textArea);
+    }
+  });
+}
+
+/**
+ * Theme definitions for Salesforce formula syntax highlighting
+ */
+const FORMULA_THEMES = {
+  light: {
+    background: "#f8f9fa",
+    border: "#e9ecef",
+    function: "#0066cc",
+    constant: "#cc6600",
+    operator: "#666666",
+    field: "#009900",
+    nestedField: "#006633",
+    customFunction: "#9933cc",
+    formulaField: "#cc6600",
+    formulaFieldBg: "#fff3cd",
+    string: "#cc0066",
+    number: "#0066cc",
+    comment: "#999999",
+    globalVariable: "#6f42c1",
+    mergeField: "#0d6efd",
+    error: "#dc3545",
+    errorBg: "#f8d7da",
+    warning: "#e0a800",
+    note: "#17a2b8",
+    diffAddedBg: "#d4edda",
+    diffRemovedBg: "#f8d7da",
+    dot: "#666666",
+    parenthesis: "#666666",
+    comma: "#666666",
+    lineNumbers: "#999999",
+    lineNumbersBg: "#f1f3f4",
+  },
+  dark: {
+    background: "#2d3748",
+    border: "#4a5568",
+    function: "#63b3ed",
+    constant: "#f6ad55",
+    operator: "#e2e8f0",
+    field: "#68d391",
+    nestedField: "#7dd3fc",
+    customFunction: "#d53f8c",
+    formulaField: "#f6ad55",
+    formulaFieldBg: "#744210",
+    string: "#f687b3",
+    number: "#63b3ed",
+    comment: "#718096",
+    globalVariable: "#d6bcfa",
+    mergeField: "#90cdf4",
+    error: "#fc8181",
+    errorBg: "#742a2a",
+    warning: "#f6e05e",
+    note: "#76e4f7",
+    diffAddedBg: "#22543d",
+    diffRemovedBg: "#742a2a",
+    dot: "#e2e8f0",
+    parenthesis: "#e2e8f0",
+    comma: "#e2e8f0",
+    lineNumbers: "#718096",
+    lineNumbersBg: "#1a202c",
+  },
+  solarized: {
+    background: "#fdf6e3",
+    border: "#93a1a1",
+    function: "#268bd2",
+    constant: "#cb4b16",
+    operator: "#586e75",
+    field: "#859900",
+    nestedField: "#2aa198",
+    customFunction: "#d33682",
+    formulaField: "#cb4b16",
+    formulaFieldBg: "#fdf6e3",
+    string: "#d33682",
+    number: "#268bd2",
+    comment: "#93a1a1",
+    globalVariable: "#6c71c4",
+    mergeField: "#268bd2",
+    error: "#dc322f",
+    errorBg: "#fdf6e3",
+    warning: "#b58900",
+    note: "#2aa198",
+    diffAddedBg: "#e6ecc0",
+    diffRemovedBg: "#f5d3c8",
+    dot: "#586e75",
+    parenthesis: "#586e75",
+    comma: "#586e75",
+    lineNumbers: "#93a1a1",
+    lineNumbersBg: "#eee8d5",
+  },
+  monokai: {
+    background: "#272822",
+    border: "#3e3d32",
+    function: "#a6e22e",
+    constant: "#fd971f",
+    operator: "#ffffff",
+    field: "#a6e22e",
+    nestedField: "#93c5fd",
+    customFunction: "#f92672",
+    formulaField: "#fd971f",
+    formulaFieldBg: "#3e3d32",
+    string: "#e6db74",
+    number: "#ae81ff",
+    comment: "#75715e",
+    globalVariable: "#ae81ff",
+    mergeField: "#66d9ef",
+    error: "#f92672",
+    errorBg: "#3e3d32",
+    warning: "#e6db74",
+    note: "#66d9ef",
+    diffAddedBg: "#3d4a1f",
+    diffRemovedBg: "#5a2430",
+    dot: "#ffffff",
+    parenthesis: "#ffffff",
+    comma: "#ffffff",
+    lineNumbers: "#75715e",
+    lineNumbersBg: "#1d1e19",
+  },
+  // Every text colour has at least 7:1 contrast (WCAG AAA) with its background
+  highContrast: {
+    background: "#ffffff",
+    border: "#000000",
+    function: "#0000a0",
+    constant: "#7a3300",
+    operator: "#000000",
+    field: "#005a00",
+    nestedField: "#004d40",
+    customFunction: "#6a00a0",
+    formulaField: "#7a3300",
+    formulaFieldBg: "#fff5b8",
+    string: "#9c0050",
+    number: "#0000a0",
+    comment: "#4a4a4a",
+    globalVariable: "#4b0082",
+    mergeField: "#003c8f",
+    error: "#940000",
+    errorBg: "#ffe0e0",
+    warning: "#6b5000",
+    note: "#005a70",
+    diffAddedBg: "#c8f0c8",
+    diffRemovedBg: "#ffd0d0",
+    dot: "#000000",
+    parenthesis: "#000000",
+    comma: "#000000",
+    lineNumbers: "#333333",
+    lineNumbersBg: "#eeeeee",
+  },
+  // Okabe-Ito hues, darkened for text; no red/green pairs, diffs use blue/orange
+  colorBlind: {
+    background: "#ffffff",
+    border: "#d0d0d0",
+    function: "#0072b2",
+    constant: "#a34a00",
+    operator: "#555555",
+    field: "#00795c",
+    nestedField: "#005c46",
+    customFunction: "#8a6200",
+    formulaField: "#a34a00",
+    formulaFieldBg: "#fdf3d0",
+    string: "#a6487d",
+    number: "#0072b2",
+    comment: "#6e6e6e",
+    globalVariable: "#6b4c9a",
+    mergeField: "#005a8c",
+    error: "#a63d00",
+    errorBg: "#fde3c8",
+    warning: "#9a6700",
+    note: "#2b75a3",
+    diffAddedBg: "#d6ecfa",
+    diffRemovedBg: "#fde3c8",
+    dot: "#555555",
+    parenthesis: "#555555",
+    comma: "#555555",
+    lineNumbers: "#6e6e6e",
+    lineNumbersBg: "#f2f2f2",
+  },
+};
+
+/**
+ * Display names of themes; other themes are shown capitalized
+ */
+const FORMULA_THEME_LABELS = {
+  highContrast: "High Contrast",
+  colorBlind: "Colour-Blind Safe",
+};
+
+/**
+ * Theme preference that follows the operating system colour scheme
+ */
+const FORMULA_THEME_AUTO = "auto";
+
+/**
+ * Themes used for the "auto" preference, by prefers-color-scheme value
+ */
+const FORMULA_SYSTEM_THEMES = { light: "light", dark: "dark" };
+
+/**
+ * localStorage key of the chosen theme, shared by all report pages
+ */
+const FORMULA_THEME_STORAGE_KEY = "sf-formula-theme";
+
+/**
+ * Current theme for formula highlighting
+ */
+let currentTheme = "light";
+
+/**
+ * Chosen theme name, or FORMULA_THEME_AUTO to follow the system colour scheme
+ */
+let formulaThemePreference = FORMULA_THEME_AUTO;
+
+/**
+ * Adds a theme, or replaces one with the same name
+ * Colours that are not given are taken from the base theme, so a custom theme
+ * only needs the keys it changes.
+ * @param {string} themeName - Name of the theme
+ * @param {Object} colors - Colours by FORMULA_THEMES key (e.g. { function: "#0000ff" })
+ * @param {Object} options - Options: base (theme to extend, default "light")
+ * and label (name shown in theme selectors)
+ * @returns {Object|null} The registered theme, or null when it is invalid
+ */
+function registerFormulaTheme(themeName, colors = {}, options = {}) {
+  const { base = "light", label = null } = options;
+
+  if (!themeName || themeName === FORMULA_THEME_AUTO) {
+    console.warn(`Invalid theme name "${themeName}"`);
+    return null;
+  }
+  if (!FORMULA_THEMES[base]) {
+    console.warn(
+      `Base theme "${base}" not found. Available themes:`,
+      Object.keys(FORMULA_THEMES)
+    );
+    return null;
+  }
+
+  FORMULA_THEMES[themeName] = { ...FORMULA_THEMES[base], ...colors };
+  if (label) {
+    FORMULA_THEME_LABELS[themeName] = label;
+  }
+
+  // A stored choice of this theme could not be applied before it existed
+  if (formulaThemePreference === themeName || currentTheme === themeName) {
+    applyFormulaThemePreference();
+  }
+  return FORMULA_THEMES[themeName];
+}
+
+/**
+ * Sets the theme for Salesforce formula syntax highlighting
+ * The choice is stored in localStorage so that every report page uses it.
+ * @param {string} themeName - Name of the theme to apply, or "auto" to follow
+ * the system colour scheme
+ * @param {Object} options - Options: persist (store the choice, default true)
+ */
+function setFormulaTheme(themeName, options = {}) {
+  const { persist = true } = options;
+
+  if (themeName !== FORMULA_THEME_AUTO && !FORMULA_THEMES[themeName]) {
+    console.warn(
+      `Theme "${themeName}" not found. Available themes:`,
+      Object.keys(FORMULA_THEMES)
+    );
+    return;
+  }
+
+  formulaThemePreference = themeName;
+  if (persist) {
+    storeFormulaThemePreference(themeName);
+  }
+  applyFormulaThemePreference();
+}
+
+/**
+ * Gets the current theme
+ * @returns {string} Current theme name
+ */
+function getCurrentTheme() {
+  return currentTheme;
+}
+
+/**
+ * Gets the chosen theme, which may be "auto"
+ * @returns {string} Theme name or "auto"
+ */
+function getFormulaThemePreference() {
+  return formulaThemePreference;
+}
+
+/**
+ * Gets available themes
+ * @returns {Array} Array of available theme names
+ */
+function getAvailableThemes() {
+  return Object.keys(FORMULA_THEMES);
+}
+
+/**
+ * Gets the display name of a theme
+ * @param {string} themeName - Theme name or "auto"
+ * @returns {string} Display name
+ */
+function getFormulaThemeLabel(themeName) {
+  if (themeName === FORMULA_THEME_AUTO) {
+    return "Auto (system)";
+  }
+  return (
+    FORMULA_THEME_LABELS[themeName] ||
+    themeName.charAt(0).toUpperCase() + themeName.slice(1)
+  );
+}
+
+/**
+ * Builds the options of a theme selector, with "auto" first
+ * @returns {string} HTML option elements; the chosen theme is selected
+ */
+function renderFormulaThemeOptions() {
+  return [FORMULA_THEME_AUTO, ...getAvailableThemes()]
+    .map(
+      (theme) =>
+        `<option value="${theme}" ${theme === formulaThemePreference ? "selected" : ""}>${escapeFormulaHtml(getFormulaThemeLabel(theme))}</option>`
+    )
+    .join("");
+}
+
+/**
+ * Checks whether the operating system prefers a dark colour scheme
+ * @returns {boolean} True for prefers-color-scheme: dark
+ */
+function prefersDarkColorScheme() {
+  return (
+    typeof window !== "undefined" &&
+    typeof window.matchMedia === "function" &&
+    window.matchMedia("(prefers-color-scheme: dark)").matches
+  );
+}
+
+/**
+ * Finds the theme to show for a preference
+ * Unknown names (e.g. a custom theme that this page does not register) fall
+ * back to the system colour scheme like "auto".
+ * @param {string} preference - Theme name or "auto"
+ * @returns {string} Theme name
+ */
+function resolveFormulaTheme(preference) {
+  if (preference !== FORMULA_THEME_AUTO && FORMULA_THEMES[preference]) {
+    return preference;
+  }
+  return prefersDarkColorScheme() ?
+      FORMULA_SYSTEM_THEMES.dark
+    : FORMULA_SYSTEM_THEMES.light;
+}
+
+/**
+ * Reads the stored theme preference
+ * @returns {string} Theme name or "auto"
+ */
+function loadFormulaThemePreference() {
+  try {
+    return (
+      localStorage.getItem(FORMULA_THEME_STORAGE_KEY) || FORMULA_THEME_AUTO
+    );
+  } catch (error) {
+    // Storage can be disabled (private browsing, some file:// setups)
+    return FORMULA_THEME_AUTO;
+  }
+}
+
+/**
+ * Stores the theme preference for other pages
+ * @param {string} preference - Theme name or "auto"
+ */
+function storeFormulaThemePreference(preference) {
+  try {
+    if (preference === FORMULA_THEME_AUTO) {
+      localStorage.removeItem(FORMULA_THEME_STORAGE_KEY);
+    } else {
+      localStorage.setItem(FORMULA_THEME_STORAGE_KEY, preference);
+    }
+  } catch (error) {
+    // The theme still applies to this page
+  }
+}
+
+/**
+ * Applies the chosen theme, updates the theme selectors and fires a
+ * formulathemechange event on the document
+ */
+function applyFormulaThemePreference() {
+  currentTheme = resolveFormulaTheme(formulaThemePreference);
+  updateFormulaStyles();
+
+  document.querySelectorAll(".theme-selector select").forEach((select) => {
+    select.innerHTML = renderFormulaThemeOptions();
+  });
+  document.dispatchEvent(
+    new CustomEvent("formulathemechange", {
+      detail: { theme: currentTheme, preference: formulaThemePreference },
+    })
+  );
+}
+
+/**
+ * Restores the stored theme and follows later changes of the system colour
+ * scheme and of the choice made on other open pages
+ */
+function initializeFormulaThemes() {
+  formulaThemePreference = loadFormulaThemePreference();
+  applyFormulaThemePreference();
+
+  if (typeof window.matchMedia === "function") {
+    const query = window.matchMedia("(prefers-color-scheme: dark)");
+    const onSchemeChange = () => {
+      if (resolveFormulaTheme(formulaThemePreference) !== currentTheme) {
+        applyFormulaThemePreference();
+      }
+    };
+    // Safari before 14 only has addListener
+    if (query.addEventListener) {
+      query.addEventListener("change", onSchemeChange);
+    } else if (query.addListener) {
+      query.addListener(onSchemeChange);
+    }
+  }
+
+  window.addEventListener("storage", (event) => {
+    if (event.key === FORMULA_THEME_STORAGE_KEY || event.key === null) {
+      formulaThemePreference = loadFormulaThemePreference();
+      applyFormulaThemePreference();
+    }
+  });
+}
+
+/**
+ * Updates formula styles based on current theme
+ */
+function updateFormulaStyles() {
+  const theme = FORMULA_THEMES[currentTheme];
+  const styleElement = document.getElementById("sf-formula-styles");
+
+  if (!styleElement) {
+    addFormulaSyntaxStyles();
+    return;
+  }
+
+  // Update CSS custom properties
+  const root = document.documentElement;
+  Object.entries(theme).forEach(([key, value]) => {
+    // Convert camelCase to kebab-case for CSS custom properties
+    const cssKey = key.replace(/([A-Z])/g, "-$1").toLowerCase();
+    root.style.setProperty(`--sf-${cssKey}`, value);
+  });
+}
+
+/**
+ * Adds CSS styles for Salesforce formula syntax highlighting
+ * This should be called once when the page loads
+ */
+function addFormulaSyntaxStyles() {
+  if (document.getElementById("sf-formula-styles")) {
+    return; // Styles already added
+  }
+
+  const styles = `
+    <style id="sf-formula-styles">
+      :root {
+        --sf-background: #f8f9fa;
+        --sf-border: #e9ecef;
+        --sf-function: #0066cc;
+        --sf-constant: #cc6600;
+        --sf-operator: #666666;
+        --sf-field: #009900;
+        --sf-nested-field: #006633;
+        --sf-custom-function: #9933cc;
+        --sf-formula-field: #cc6600;
+        --sf-formula-field-bg: #fff3cd;
+        --sf-string: #cc0066;
+        --sf-number: #0066cc;
+        --sf-comment: #999999;
+        --sf-global-variable: #6f42c1;
+        --sf-merge-field: #0d6efd;
+        --sf-error: #dc3545;
+        --sf-error-bg: #f8d7da;
+        --sf-warning: #e0a800;
+        --sf-note: #17a2b8;
+        --sf-diff-added-bg: #d4edda;
+        --sf-diff-removed-bg: #f8d7da;
+        --sf-dot: #666666;
+        --sf-parenthesis: #666666;
+        --sf-comma: #666666;
+        --sf-line-numbers: #999999;
+        --sf-line-numbers-bg: #f1f3f4;
+      }
+
+      .sf-formula-code {
+        background-color: var(--sf-background);
+        border: 1px solid var(--sf-border);
+        border-radius: 4px;
+        padding: 12px;
+        margin: 8px 0;
+        font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
+        font-size: 13px;
+        line-height: 1.4;
+        overflow-x: auto;
+        white-space: pre-wrap;
+        word-wrap: break-word;
+        position: relative;
+      }
+
+      .sf-formula-code.with-line-numbers {
+        padding-left: 3.5em;
+      }
+
+      .sf-formula-code .line-numbers {
+        position: absolute;
+        left: 0;
+        top: 0;
+        bottom: 0;
+        width: 3em;
+        background-color: var(--sf-line-numbers-bg);
+        border-right: 1px solid var(--sf-border);
+        padding: 12px 8px;
+        font-size: 12px;
+        line-height: 1.4;
+        color: var(--sf-line-numbers);
+        text-align: right;
+        user-select: none;
+        overflow: hidden;
+      }
+
+      .sf-formula-code .sf-function {
+        color: var(--sf-function);
+        font-weight: bold;
+      }
+
+      .sf-formula-code .sf-constant {
+        color: var(--sf-constant);
+        font-weight: bold;
+      }
+
+      .sf-formula-code .sf-operator {
+        color: var(--sf-operator);
+        font-weight: bold;
+      }
+
+      .sf-formula-code .sf-field {
+        color: var(--sf-field);
+        font-weight: bold;
+      }
+
+      .sf-formula-code .sf-string {
+        color: var(--sf-string);
+      }
+
+      .sf-formula-code .sf-number {
+        color: var(--sf-number);
+        font-weight: bold;
+      }
+
+      .sf-formula-code .sf-comment {
+        color: var(--sf-comment);
+        font-style: italic;
+      }
+
+      .sf-formula-code .sf-global-variable {
+        color: var(--sf-global-variable);
+        font-weight: bold;
+      }
+
+      .sf-formula-code .sf-merge-field {
+        color: var(--sf-merge-field);
+        font-weight: bold;
+      }
+
+      .sf-formula-code .sf-nested-field {
+        color: var(--sf-nested-field);
+        font-weight: bold;
+        text-decoration: underline;
+      }
+
+      .sf-formula-code .sf-custom-function {
+        color: var(--sf-custom-function);
+        font-weight: bold;
+        font-style: italic;
+      }
+
+      .sf-formula-code .sf-formula-field {
+        color: var(--sf-formula-field);
+        font-weight: bold;
+        background-color: var(--sf-formula-field-bg);
+        padding: 1px 3px;
+        border-radius: 2px;
+      }
+
+      .sf-formula-code .sf-error {
+        color: var(--sf-error);
+        font-weight: bold;
+        background-color: var(--sf-error-bg);
+        padding: 1px 3px;
+        border-radius: 2px;
+        text-decoration: line-through;
+      }
+
+      .sf-formula-code .sf-lint-warning {
+        text-decoration: underline wavy var(--sf-warning);
+        text-underline-offset: 3px;
+        cursor: help;
+      }
+
+      .sf-formula-code .sf-lint-note {
+        text-decoration: underline dotted var(--sf-note);
+        text-underline-offset: 3px;
+        cursor: help;
+      }
+
+      .sf-formula-code .sf-diff-added {
+        background-color: var(--sf-diff-added-bg);
+        border-radius: 2px;
+      }
+
+      .sf-formula-code .sf-diff-removed {
+        background-color: var(--sf-diff-removed-bg);
+        border-radius: 2px;
+        text-decoration: line-through;
+      }
+
+      .sf-formula-code .sf-dot {
+        color: var(--sf-dot);
+        font-weight: bold;
+      }
+
+      .sf-formula-code .sf-parenthesis {
+        color: var(--sf-parenthesis);
+        font-weight: bold;
+      }
+
+      .sf-formula-code .sf-comma {
+        color: var(--sf-comma);
+        font-weight: bold;
+      }
+
+      .formula-container {
+        position: relative;
+      }
+
+      .formula-container .copy-formula {
+        opacity: 0.7;
+        transition: opacity 0.2s;
+      }
+
+      .formula-container:hover .copy-formula {
+        opacity: 1;
+      }
+
+      .formula-container .copy-formula.positive {
+        background-color: #21ba45 !important;
+        color: white !important;
+      }
+
+      .formula-container .formula-explanation {
+        margin: 0 0 8px;
+        padding: 6px 12px;
+        background-color: var(--sf-background);
+        border: 1px solid var(--sf-border);
+        border-radius: 4px;
+        color: var(--sf-operator);
+      }
+
+      .formula-container .formula-explanation summary {
+        cursor: pointer;
+        font-weight: bold;
+      }
+
+      .formula-container .formula-explanation p {
+        margin: 6px 0;
+      }
+
+      .formula-container .formula-soql code {
+        color: var(--sf-function);
+        word-break: break-word;
+      }
+
+      .formula-container .theme-selector {
+        position: absolute;
+        top: 8px;
+        right: 40px;
+        z-index: 10;
+      }
+
+      .formula-container .collapse-toggle {
+        position: absolute;
+        top: 8px;
+        right: 8px;
+        z-index: 10;
+        cursor: pointer;
+        opacity: 0.7;
+        transition: opacity 0.2s;
+      }
+
+      .formula-container:hover .collapse-toggle {
+        opacity: 1;
+      }
+
+      .formula-container.collapsed .sf-formula-code {
+        max-height: 60px;
+        overflow: hidden;
+        position: relative;
+      }
+
+      .formula-container.collapsed .sf-formula-code::after {
+        content: '';
+        position: absolute;
+        bottom: 0;
+        left: 0;
+        right: 0;
+        height: 20px;
+        background: linear-gradient(transparent, var(--sf-background));
+        pointer-events: none;
+      }
+    </style>
+  `;
+
+  document.head.insertAdjacentHTML("beforeend", styles);
+
+  // Initialize with current theme
+  updateFormulaStyles();
+}
+
+/**
+ * Toggles the collapse state of a formula container
+ * @param {HTMLElement} button - The collapse toggle button
+ */
+function toggleFormulaCollapse(button) {
+  const container = button.closest(".formula-container");
+  const icon = button.querySelector("i");
+
+  if (container.classList.contains("collapsed")) {
+    // Expand
+    container.classList.remove("collapsed");
+    icon.className = "chevron down icon";
+    button.title = "Collapse";
+  } else {
+    // Collapse
+    container.classList.add("collapsed");
+    icon.className = "chevron up icon";
+    button.title = "Expand";
+  }
+}
+
+/**
+ * Initializes all Salesforce formula functionality
+ * Call this once when the page loads
+ */
+function initializeSalesforceFormulaSupport() {
+  addFormulaSyntaxStyles();
+  initializeFormulaThemes();
+  initializeFormulaCopyButtons();
+
+  // Initialize theme selector dropdowns
+  $(document).on("change", ".theme-selector select", function () {
+    setFormulaTheme(this.value);
+  });
+}
+
+// Auto-initialize when the script loads
+if (typeof document !== "undefined") {
+  document.addEventListener(
+    "DOMContentLoaded",
+    initializeSalesforceFormulaSupport
+  );
+}
@@ -1,6 +1,8 @@
 /**
  * Salesforce Formula Tokenizer and Syntax Highlighter
  * A clean, stepwise approach to formula highlighting
+ * This file has no DOM dependencies so that it also runs in Node.js (see
+ * tools/build-formula-module.js); rendering lives in cfg-sfdc-tokens-ui.js.
  */
 
 /**
@@ -24,8 +26,38 @@ const TOKEN_TYPES = {
   COMMENT: "comment",
   ERROR: "error", // For syntax errors or invalid functions
   DOT: "dot", // For dot notation in nested fields
+  GLOBAL_VARIABLE: "global_variable", // For $User.Id, $Setup.Setting__c.Field__c, ...
+  MERGE_FIELD: "merge_field", // For {!Field} and {!$Record.Name} in flows and templates
 };
 
+/**
+ * Global variables and the number of names that must follow them
+ * e.g. $User.Id needs one, $Setup.Setting__c.Field__c needs two.
+ */
+const GLOBAL_VARIABLES = {
+  $Action: 2,
+  $Api: 1,
+  $CustomMetadata: 3,
+  $Flow: 1,
+  $Label: 1,
+  $Network: 1,
+  $ObjectType: 2,
+  $Organization: 1,
+  $Permission: 1,
+  $Profile: 1,
+  $Record: 1,
+  $Record__Prior: 1,
+  $Resource: 1,
+  $Setup: 2,
+  $Site: 1,
+  $System: 1,
+  $User: 1,
+  $UserRole: 1,
+};
+
+// Contents of a well-formed merge field, e.g. Account.Name or $User.Id
+const MERGE_FIELD_PATTERN = /^\$?[a-zA-Z_]\w*(\s*\.\s*[a-zA-Z_]\w*)*$/;
+
 /**
  * Salesforce formula keywords and functions
  */
@@ -67,6 +99,19 @@ const SF_KEYWORDS = {
     "CHAR",
     "UNICHAR",
     "UNICODE",
+    "CASESAFEID",
+    "LPAD",
+    "RPAD",
+    "INITCAP",
+    "REVERSE",
+    "ASCII",
+    "CHR",
+    "HTMLENCODE",
+    "JSENCODE",
+    "JSINHTMLENCODE",
+    "URLENCODE",
+    "GETSESSIONID",
+    "IMAGEPROXYURL",
   ],
 
   // Math functions
@@ -97,6 +142,11 @@ const SF_KEYWORDS = {
     "FACT",
     "GCD",
     "LCM",
+    "MCEILING",
+    "MFLOOR",
+    "TRUNC",
+    "DISTANCE",
+    "GEOLOCATION",
   ],
 
   // Date/Time functions
@@ -132,6 +182,13 @@ const SF_KEYWORDS = {
     "FISCAL_MONTH",
     "FISCAL_QUARTER",
     "FISCAL_YEAR",
+    "DAYOFYEAR",
+    "ISOWEEK",
+    "ISOYEAR",
+    "MILLISECOND",
+    "UNIXTIMESTAMP",
+    "FROMUNIXTIME",
+    "FORMATDURATION",
   ],
 
   // Type conversion and validation
@@ -154,6 +211,8 @@ const SF_KEYWORDS = {
     "PRIORVALUE",
     "ISNEW",
     "ISPICKVAL",
+    "ISCLONE",
+    "CURRENCYRATE",
   ],
 
   // Advanced functions
@@ -174,6 +233,9 @@ const SF_KEYWORDS = {
     "LEAD",
     "FIRST_VALUE",
     "LAST_VALUE",
+    "VLOOKUP",
+    "PARENTGROUPVAL",
+    "PREVGROUPVAL",
   ],
 
   // Constants
@@ -189,6 +251,7 @@ const OPERATORS = [
   ">=",
   "<>",
   "==",
+  "!=",
   "&&",
   "||",
   "=",
@@ -198,101 +261,543 @@ const OPERATORS = [
   "-",
   "*",
   "/",
+  "^",
   "&",
+  "!",
 ];
 
+/**
+ * Signatures of the Salesforce formula functions
+ * Argument and return types are one of: text, number, boolean, date, datetime,
+ * time, picklist, geolocation or any. An argument type may also be an array of
+ * accepted types. Arguments past the end of `args` reuse its last entry.
+ * `returnsArg` names the argument whose type is returned (for IF, CASE, ...),
+ * and `evenArgs` requires an even number of arguments.
+ */
+const FUNCTION_SIGNATURES = {
+  // Logical functions
+  AND: { minArgs: 1, maxArgs: Infinity, args: ["boolean"], returns: "boolean" },
+  OR: { minArgs: 1, maxArgs: Infinity, args: ["boolean"], returns: "boolean" },
+  NOT: { minArgs: 1, maxArgs: 1, args: ["boolean"], returns: "boolean" },
+  IF: {
+    minArgs: 3,
+    maxArgs: 3,
+    args: ["boolean", "any", "any"],
+    returns: "any",
+    returnsArg: 1,
+  },
+  CASE: {
+    minArgs: 4,
+    maxArgs: Infinity,
+    args: ["any"],
+    returns: "any",
+    returnsArg: 2,
+    evenArgs: true,
+  },
+  ISBLANK: { minArgs: 1, maxArgs: 1, args: ["any"], returns: "boolean" },
+  ISNULL: { minArgs: 1, maxArgs: 1, args: ["any"], returns: "boolean" },
+  ISNUMBER: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "boolean" },
+  BLANKVALUE: {
+    minArgs: 2,
+    maxArgs: 2,
+    args: ["any"],
+    returns: "any",
+    returnsArg: 0,
+  },
+  NULLVALUE: {
+    minArgs: 2,
+    maxArgs: 2,
+    args: ["any"],
+    returns: "any",
+    returnsArg: 0,
+  },
+  ISCHANGED: { minArgs: 1, maxArgs: 1, args: ["any"], returns: "boolean" },
+  ISNEW: { minArgs: 0, maxArgs: 0, args: [], returns: "boolean" },
+  ISCLONE: { minArgs: 0, maxArgs: 0, args: [], returns: "boolean" },
+  PRIORVALUE: {
+    minArgs: 1,
+    maxArgs: 1,
+    args: ["any"],
+    returns: "any",
+    returnsArg: 0,
+  },
+  ISPICKVAL: {
+    minArgs: 2,
+    maxArgs: 2,
+    args: ["picklist", "text"],
+    returns: "boolean",
+  },
+
+  // Text functions
+  BEGINS: { minArgs: 2, maxArgs: 2, args: ["text"], returns: "boolean" },
+  BR: { minArgs: 0, maxArgs: 0, args: [], returns: "text" },
+  CASESAFEID: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "text" },
+  CONTAINS: { minArgs: 2, maxArgs: 2, args: ["text"], returns: "boolean" },
+  FIND: {
+    minArgs: 2,
+    maxArgs: 3,
+    args: ["text", "text", "number"],
+    returns: "number",
+  },
+  GETSESSIONID: { minArgs: 0, maxArgs: 0, args: [], returns: "text" },
+  HTMLENCODE: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "text" },
+  HYPERLINK: { minArgs: 2, maxArgs: 3, args: ["text"], returns: "text" },
+  IMAGE: {
+    minArgs: 2,
+    maxArgs: 4,
+    args: ["text", "text", "number", "number"],
+    returns: "text",
+  },
+  IMAGEPROXYURL: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "text" },
+  INCLUDES: {
+    minArgs: 2,
+    maxArgs: 2,
+    args: ["picklist", "text"],
+    returns: "boolean",
+  },
+  INITCAP: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "text" },
+  JSENCODE: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "text" },
+  JSINHTMLENCODE: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "text" },
+  LEFT: { minArgs: 2, maxArgs: 2, args: ["text", "number"], returns: "text" },
+  LEN: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "number" },
+  LOWER: { minArgs: 1, maxArgs: 2, args: ["text"], returns: "text" },
+  LPAD: {
+    minArgs: 2,
+    maxArgs: 3,
+    args: ["text", "number", "text"],
+    returns: "text",
+  },
+  MID: {
+    minArgs: 3,
+    maxArgs: 3,
+    args: ["text", "number", "number"],
+    returns: "text",
+  },
+  REGEX: { minArgs: 2, maxArgs: 2, args: ["text"], returns: "boolean" },
+  REVERSE: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "text" },
+  RIGHT: { minArgs: 2, maxArgs: 2, args: ["text", "number"], returns: "text" },
+  RPAD: {
+    minArgs: 2,
+    maxArgs: 3,
+    args: ["text", "number", "text"],
+    returns: "text",
+  },
+  SUBSTITUTE: { minArgs: 3, maxArgs: 3, args: ["text"], returns: "text" },
+  TEXT: { minArgs: 1, maxArgs: 1, args: ["any"], returns: "text" },
+  TRIM: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "text" },
+  UPPER: { minArgs: 1, maxArgs: 2, args: ["text"], returns: "text" },
+  URLENCODE: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "text" },
+  VALUE: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "number" },
+  ASCII: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "number" },
+  CHR: { minArgs: 1, maxArgs: 1, args: ["number"], returns: "text" },
+
+  // Math functions
+  ABS: { minArgs: 1, maxArgs: 1, args: ["number"], returns: "number" },
+  CEILING: { minArgs: 1, maxArgs: 1, args: ["number"], returns: "number" },
+  DISTANCE: {
+    minArgs: 3,
+    maxArgs: 3,
+    args: ["geolocation", "geolocation", "text"],
+    returns: "number",
+  },
+  EXP: { minArgs: 1, maxArgs: 1, args: ["number"], returns: "number" },
+  FLOOR: { minArgs: 1, maxArgs: 1, args: ["number"], returns: "number" },
+  GEOLOCATION: {
+    minArgs: 2,
+    maxArgs: 2,
+    args: ["number"],
+    returns: "geolocation",
+  },
+  LN: { minArgs: 1, maxArgs: 1, args: ["number"], returns: "number" },
+  LOG: { minArgs: 1, maxArgs: 1, args: ["number"], returns: "number" },
+  MAX: { minArgs: 1, maxArgs: Infinity, args: ["number"], returns: "number" },
+  MCEILING: { minArgs: 1, maxArgs: 1, args: ["number"], returns: "number" },
+  MFLOOR: { minArgs: 1, maxArgs: 1, args: ["number"], returns: "number" },
+  MIN: { minArgs: 1, maxArgs: Infinity, args: ["number"], returns: "number" },
+  MOD: { minArgs: 2, maxArgs: 2, args: ["number"], returns: "number" },
+  ROUND: { minArgs: 2, maxArgs: 2, args: ["number"], returns: "number" },
+  SQRT: { minArgs: 1, maxArgs: 1, args: ["number"], returns: "number" },
+  TRUNC: { minArgs: 1, maxArgs: 2, args: ["number"], returns: "number" },
+
+  // Date/Time functions
+  ADDMONTHS: {
+    minArgs: 2,
+    maxArgs: 2,
+    args: [["date", "datetime"], "number"],
+    returns: "any",
+    returnsArg: 0,
+  },
+  DATE: { minArgs: 3, maxArgs: 3, args: ["number"], returns: "date" },
+  DATETIMEVALUE: {
+    minArgs: 1,
+    maxArgs: 1,
+    args: [["text", "date"]],
+    returns: "datetime",
+  },
+  DATEVALUE: {
+    minArgs: 1,
+    maxArgs: 1,
+    args: [["text", "datetime"]],
+    returns: "date",
+  },
+  DAY: { minArgs: 1, maxArgs: 1, args: ["date"], returns: "number" },
+  DAYOFYEAR: { minArgs: 1, maxArgs: 1, args: ["date"], returns: "number" },
+  FORMATDURATION: {
+    minArgs: 1,
+    maxArgs: 2,
+    args: [
+      ["number", "date", "datetime", "time"],
+      ["boolean", "date", "datetime", "time"],
+    ],
+    returns: "text",
+  },
+  FROMUNIXTIME: {
+    minArgs: 1,
+    maxArgs: 1,
+    args: ["number"],
+    returns: "datetime",
+  },
+  HOUR: { minArgs: 1, maxArgs: 1, args: ["time"], returns: "number" },
+  ISOWEEK: { minArgs: 1, maxArgs: 1, args: ["date"], returns: "number" },
+  ISOYEAR: { minArgs: 1, maxArgs: 1, args: ["date"], returns: "number" },
+  MILLISECOND: { minArgs: 1, maxArgs: 1, args: ["time"], returns: "number" },
+  MINUTE: { minArgs: 1, maxArgs: 1, args: ["time"], returns: "number" },
+  MONTH: { minArgs: 1, maxArgs: 1, args: ["date"], returns: "number" },
+  NOW: { minArgs: 0, maxArgs: 0, args: [], returns: "datetime" },
+  SECOND: { minArgs: 1, maxArgs: 1, args: ["time"], returns: "number" },
+  TIMENOW: { minArgs: 0, maxArgs: 0, args: [], returns: "time" },
+  TIMEVALUE: {
+    minArgs: 1,
+    maxArgs: 1,
+    args: [["text", "datetime"]],
+    returns: "time",
+  },
+  TODAY: { minArgs: 0, maxArgs: 0, args: [], returns: "date" },
+  UNIXTIMESTAMP: {
+    minArgs: 1,
+    maxArgs: 1,
+    args: [["date", "datetime"]],
+    returns: "number",
+  },
+  WEEKDAY: { minArgs: 1, maxArgs: 1, args: ["date"], returns: "number" },
+  YEAR: { minArgs: 1, maxArgs: 1, args: ["date"], returns: "number" },
+
+  // Advanced functions
+  CURRENCYRATE: { minArgs: 1, maxArgs: 1, args: ["text"], returns: "number" },
+  PARENTGROUPVAL: { minArgs: 2, maxArgs: 3, args: ["any"], returns: "any" },
+  PREVGROUPVAL: { minArgs: 2, maxArgs: 3, args: ["any"], returns: "any" },
+  VLOOKUP: {
+    minArgs: 3,
+    maxArgs: 3,
+    args: ["any", "any", "text"],
+    returns: "any",
+  },
+};
+
+/**
+ * Default maximum line width for prettified formulas
+ */
+const DEFAULT_FORMULA_LINE_WIDTH = 80;
+
 /**
  * Prettifies a Salesforce formula by applying consistent formatting
+ * Works from the formula's tokens: string literals and comments are kept
+ * verbatim, function names and constants are upper-cased, and calls or
+ * operator chains that do not fit within the line width are broken across
+ * lines with consistent indentation. Formulas with syntax errors are
+ * returned unchanged.
  * @param {string} formula - The raw Salesforce formula
+ * @param {Object} options - Formatting options
+ * @param {number} options.maxLineWidth - Maximum line width (default 80)
+ * @param {string} options.indent - Indentation unit (default two spaces)
  * @returns {string} - The prettified formula
  */
-function prettifySalesforceFormula(formula) {
+function prettifySalesforceFormula(formula, options = {}) {
   if (!formula || typeof formula !== "string") {
     return formula;
   }
 
-  let result = formula.trim();
-
-  // Use a more robust approach: replace multi-character operators with unique tokens
-  // that won't be matched by single-character regex
-  const multiCharOps = [
-    { pattern: /<=/g, replacement: "___LESS_EQUAL___" },
-    { pattern: />=/g, replacement: "___GREATER_EQUAL___" },
-    { pattern: /<>/g, replacement: "___NOT_EQUAL___" },
-    { pattern: /==/g, replacement: "___EQUAL_EQUAL___" },
-    { pattern: /&&/g, replacement: "___AND___" },
-    { pattern: /\|\|/g, replacement: "___OR___" },
-  ];
+  const { maxLineWidth = DEFAULT_FORMULA_LINE_WIDTH, indent = "  " } = options;
 
-  // Step 1: Protect multi-character operators
-  multiCharOps.forEach(({ pattern, replacement }) => {
-    result = result.replace(pattern, replacement);
-  });
+  if (parseFormula(formula).errors.length > 0) {
+    return formula;
+  }
 
-  // Step 2: Process single-character operators
-  // First, add spaces around all single-character operators (but preserve newlines)
-  result = result
-    .replace(/[ \t]*=[ \t]*/g, " = ")
-    .replace(/[ \t]*>[ \t]*/g, " > ")
-    .replace(/[ \t]*<[ \t]*/g, " < ")
-    .replace(/[ \t]*\+[ \t]*/g, " + ")
-    .replace(/[ \t]*-[ \t]*/g, " - ")
-    .replace(/[ \t]*\*[ \t]*/g, " * ")
-    .replace(/[ \t]*\/[ \t]*/g, " / ");
-
-  // Step 3: Process parentheses and commas (but preserve newlines)
-  result = result.replace(/[ \t]*([(),])[ \t]*/g, "$1 ");
-
-  // Step 4: Normalize whitespace while preserving line breaks
-  result = result.replace(/[ \t]+/g, " "); // Only normalize spaces and tabs, not newlines
-
-  // Step 5: Restore multi-character operators and fix any that got split
-  result = result
-    .replace(/___LESS_EQUAL___/g, " <= ")
-    .replace(/___GREATER_EQUAL___/g, " >= ")
-    .replace(/___NOT_EQUAL___/g, " <> ")
-    .replace(/___EQUAL_EQUAL___/g, " == ")
-    .replace(/___AND___/g, " && ")
-    .replace(/___OR___/g, " || ")
-    // Fix any multi-character operators that got split during single-char processing
-    .replace(/>[ \t]*=/g, " >= ")
-    .replace(/<[ \t]*=/g, " <= ")
-    .replace(/<[ \t]*>/g, " <> ")
-    .replace(/=[ \t]*=/g, " == ")
-    .replace(/&[ \t]*&/g, " && ")
-    .replace(/\|[ \t]*\|/g, " || ");
-
-  // Step 6: Final whitespace normalization (preserving line breaks)
-  result = result.replace(/[ \t]+/g, " ").trim();
-
-  // Capitalize function names
-  const allFunctions = [
-    ...SF_KEYWORDS.logical,
-    ...SF_KEYWORDS.text,
-    ...SF_KEYWORDS.math,
-    ...SF_KEYWORDS.datetime,
-    ...SF_KEYWORDS.conversion,
-  ];
+  const tokens = tokenizeFormula(formula).filter(
+    (token) => token.type !== TOKEN_TYPES.WHITESPACE
+  );
+  const sequence = buildFormulaLayoutSequence(tokens, { index: 0 });
 
-  allFunctions.forEach((func) => {
-    const regex = new RegExp(`\\b${func}\\b`, "gi");
-    result = result.replace(regex, func.toUpperCase());
-  });
+  const lastLineLength = (text) => text.length - text.lastIndexOf("\n") - 1;
+  const fits = (text, column) =>
+    !text.includes("\n") && column + text.length <= maxLineWidth;
 
-  // Capitalize constants
-  SF_KEYWORDS.constants.forEach((constant) => {
-    const regex = new RegExp(`\\b${constant}\\b`, "gi");
-    result = result.replace(regex, constant.toUpperCase());
-  });
+  function layoutSequence(items, column, currentIndent) {
+    const flat = flattenFormulaLayout(items);
+    if (!hasFormulaLineComment(items) && fits(flat, column)) {
+      return flat;
+    }
 
-  // Add proper spacing around parentheses (but preserve newlines)
-  result = result
-    .replace(/[ \t]*\([ \t]*/g, " (")
-    .replace(/[ \t]*\)[ \t]*/g, ") ")
-    .replace(/[ \t]+/g, " ") // Only normalize spaces and tabs, not newlines
-    .trim();
+    // Break operator chains before their loosest-binding operators
+    const binaryPrecedences = items
+      .filter((item) => item.kind === "operator" && !item.unary)
+      .map((item) => OPERATOR_PRECEDENCE[item.text]);
+    if (binaryPrecedences.length > 0) {
+      const loosest = Math.min(...binaryPrecedences);
+      const operands = [[]];
+      const operators = [];
+      items.forEach((item) => {
+        if (
+          item.kind === "operator" &&
+          !item.unary &&
+          OPERATOR_PRECEDENCE[item.text] === loosest
+        ) {
+          operators.push(item.text);
+          operands.push([]);
+        } else {
+          operands[operands.length - 1].push(item);
+        }
+      });
 
-  return result;
+      let result = layoutSequence(operands[0], column, currentIndent);
+      operators.forEach((operator, i) => {
+        const prefix = `\n${currentIndent}${operator} `;
+        result +=
+          prefix +
+          layoutSequence(
+            operands[i + 1],
+            currentIndent.length + operator.length + 1,
+            currentIndent
+          );
+      });
+      return result;
+    }
+
+    // A single operand: lay out its parts one after another
+    let result = "";
+    items.forEach((item, i) => {
+      if (i > 0 && isFormulaLineComment(items[i - 1])) {
+        result += `\n${currentIndent}`;
+      } else if (i > 0 && needsFormulaLayoutSpace(items[i - 1])) {
+        result += " ";
+      }
+      const itemColumn =
+        result.includes("\n") ? lastLineLength(result) : column + result.length;
+      result +=
+        item.kind === "group" ?
+          layoutGroup(item, itemColumn, currentIndent)
+        : item.text;
+    });
+    return result;
+  }
+
+  function layoutGroup(group, column, currentIndent) {
+    const flat = flattenFormulaLayout([group]);
+    if (
+      group.args.length === 0 ||
+      (!hasFormulaLineComment([group]) && fits(flat, column))
+    ) {
+      return flat;
+    }
+
+    const innerIndent = currentIndent + indent;
+    const lastIndex = group.args.length - 1;
+
+    // Line comments next to a comma follow it, so they cannot swallow it
+    const args = group.args.map((arg) => arg.slice());
+    const trailing = args.map(() => []);
+    args.forEach((arg, i) => {
+      if (i > 0 && isFormulaLineComment(arg[0])) {
+        while (arg.length > 1 && arg[0].kind === "comment") {
+          trailing[i - 1].push(arg.shift());
+        }
+      }
+      if (isFormulaLineComment(arg[arg.length - 1])) {
+        while (arg.length > 1 && arg[arg.length - 1].kind === "comment") {
+          trailing[i].unshift(arg.pop());
+        }
+      }
+    });
+
+    const layoutArgument = (i) =>
+      innerIndent +
+      layoutSequence(args[i], innerIndent.length, innerIndent) +
+      (i < lastIndex ? "," : "") +
+      trailing[i]
+        .map((comment, j) =>
+          j > 0 && isFormulaLineComment(trailing[i][j - 1]) ?
+            `\n${innerIndent}${comment.text}`
+          : ` ${comment.text}`
+        )
+        .join("");
+
+    let lines;
+    if (group.name === "CASE" && group.args.length > 2) {
+      // Keep each CASE value on the same line as its result when it fits
+      lines = [layoutArgument(0)];
+      for (let i = 1; i < args.length; i += 2) {
+        const pair = args.slice(i, i + 2);
+        const flatPair =
+          innerIndent +
+          pair.map((arg) => flattenFormulaLayout(arg)).join(", ") +
+          (i + pair.length - 1 < lastIndex ? "," : "");
+        const commented =
+          hasFormulaLineComment(pair.flat()) ||
+          trailing.slice(i, i + 2).some((comments) => comments.length > 0);
+        lines.push(
+          !commented && fits(flatPair, 0) ?
+            flatPair
+          : pair.map((arg, j) => layoutArgument(i + j)).join("\n")
+        );
+      }
+    } else {
+      lines = args.map((arg, i) => layoutArgument(i));
+    }
+
+    return `${group.name}(\n${lines.join("\n")}\n${currentIndent})`;
+  }
+
+  return layoutSequence(sequence, 0, "");
+}
+
+/**
+ * Groups formula tokens into the nested layout used by the pretty-printer
+ * Each item is an atom (operand text), an operator, a comment, or a group
+ * for a function call or parenthesized expression with its argument lists.
+ * @param {Array} tokens - Tokens from tokenizeFormula, without whitespace
+ * @param {Object} state - Shared read position ({ index })
+ * @returns {Array} Items up to the next top-level comma or closing parenthesis
+ */
+function buildFormulaLayoutSequence(tokens, state) {
+  const items = [];
+  const isPunctuation = (token, value) =>
+    token !== undefined &&
+    (token.type === TOKEN_TYPES.PARENTHESIS ||
+      token.type === TOKEN_TYPES.COMMA) &&
+    token.value === value;
+  // Field paths such as Owner:User.Name are written without spaces
+  const joinsName = (token) =>
+    token !== undefined &&
+    (token.type === TOKEN_TYPES.DOT ||
+      (token.type === TOKEN_TYPES.IDENTIFIER && token.value === ":"));
+
+  while (state.index < tokens.length) {
+    const token = tokens[state.index];
+
+    if (isPunctuation(token, ",") || isPunctuation(token, ")")) {
+      break;
+    }
+
+    if (isPunctuation(token, "(")) {
+      state.index++;
+      const args = [];
+      const previous = items[items.length - 1];
+      const name =
+        previous && previous.kind === "atom" && previous.callable ?
+          items.pop().text
+        : "";
+      if (!isPunctuation(tokens[state.index], ")")) {
+        while (state.index < tokens.length) {
+          args.push(buildFormulaLayoutSequence(tokens, state));
+          if (!isPunctuation(tokens[state.index], ",")) {
+            break;
+          }
+          state.index++;
+        }
+      }
+      state.index++; // closing parenthesis
+      items.push({ kind: "group", name, args });
+      continue;
+    }
+
+    state.index++;
+
+    if (token.type === TOKEN_TYPES.COMMENT) {
+      items.push({ kind: "comment", text: token.value });
+    } else if (token.type === TOKEN_TYPES.OPERATOR) {
+      // An operator with no operand before it is a prefix operator
+      const previous = items.filter((item) => item.kind !== "comment").pop();
+      items.push({
+        kind: "operator",
+        text: token.value,
+        unary: previous === undefined || previous.kind === "operator",
+      });
+    } else {
+      // Merge the parts of a dotted or global field path into one atom
+      let text = token.value;
+      let last = token;
+      while (
+        joinsName(tokens[state.index]) ||
+        (joinsName(last) && tokens[state.index] !== undefined)
+      ) {
+        last = tokens[state.index];
+        text += last.value;
+        state.index++;
+      }
+
+      const upper = text.toUpperCase();
+      const callable = isPunctuation(tokens[state.index], "(");
+      if (callable && FUNCTION_SIGNATURES[upper]) {
+        text = upper;
+      } else if (!callable && SF_KEYWORDS.constants.includes(upper)) {
+        text = upper;
+      }
+      items.push({ kind: "atom", text, callable });
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Checks whether a layout item is followed by a space
+ * @param {Object} previous - Item from buildFormulaLayoutSequence
+ * @returns {boolean} False only for a prefix operator
+ */
+function needsFormulaLayoutSpace(previous) {
+  return !(previous.kind === "operator" && previous.unary);
+}
+
+/**
+ * Checks whether a layout item is a // comment, which runs to the end of the line
+ * @param {Object} item - Item from buildFormulaLayoutSequence
+ * @returns {boolean} True for a line comment
+ */
+function isFormulaLineComment(item) {
+  return item?.kind === "comment" && item.text.startsWith("//");
+}
+
+/**
+ * Checks whether layout items contain a line comment, at any depth
+ * @param {Array} items - Items from buildFormulaLayoutSequence
+ * @returns {boolean} True if the items cannot be written on a single line
+ */
+function hasFormulaLineComment(items) {
+  return items.some(
+    (item) =>
+      isFormulaLineComment(item) ||
+      (item.kind === "group" && item.args.some(hasFormulaLineComment))
+  );
+}
+
+/**
+ * Renders layout items on a single line
+ * @param {Array} items - Items from buildFormulaLayoutSequence
+ * @returns {string} The formula text without line breaks (unless a comment needs one)
+ */
+function flattenFormulaLayout(items) {
+  return items
+    .map((item, i) => {
+      const text =
+        item.kind === "group" ?
+          `${item.name}(${item.args.map(flattenFormulaLayout).join(", ")})`
+        : item.text;
+      if (i > 0 && isFormulaLineComment(items[i - 1])) {
+        return `\n${text}`;
+      }
+      return i > 0 && needsFormulaLayoutSpace(items[i - 1]) ? ` ${text}` : text;
+    })
+    .join("");
 }
 
 /**
@@ -437,6 +942,35 @@ function tokenizeFormula(formula) {
       continue;
     }
 
+    // Handle global variables ($User.Id, $Setup. Setting__c.Field__c)
+    if (char === "$" && /[a-zA-Z]/.test(formula[position + 1] || "")) {
+      const match = formula
+        .substring(position)
+        .match(/^\$[a-zA-Z]\w*(\s*\.\s*[a-zA-Z_]\w*)*/);
+      tokens.push({
+        type: TOKEN_TYPES.GLOBAL_VARIABLE,
+        value: match[0],
+        start: position,
+        end: position + match[0].length,
+      });
+      position += match[0].length;
+      continue;
+    }
+
+    // Handle merge fields ({!Account.Name}); unterminated ones run to the end
+    if (char === "{" && formula[position + 1] === "!") {
+      const close = formula.indexOf("}", position);
+      const end = close === -1 ? length : close + 1;
+      tokens.push({
+        type: TOKEN_TYPES.MERGE_FIELD,
+        value: formula.substring(position, end),
+        start: position,
+        end,
+      });
+      position = end;
+      continue;
+    }
+
     // Handle operators (multi-character) - MUST come before other character handling
     let operatorFound = false;
     for (const op of OPERATORS) {
@@ -746,646 +1280,1860 @@ function classifyTokens(tokens) {
 }
 
 /**
- * Renders tokens as HTML with syntax highlighting
- * @param {Array} tokens - Array of classified tokens
- * @returns {string} HTML string with syntax highlighting
+ * Node types produced by parseFormula
  */
-function renderTokens(tokens) {
-  return tokens
-    .map((token) => {
-      switch (token.type) {
-        case TOKEN_TYPES.FUNCTION:
-          return `<span class="sf-function">${token.value}</span>`;
-        case TOKEN_TYPES.FIELD:
-          return `<span class="sf-field">${token.value}</span>`;
-        case TOKEN_TYPES.NESTED_FIELD:
-          return `<span class="sf-nested-field">${token.value}</span>`;
-        case TOKEN_TYPES.CUSTOM_FUNCTION:
-          return `<span class="sf-custom-function">${token.value}</span>`;
-        case TOKEN_TYPES.FORMULA_FIELD:
-          return `<span class="sf-formula-field">${token.value}</span>`;
-        case TOKEN_TYPES.OPERATOR:
-          return `<span class="sf-operator">${token.value}</span>`;
-        case TOKEN_TYPES.STRING:
-          return `<span class="sf-string">${token.value}</span>`;
-        case TOKEN_TYPES.NUMBER:
-          return `<span class="sf-number">${token.value}</span>`;
-        case TOKEN_TYPES.CONSTANT:
-          return `<span class="sf-constant">${token.value}</span>`;
-        case TOKEN_TYPES.COMMENT:
-          return `<span class="sf-comment">${token.value}</span>`;
-        case TOKEN_TYPES.ERROR:
-          return `<span class="sf-error">${token.value}</span>`;
-        case TOKEN_TYPES.DOT:
-          return `<span class="sf-dot">${token.value}</span>`;
-        case TOKEN_TYPES.PARENTHESIS:
-          return `<span class="sf-parenthesis">${token.value}</span>`;
-        case TOKEN_TYPES.COMMA:
-          return `<span class="sf-comma">${token.value}</span>`;
-        case TOKEN_TYPES.WHITESPACE:
-          return token.value;
-        default:
-          return token.value;
-      }
-    })
-    .join("");
-}
+const AST_NODE_TYPES = {
+  CALL: "call", // Function call with an argument list
+  BINARY: "binary", // Binary operator expression
+  UNARY: "unary", // Prefix operator expression (-, +, !)
+  FIELD: "field", // Field path such as Owner.FirstName or [Account].[Name]
+  STRING: "string",
+  NUMBER: "number",
+  CONSTANT: "constant", // TRUE, FALSE, NULL, ...
+  ERROR: "error", // Placeholder for input that could not be parsed
+};
 
 /**
- * Main function to highlight a Salesforce formula
- * @param {string} formula - The Salesforce formula to highlight
- * @param {boolean} showErrors - Whether to highlight syntax errors (default: true)
- * @returns {string} HTML string with syntax highlighting
+ * Binary operator precedence for Salesforce formulas (higher binds tighter)
  */
-function highlightFormula(formula, showErrors = true) {
-  const tokens = tokenizeFormula(formula);
-  let classifiedTokens = classifyTokens(tokens);
-
-  if (showErrors) {
-    const errors = detectFormulaErrors(formula);
-    if (errors.length > 0) {
-      classifiedTokens = markErrorTokens(classifiedTokens, errors);
-    }
-  }
+const OPERATOR_PRECEDENCE = {
+  "||": 1,
+  "&&": 2,
+  "=": 3,
+  "==": 3,
+  "<>": 3,
+  "!=": 3,
+  "<": 4,
+  ">": 4,
+  "<=": 4,
+  ">=": 4,
+  "&": 5,
+  "+": 6,
+  "-": 6,
+  "*": 7,
+  "/": 7,
+  "^": 9,
+};
 
-  return renderTokens(classifiedTokens);
-}
+/**
+ * Precedence of the prefix operators; exponentiation binds tighter, so -2^2 is -(2^2)
+ */
+const UNARY_PRECEDENCE = 8;
 
 /**
- * Creates a syntax-highlighted code block for a Salesforce formula
- * @param {string} formula - The Salesforce formula
- * @param {Object} options - Display options
- * @param {boolean} options.prettify - Whether to prettify the formula first
- * @param {string} options.className - Additional CSS classes
- * @param {boolean} options.showCopyButton - Whether to show a copy button
- * @returns {string} HTML for the code block
- */
-function createFormulaCodeBlock(formula, options = {}) {
-  const {
-    prettify = true,
-    className = "",
-    showCopyButton = true,
-    showLineNumbers = false,
-    showThemeSelector = false,
-    showCollapseToggle = false,
-    maxLines = null,
-  } = options;
+ * Parses a Salesforce formula into an expression tree
+ * Every node carries the start and end offsets of its source text.
+ * @param {string} formula - The Salesforce formula to parse
+ * @returns {Object} Object with the root node (ast, null for an empty formula)
+ * and an array of syntax errors in the detectFormulaErrors shape
+ */
+function parseFormula(formula) {
+  const errors = [];
 
   if (!formula || typeof formula !== "string") {
-    return '<div class="ui grey label">No formula</div>';
+    return { ast: null, errors };
   }
 
-  const processedFormula =
-    prettify ? prettifySalesforceFormula(formula) : formula;
-  const highlightedFormula = highlightFormula(processedFormula);
-
-  // Generate line numbers if requested
-  let lineNumbersHtml = "";
-  if (showLineNumbers) {
-    const lines = processedFormula.split("\n");
-    lineNumbersHtml =
-      '<div class="line-numbers">' +
-      lines.map((_, index) => `<div>${index + 1}</div>`).join("") +
-      "</div>";
-  }
+  const tokens = tokenizeFormula(formula).filter(
+    (token) =>
+      token.type !== TOKEN_TYPES.WHITESPACE &&
+      token.type !== TOKEN_TYPES.COMMENT
+  );
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[index + offset];
+  const isPunctuation = (token, value) =>
+    token !== undefined &&
+    (token.type === TOKEN_TYPES.PARENTHESIS ||
+      token.type === TOKEN_TYPES.COMMA) &&
+    token.value === value;
+  const isName = (token) =>
+    token !== undefined &&
+    token.type === TOKEN_TYPES.IDENTIFIER &&
+    /^[a-zA-Z_]/.test(token.value);
+
+  const addError = (position, message) => {
+    errors.push({ position, message, type: "syntax" });
+  };
 
-  // Theme selector if requested
-  let themeSelectorHtml = "";
-  if (showThemeSelector) {
-    const themes = getAvailableThemes();
-    const currentTheme = getCurrentTheme();
-    themeSelectorHtml = `
-      <div class="theme-selector">
-        <select class="ui mini dropdown" onchange="setFormulaTheme(this.value)">
-          ${themes
-            .map(
-              (theme) =>
-                `<option value="${theme}" ${theme === currentTheme ? "selected" : ""}>${theme.charAt(0).toUpperCase() + theme.slice(1)}</option>`
-            )
-            .join("")}
-        </select>
-      </div>
-    `;
-  }
+  const errorNode = (token, message) => {
+    addError(token.start, message);
+    return {
+      type: AST_NODE_TYPES.ERROR,
+      value: token.value,
+      start: token.start,
+      end: token.end,
+    };
+  };
+
+  function parseExpression(minPrecedence) {
+    let left = parseUnary();
+
+    while (index < tokens.length) {
+      const token = peek();
+      const precedence =
+        token.type === TOKEN_TYPES.OPERATOR ?
+          OPERATOR_PRECEDENCE[token.value]
+        : undefined;
+      if (precedence === undefined || precedence < minPrecedence) {
+        break;
+      }
+
+      index++;
+      // Exponentiation is right-associative, everything else left-associative
+      const right = parseExpression(
+        token.value === "^" ? precedence : precedence + 1
+      );
+      left = {
+        type: AST_NODE_TYPES.BINARY,
+        operator: token.value,
+        left,
+        right,
+        operatorStart: token.start,
+        start: left.start,
+        end: right.end,
+      };
+    }
 
-  // Collapse toggle if requested
-  let collapseToggleHtml = "";
-  if (showCollapseToggle) {
-    collapseToggleHtml = `
-      <button class="ui mini icon button collapse-toggle" title="Toggle collapse" onclick="toggleFormulaCollapse(this)">
-        <i class="chevron down icon"></i>
-      </button>
-    `;
+    return left;
   }
 
-  // Apply max lines if specified
-  let maxHeightStyle = "";
-  if (maxLines) {
-    const lineHeight = 1.4; // matches CSS line-height
-    const fontSize = 13; // matches CSS font-size
-    const maxHeight = maxLines * lineHeight * fontSize;
-    maxHeightStyle = `max-height: ${maxHeight}px; overflow-y: auto;`;
+  function parseUnary() {
+    const token = peek();
+    if (
+      token !== undefined &&
+      token.type === TOKEN_TYPES.OPERATOR &&
+      (token.value === "-" || token.value === "+" || token.value === "!")
+    ) {
+      index++;
+      const operand = parseExpression(UNARY_PRECEDENCE);
+      return {
+        type: AST_NODE_TYPES.UNARY,
+        operator: token.value,
+        operand,
+        start: token.start,
+        end: operand.end,
+      };
+    }
+    return parsePrimary();
   }
 
-  const copyButton =
-    showCopyButton ?
-      '<button class="ui mini icon button copy-formula" style="position: absolute; top: 5px; right: 5px;" title="Copy formula"><i class="copy icon"></i></button>'
-    : "";
-
-  const uniqueId = "formula-" + Math.random().toString(36).substr(2, 9);
-  const lineNumbersClass = showLineNumbers ? "with-line-numbers" : "";
-
-  return `
-    <div class="formula-container ${className}" style="position: relative;">
-      ${copyButton}
-      ${themeSelectorHtml}
-      ${collapseToggleHtml}
-      <pre class="sf-formula-code ${lineNumbersClass}" data-formula="${processedFormula.replace(/"/g, "&quot;")}" id="${uniqueId}" style="${maxHeightStyle}">${lineNumbersHtml}${highlightedFormula}</pre>
-    </div>
-  `;
-}
+  function parsePrimary() {
+    const token = peek();
 
-/**
- * Renders a Salesforce formula for DataTable display
- * @param {boolean} prettify - Whether to prettify the formula
- * @param {boolean} showCopyButton - Whether to show copy button in table cells
- * @returns {Function} - DataTable render function
- */
-function renderSalesforceFormula(prettify = true, showCopyButton = false) {
-  return function (data, type) {
-    if (type === "display") {
-      if (!data || typeof data !== "string") {
-        return '<div class="ui grey label">No formula</div>';
+    if (token === undefined) {
+      const position = formula.length;
+      addError(Math.max(position - 1, 0), "Unexpected end of formula");
+      return {
+        type: AST_NODE_TYPES.ERROR,
+        value: "",
+        start: position,
+        end: position,
+      };
+    }
+
+    switch (token.type) {
+      case TOKEN_TYPES.STRING:
+        index++;
+        return {
+          type: AST_NODE_TYPES.STRING,
+          value: unquoteFormulaString(token.value),
+          start: token.start,
+          end: token.end,
+        };
+      case TOKEN_TYPES.NUMBER:
+        index++;
+        if (!/^\d+(\.\d+)?$/.test(token.value)) {
+          return errorNode(token, `Invalid number: ${token.value}`);
+        }
+        return {
+          type: AST_NODE_TYPES.NUMBER,
+          value: parseFloat(token.value),
+          start: token.start,
+          end: token.end,
+        };
+      case TOKEN_TYPES.FIELD:
+      case TOKEN_TYPES.NESTED_FIELD:
+        index++;
+        return {
+          type: AST_NODE_TYPES.FIELD,
+          path: token.value
+            .replace(/\]\s*\.\s*\[/g, ".")
+            .replace(/^\[|\]$/g, "")
+            .split(".")
+            .map((part) => part.trim()),
+          bracketed: true,
+          start: token.start,
+          end: token.end,
+        };
+      case TOKEN_TYPES.PARENTHESIS:
+        if (token.value === "(") {
+          index++;
+          const expression = parseExpression(1);
+          if (isPunctuation(peek(), ")")) {
+            index++;
+          } else {
+            addError(token.start, "Unmatched opening parenthesis");
+          }
+          return { ...expression, parenthesized: true };
+        }
+        index++;
+        return errorNode(token, "Unexpected closing parenthesis");
+      case TOKEN_TYPES.GLOBAL_VARIABLE:
+        index++;
+        return {
+          type: AST_NODE_TYPES.FIELD,
+          path: token.value.split(".").map((part) => part.trim()),
+          bracketed: false,
+          start: token.start,
+          end: token.end,
+        };
+      case TOKEN_TYPES.MERGE_FIELD: {
+        index++;
+        const expression = token.value.replace(/^\{!|\}$/g, "").trim();
+        if (!token.value.endsWith("}")) {
+          return errorNode(token, "Unterminated merge field");
+        }
+        if (!MERGE_FIELD_PATTERN.test(expression)) {
+          return errorNode(token, `Invalid merge field: ${token.value}`);
+        }
+        return {
+          type: AST_NODE_TYPES.FIELD,
+          path: expression.split(".").map((part) => part.trim()),
+          bracketed: false,
+          merge: true,
+          start: token.start,
+          end: token.end,
+        };
       }
+      case TOKEN_TYPES.IDENTIFIER:
+        if (isName(token)) {
+          return parseNamed();
+        }
+        index++;
+        return errorNode(token, `Unexpected character: ${token.value}`);
+      default:
+        index++;
+        return errorNode(token, `Unexpected ${token.type}: ${token.value}`);
+    }
+  }
 
-      const processedFormula =
-        prettify ? prettifySalesforceFormula(data) : data;
-      const highlightedFormula = highlightFormula(processedFormula);
+  function parseNamed() {
+    const first = peek();
+    const name = first.value;
+    index++;
 
-      if (showCopyButton) {
-        const uniqueId = "formula-" + Math.random().toString(36).substr(2, 9);
-        return `
-          <div class="formula-container" style="position: relative;">
-            <button class="ui mini icon button copy-formula" style="position: absolute; top: 2px; right: 2px;" title="Copy formula"><i class="copy icon"></i></button>
-            <pre class="sf-formula-code" data-formula="${processedFormula.replace(/"/g, "&quot;")}" id="${uniqueId}" style="margin: 0; padding: 8px; font-size: 0.9em;">${highlightedFormula}</pre>
-          </div>
-        `;
-      } else {
-        return `<pre class="sf-formula-code" style="margin: 0; padding: 8px; font-size: 0.9em;">${highlightedFormula}</pre>`;
+    if (isPunctuation(peek(), "(")) {
+      return parseCall(name, first);
+    }
+
+    const upperName = name.toUpperCase();
+    if (
+      SF_KEYWORDS.constants.includes(upperName) &&
+      !(peek() && peek().type === TOKEN_TYPES.DOT)
+    ) {
+      return {
+        type: AST_NODE_TYPES.CONSTANT,
+        value: upperName,
+        start: first.start,
+        end: first.end,
+      };
+    }
+
+    const path = [name];
+    let end = tokens[index - 1].end;
+    // Polymorphic relationships name their target type, as in Owner:User.Name
+    const readTypeQualifier = () => {
+      if (
+        peek() &&
+        peek().type === TOKEN_TYPES.IDENTIFIER &&
+        peek().value === ":" &&
+        isName(peek(1))
+      ) {
+        path[path.length - 1] += ":" + peek(1).value;
+        end = peek(1).end;
+        index += 2;
       }
-    } else {
-      return data;
+    };
+    readTypeQualifier();
+    while (peek() && peek().type === TOKEN_TYPES.DOT) {
+      const next = peek(1);
+      if (!isName(next)) {
+        addError(peek().start, "Expected field name after '.'");
+        end = peek().end;
+        index++;
+        break;
+      }
+      path.push(next.value);
+      end = next.end;
+      index += 2;
+      readTypeQualifier();
     }
-  };
-}
 
-/**
- * Initializes copy functionality for formula code blocks
- * @param {string} selector - CSS selector for formula containers
- */
-function initializeFormulaCopyButtons(selector = ".formula-container") {
-  $(document).on("click", `${selector} .copy-formula`, function (e) {
-    e.preventDefault();
-    e.stopPropagation();
-
-    const $container = $(this).closest(".formula-container");
-    const $pre = $container.find(".sf-formula-code");
-    const formula = $pre.attr("data-formula") || $pre.text();
-
-    // Copy to clipboard
-    if (navigator.clipboard) {
-      navigator.clipboard
-        .writeText(formula)
-        .then(() => {
-          // Show success feedback
-          const $button = $(this);
-          const originalIcon = $button.html();
-          $button.html('<i class="check icon"></i>').addClass("positive");
-          setTimeout(() => {
-            $button.html(originalIcon).removeClass("positive");
-          }, 1000);
-        })
-        .catch((err) => {
-          console.error("Failed to copy formula:", err);
-        });
+    return {
+      type: AST_NODE_TYPES.FIELD,
+      path,
+      bracketed: false,
+      start: first.start,
+      end,
+    };
+  }
+
+  function parseCall(name, nameToken) {
+    const open = peek();
+    index++;
+
+    const args = [];
+    let end = open.end;
+
+    if (isPunctuation(peek(), ")")) {
+      end = peek().end;
+      index++;
     } else {
-      // Fallback for older browsers
-      const textArea = document.createElement("textarea");
-      textArea.value = formula;
-      document.body.appendChild(textArea);
-      textArea.select();
-      document.execCommand("copy");
-      document.body.removeChild(textArea);
-    }
-  });
-}
+      while (true) {
+        if (isPunctuation(peek(), ",") || isPunctuation(peek(), ")")) {
+          addError(peek().start, `Missing argument in ${name.toUpperCase()}`);
+        } else {
+          args.push(parseExpression(1));
+        }
 
-/**
- * Theme definitions for Salesforce formula syntax highlighting
- */
-const FORMULA_THEMES = {
-  light: {
-    background: "#f8f9fa",
-    border: "#e9ecef",
-    function: "#0066cc",
-    constant: "#cc6600",
-    operator: "#666666",
-    field: "#009900",
-    nestedField: "#006633",
-    customFunction: "#9933cc",
-    formulaField: "#cc6600",
-    formulaFieldBg: "#fff3cd",
-    string: "#cc0066",
-    number: "#0066cc",
-    comment: "#999999",
-    error: "#dc3545",
-    errorBg: "#f8d7da",
-    dot: "#666666",
-    parenthesis: "#666666",
-    comma: "#666666",
-    lineNumbers: "#999999",
-    lineNumbersBg: "#f1f3f4",
-  },
-  dark: {
-    background: "#2d3748",
-    border: "#4a5568",
-    function: "#63b3ed",
-    constant: "#f6ad55",
-    operator: "#e2e8f0",
-    field: "#68d391",
-    nestedField: "#7dd3fc",
-    customFunction: "#d53f8c",
-    formulaField: "#f6ad55",
-    formulaFieldBg: "#744210",
-    string: "#f687b3",
-    number: "#63b3ed",
-    comment: "#718096",
-    error: "#fc8181",
-    errorBg: "#742a2a",
-    dot: "#e2e8f0",
-    parenthesis: "#e2e8f0",
-    comma: "#e2e8f0",
-    lineNumbers: "#718096",
-    lineNumbersBg: "#1a202c",
-  },
-  solarized: {
-    background: "#fdf6e3",
-    border: "#93a1a1",
-    function: "#268bd2",
-    constant: "#cb4b16",
-    operator: "#586e75",
-    field: "#859900",
-    nestedField: "#2aa198",
-    customFunction: "#d33682",
-    formulaField: "#cb4b16",
-    formulaFieldBg: "#fdf6e3",
-    string: "#d33682",
-    number: "#268bd2",
-    comment: "#93a1a1",
-    error: "#dc322f",
-    errorBg: "#fdf6e3",
-    dot: "#586e75",
-    parenthesis: "#586e75",
-    comma: "#586e75",
-    lineNumbers: "#93a1a1",
-    lineNumbersBg: "#eee8d5",
-  },
-  monokai: {
-    background: "#272822",
-    border: "#3e3d32",
-    function: "#a6e22e",
-    constant: "#fd971f",
-    operator: "#ffffff",
-    field: "#a6e22e",
-    nestedField: "#93c5fd",
-    customFunction: "#f92672",
-    formulaField: "#fd971f",
-    formulaFieldBg: "#3e3d32",
-    string: "#e6db74",
-    number: "#ae81ff",
-    comment: "#75715e",
-    error: "#f92672",
-    errorBg: "#3e3d32",
-    dot: "#ffffff",
-    parenthesis: "#ffffff",
-    comma: "#ffffff",
-    lineNumbers: "#75715e",
-    lineNumbersBg: "#1d1e19",
-  },
-};
+        const next = peek();
+        if (isPunctuation(next, ",")) {
+          index++;
+          continue;
+        }
+        if (isPunctuation(next, ")")) {
+          end = next.end;
+          index++;
+          break;
+        }
+        if (next === undefined) {
+          addError(open.start, "Unmatched opening parenthesis");
+          end = formula.length;
+          break;
+        }
+        // Skip the unexpected token and keep reading arguments
+        addError(next.start, `Expected ',' or ')' but found ${next.value}`);
+        index++;
+      }
+    }
 
-/**
- * Current theme for formula highlighting
- */
-let currentTheme = "light";
+    return {
+      type: AST_NODE_TYPES.CALL,
+      name: name.toUpperCase(),
+      args,
+      start: nameToken.start,
+      end,
+    };
+  }
 
-/**
- * Sets the theme for Salesforce formula syntax highlighting
- * @param {string} themeName - Name of the theme to apply
- */
-function setFormulaTheme(themeName) {
-  if (!FORMULA_THEMES[themeName]) {
-    console.warn(
-      `Theme "${themeName}" not found. Available themes:`,
-      Object.keys(FORMULA_THEMES)
-    );
-    return;
+  if (tokens.length === 0) {
+    return { ast: null, errors };
   }
 
-  currentTheme = themeName;
-  updateFormulaStyles();
-}
+  const ast = parseExpression(1);
 
-/**
- * Gets the current theme
- * @returns {string} Current theme name
- */
-function getCurrentTheme() {
-  return currentTheme;
+  if (index < tokens.length) {
+    const token = peek();
+    addError(token.start, `Unexpected ${token.value} after end of expression`);
+  }
+
+  return { ast, errors };
 }
 
 /**
- * Gets available themes
- * @returns {Array} Array of available theme names
+ * Removes the quotes from a string literal token and resolves escape sequences
+ * @param {string} value - String token value including its quotes
+ * @returns {string} The literal text
  */
-function getAvailableThemes() {
-  return Object.keys(FORMULA_THEMES);
+function unquoteFormulaString(value) {
+  const escapes = { n: "\n", r: "\r", t: "\t" };
+  return value
+    .replace(/^["']/, "")
+    .replace(/["']$/, "")
+    .replace(/\\(.)/g, (match, char) => escapes[char] ?? char);
 }
 
 /**
- * Updates formula styles based on current theme
+ * Visits every node of a parsed formula tree depth-first
+ * @param {Object} node - Root node from parseFormula
+ * @param {Function} callback - Called with (node, parent) for each node; return false to skip its children
+ * @param {Object} parent - Parent of the root node (used internally)
  */
-function updateFormulaStyles() {
-  const theme = FORMULA_THEMES[currentTheme];
-  const styleElement = document.getElementById("sf-formula-styles");
+function walkFormulaAst(node, callback, parent = null) {
+  if (!node) {
+    return;
+  }
 
-  if (!styleElement) {
-    addFormulaSyntaxStyles();
+  if (callback(node, parent) === false) {
     return;
   }
 
-  // Update CSS custom properties
-  const root = document.documentElement;
-  Object.entries(theme).forEach(([key, value]) => {
-    // Convert camelCase to kebab-case for CSS custom properties
-    const cssKey = key.replace(/([A-Z])/g, "-$1").toLowerCase();
-    root.style.setProperty(`--sf-${cssKey}`, value);
-  });
+  switch (node.type) {
+    case AST_NODE_TYPES.CALL:
+      node.args.forEach((arg) => walkFormulaAst(arg, callback, node));
+      break;
+    case AST_NODE_TYPES.BINARY:
+      walkFormulaAst(node.left, callback, node);
+      walkFormulaAst(node.right, callback, node);
+      break;
+    case AST_NODE_TYPES.UNARY:
+      walkFormulaAst(node.operand, callback, node);
+      break;
+  }
 }
 
 /**
- * Adds CSS styles for Salesforce formula syntax highlighting
- * This should be called once when the page loads
+ * Global variables that read fields of a fixed object
  */
-function addFormulaSyntaxStyles() {
-  if (document.getElementById("sf-formula-styles")) {
-    return; // Styles already added
-  }
-
-  const styles = `
-    <style id="sf-formula-styles">
-      :root {
-        --sf-background: #f8f9fa;
-        --sf-border: #e9ecef;
-        --sf-function: #0066cc;
-        --sf-constant: #cc6600;
-        --sf-operator: #666666;
-        --sf-field: #009900;
-        --sf-nested-field: #006633;
-        --sf-custom-function: #9933cc;
-        --sf-formula-field: #cc6600;
-        --sf-formula-field-bg: #fff3cd;
-        --sf-string: #cc0066;
-        --sf-number: #0066cc;
-        --sf-comment: #999999;
-        --sf-error: #dc3545;
-        --sf-error-bg: #f8d7da;
-        --sf-dot: #666666;
-        --sf-parenthesis: #666666;
-        --sf-comma: #666666;
-        --sf-line-numbers: #999999;
-        --sf-line-numbers-bg: #f1f3f4;
-      }
-
-      .sf-formula-code {
-        background-color: var(--sf-background);
-        border: 1px solid var(--sf-border);
-        border-radius: 4px;
-        padding: 12px;
-        margin: 8px 0;
-        font-family: 'Monaco', 'Menlo', 'Ubuntu Mono', monospace;
-        font-size: 13px;
-        line-height: 1.4;
-        overflow-x: auto;
-        white-space: pre-wrap;
-        word-wrap: break-word;
-        position: relative;
-      }
+const GLOBAL_VARIABLE_OBJECTS = {
+  $User: "User",
+  $Profile: "Profile",
+  $UserRole: "UserRole",
+  $Organization: "Organization",
+};
 
-      .sf-formula-code.with-line-numbers {
-        padding-left: 3.5em;
-      }
+/**
+ * Extracts every field and relationship path a formula reads
+ * Paths are resolved against the schema built by parseExtractSpecification
+ * (cfg-sfdc-schema.js), following lookups through their <referenceTo>.
+ * @param {string} formula - The Salesforce formula
+ * @param {string} objectName - API name of the object that owns the formula
+ * @param {Object} schema - Schema from parseExtractSpecification
+ * @returns {Object} Object with the references array and an array of errors
+ * for fields that do not exist
+ */
+function extractFormulaDependencies(formula, objectName, schema) {
+  const references = [];
+  const errors = [];
+  const { ast } = parseFormula(formula);
 
-      .sf-formula-code .line-numbers {
-        position: absolute;
-        left: 0;
-        top: 0;
-        bottom: 0;
-        width: 3em;
-        background-color: var(--sf-line-numbers-bg);
-        border-right: 1px solid var(--sf-border);
-        padding: 12px 8px;
-        font-size: 12px;
-        line-height: 1.4;
-        color: var(--sf-line-numbers);
-        text-align: right;
-        user-select: none;
-        overflow: hidden;
-      }
+  walkFormulaAst(ast, (node) => {
+    if (node.type !== AST_NODE_TYPES.FIELD) {
+      return;
+    }
 
-      .sf-formula-code .sf-function {
-        color: var(--sf-function);
-        font-weight: bold;
-      }
+    const reference = {
+      ...resolveFieldPath(node.path, objectName, schema),
+      start: node.start,
+      end: node.end,
+    };
+    references.push(reference);
+
+    if (reference.status === "missing") {
+      errors.push({
+        position: node.start,
+        message: reference.message,
+        type: "reference",
+      });
+    }
+  });
 
-      .sf-formula-code .sf-constant {
-        color: var(--sf-constant);
-        font-weight: bold;
-      }
+  return { references, errors };
+}
 
-      .sf-formula-code .sf-operator {
-        color: var(--sf-operator);
-        font-weight: bold;
-      }
+/**
+ * Resolves a field path such as Owner.Manager.Name from an owning object
+ * Only unmanaged custom fields and relationships (__c, __r) are reported
+ * missing: the extract specification lists neither standard fields nor those
+ * of managed packages, so these are "unverified" unless the schema has them.
+ * @param {Array} path - Field path segments from parseFormula
+ * @param {string} objectName - API name of the object the path starts from
+ * @param {Object} schema - Schema from parseExtractSpecification
+ * @returns {Object} The resolved reference
+ */
+function resolveFieldPath(path, objectName, schema) {
+  const reference = {
+    path: path.join("."),
+    global: path[0].startsWith("$"),
+    relationships: [],
+    object: objectName,
+    field: path[path.length - 1],
+    definition: null,
+    status: "unverified",
+    message: null,
+  };
+
+  let segments = path;
+  if (reference.global) {
+    if (path[0] === "$Setup" || path[0] === "$ObjectType") {
+      // $Setup.Setting__c.Field__c reads a field of the custom setting
+      reference.object = path.length > 2 ? path[1] : null;
+      segments = path.slice(2);
+    } else if (GLOBAL_VARIABLE_OBJECTS[path[0]]) {
+      reference.object = GLOBAL_VARIABLE_OBJECTS[path[0]];
+      segments = path.slice(1);
+    } else {
+      // $Label, $Permission, $Api, ... do not read record fields
+      reference.object = null;
+      return reference;
+    }
+    if (segments.length === 0) {
+      return reference;
+    }
+  }
+
+  // Managed package names carry a namespace prefix, as in c2g__Field__c
+  const isCustom = (name) =>
+    /__[cr]$/i.test(name) && !/__.*__[cr]$/i.test(name);
+
+  for (let i = 0; i < segments.length - 1; i++) {
+    const [name, polymorphicTarget] = segments[i].split(":");
+    const schemaObject = getSchemaObject(schema, reference.object);
+    const lookupName =
+      /__r$/i.test(name) ? name.replace(/__r$/i, "__c") : `${name}Id`;
+    const lookup = getSchemaField(schemaObject, lookupName);
+
+    const relationship = {
+      name,
+      object: reference.object,
+      field: lookup ? lookup.name : lookupName,
+      referenceTo: null,
+      relationshipName: lookup ? lookup.relationshipName : null,
+    };
+    reference.relationships.push(relationship);
+
+    if (lookup && lookup.referenceTo.length > 0) {
+      relationship.referenceTo = polymorphicTarget || lookup.referenceTo[0];
+    } else if (!lookup && schemaObject && isCustom(name)) {
+      reference.status = "missing";
+      reference.message = `Relationship ${name} does not exist on ${schemaObject.name}`;
+      reference.object = null;
+      return reference;
+    } else {
+      relationship.referenceTo =
+        polymorphicTarget || STANDARD_RELATIONSHIPS[name] || null;
+    }
+
+    reference.object = relationship.referenceTo;
+    if (!reference.object) {
+      return reference;
+    }
+  }
+
+  reference.field = segments[segments.length - 1];
+  const schemaObject = getSchemaObject(schema, reference.object);
+  const definition = getSchemaField(schemaObject, reference.field);
+
+  if (definition) {
+    reference.object = schemaObject.name;
+    reference.field = definition.name;
+    reference.definition = definition;
+    reference.status = "resolved";
+  } else if (schemaObject && isCustom(reference.field)) {
+    reference.status = "missing";
+    reference.message = `Field ${reference.field} does not exist on ${schemaObject.name}`;
+  }
 
-      .sf-formula-code .sf-field {
-        color: var(--sf-field);
-        font-weight: bold;
+  return reference;
+}
+
+/**
+ * Builds both directions of the formula dependency graph for a schema
+ * Covers formula fields and validation rules of every object.
+ * @param {Object} schema - Schema from parseExtractSpecification
+ * @returns {Object} Object with `reads` (formula key to references) and
+ * `readBy` ("Object.Field" to the formula keys that read it); formula keys
+ * are "Object.Field" for formula fields and "Object.ValidationRule:Name"
+ */
+function buildFormulaDependencyIndex(schema) {
+  const reads = {};
+  const readBy = {};
+
+  const addFormula = (key, formula, objectName) => {
+    const { references } = extractFormulaDependencies(
+      formula,
+      objectName,
+      schema
+    );
+    reads[key] = references;
+    references.forEach((reference) => {
+      if (!reference.object) {
+        return;
       }
+      const fieldKey = `${reference.object}.${reference.field}`;
+      readBy[fieldKey] = readBy[fieldKey] || [];
+      if (!readBy[fieldKey].includes(key)) {
+        readBy[fieldKey].push(key);
+      }
+    });
+  };
 
-      .sf-formula-code .sf-string {
-        color: var(--sf-string);
+  Object.values(schema.objects).forEach((schemaObject) => {
+    Object.values(schemaObject.fields).forEach((field) => {
+      if (field.formula) {
+        addFormula(
+          `${schemaObject.name}.${field.name}`,
+          field.formula,
+          schemaObject.name
+        );
+      }
+    });
+    schemaObject.validationRules.forEach((rule) => {
+      if (rule.errorConditionFormula) {
+        addFormula(
+          `${schemaObject.name}.ValidationRule:${rule.name}`,
+          rule.errorConditionFormula,
+          schemaObject.name
+        );
       }
+    });
+  });
+
+  return { reads, readBy };
+}
+
+/**
+ * Operations a roll-up summary filter item may use
+ */
+const SUMMARY_FILTER_OPERATIONS = [
+  "equals",
+  "notEqual",
+  "lessThan",
+  "greaterThan",
+  "lessOrEqual",
+  "greaterOrEqual",
+  "contains",
+  "notContain",
+  "startsWith",
+  "includes",
+  "excludes",
+  "within",
+];
+
+/**
+ * Checks the summarized field and filter items of a roll-up summary field
+ * Filter fields are written as Object.Field, where the object is the one the
+ * summary foreign key belongs to.
+ * @param {Object} summary - The summary of a field from parseExtractSpecification
+ * @param {Object} schema - Schema from parseExtractSpecification
+ * @returns {Array} Array of error objects; position is the index of the filter
+ * item, or -1 for the summary itself
+ */
+function validateSummaryFilters(summary, schema) {
+  const errors = [];
+  const childObject =
+    summary.foreignKey ? summary.foreignKey.split(".")[0] : null;
+
+  const checkField = (qualifiedName, position) => {
+    const [objectName, ...path] = qualifiedName.split(".");
+    if (childObject && objectName.toLowerCase() !== childObject.toLowerCase()) {
+      errors.push({
+        position,
+        message: `${qualifiedName} is not a field of ${childObject}`,
+        type: "reference",
+      });
+      return;
+    }
+    const reference = resolveFieldPath(path, objectName, schema);
+    if (reference.status === "missing") {
+      errors.push({ position, message: reference.message, type: "reference" });
+    }
+  };
+
+  if (summary.summarizedField) {
+    checkField(summary.summarizedField, -1);
+  }
+
+  summary.filterItems.forEach((item, index) => {
+    if (!item.field) {
+      errors.push({
+        position: index,
+        message: "Filter item has no field",
+        type: "syntax",
+      });
+      return;
+    }
+    checkField(item.field, index);
+    if (!SUMMARY_FILTER_OPERATIONS.includes(item.operation)) {
+      errors.push({
+        position: index,
+        message: `Unknown filter operation: ${item.operation}`,
+        type: "syntax",
+      });
+    }
+    if (item.valueField) {
+      checkField(item.valueField, index);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Kinds of completion items, in the order getFormulaCompletions lists them
+ */
+const FORMULA_COMPLETION_KINDS = [
+  "field",
+  "relationship",
+  "function",
+  "global",
+  "constant",
+];
+
+/**
+ * Suggests function, field and global variable names for the word at a caret
+ * Fields come from the schema object the formula belongs to; after a dot the
+ * fields of the related object are offered instead.
+ * @param {string} formula - The formula being edited
+ * @param {number} caret - Caret position within the formula
+ * @param {Object} options - Completion options
+ * @param {string} options.objectName - API name of the object the formula belongs to
+ * @param {Object} options.schema - Schema from parseExtractSpecification
+ * @param {number} options.limit - Maximum number of items (default: 20)
+ * @returns {Object} Object with the start and end of the text to replace and
+ * items: { label, insertText, kind, detail } sorted by kind and label
+ */
+function getFormulaCompletions(formula, caret, options = {}) {
+  const { objectName = null, schema = null, limit = 20 } = options;
+  const before = formula.substring(0, caret);
+  const none = { start: caret, end: caret, items: [] };
+
+  // Nothing to complete inside string literals and comments
+  const tokens = tokenizeFormula(before);
+  const lastToken = tokens[tokens.length - 1];
+  if (
+    lastToken &&
+    lastToken.end === caret &&
+    [TOKEN_TYPES.STRING, TOKEN_TYPES.COMMENT, TOKEN_TYPES.MERGE_FIELD].includes(
+      lastToken.type
+    )
+  ) {
+    return none;
+  }
+
+  const word = before.match(/[$\w]+(\s*\.\s*[\w:]*)*$|$/)[0];
+  if (!word || /^\d/.test(word)) {
+    return none;
+  }
 
-      .sf-formula-code .sf-number {
-        color: var(--sf-number);
-        font-weight: bold;
+  const parts = word.split(".").map((part) => part.trim());
+  const prefix = parts[parts.length - 1];
+  const matches = (label) =>
+    label.toLowerCase().startsWith(prefix.toLowerCase());
+  const items = [];
+
+  const addFields = (schemaObject) => {
+    if (!schemaObject) {
+      return;
+    }
+    Object.values(schemaObject.fields).forEach((field) => {
+      if (matches(field.name)) {
+        items.push({
+          label: field.name,
+          insertText: field.name,
+          kind: "field",
+          detail: field.type,
+        });
+      }
+      // Custom lookups are followed through their __r relationship name
+      const relationship = field.name.replace(/__c$/i, "__r");
+      if (
+        field.referenceTo.length > 0 &&
+        relationship !== field.name &&
+        matches(relationship)
+      ) {
+        items.push({
+          label: relationship,
+          insertText: relationship + ".",
+          kind: "relationship",
+          detail: field.referenceTo.join(", "),
+        });
       }
+    });
+  };
+
+  if (parts.length > 1) {
+    const reference = resolveFieldPath(
+      [...parts.slice(0, -1), prefix || "Id"],
+      objectName,
+      schema
+    );
+    addFields(getSchemaObject(schema, reference.object));
+  } else {
+    addFields(getSchemaObject(schema, objectName));
+
+    Object.keys(SF_KEYWORDS).forEach((category) => {
+      SF_KEYWORDS[category].filter(matches).forEach((name) => {
+        const isConstant = category === "constants";
+        items.push({
+          label: name,
+          insertText: isConstant ? name : name + "(",
+          kind: isConstant ? "constant" : "function",
+          detail: category,
+        });
+      });
+    });
+
+    Object.keys(GLOBAL_VARIABLES)
+      .filter(matches)
+      .forEach((name) => {
+        items.push({
+          label: name,
+          insertText: name + ".",
+          kind: "global",
+          detail: "global variable",
+        });
+      });
+  }
+
+  items.sort(
+    (a, b) =>
+      FORMULA_COMPLETION_KINDS.indexOf(a.kind) -
+        FORMULA_COMPLETION_KINDS.indexOf(b.kind) ||
+      a.label.localeCompare(b.label)
+  );
+
+  return {
+    start: caret - prefix.length,
+    end: caret,
+    items: items.slice(0, limit),
+  };
+}
+
+/**
+ * Salesforce limits for formula text and compiled size, in characters/bytes
+ */
+const FORMULA_LIMITS = {
+  characters: 3900,
+  compiledSize: 5000,
+};
+
+/**
+ * Measures the complexity of a formula
+ * The compiled size is an estimate: the formula's significant characters
+ * (without whitespace and comments), with every referenced formula field
+ * replaced by its own expanded size, as Salesforce inlines them when it
+ * compiles. Cross-object hops count the distinct relationships traversed,
+ * so Owner.Name and Owner.Email make one hop and Owner.Manager.Name two.
+ * @param {string} formula - The Salesforce formula to measure
+ * @param {string} objectName - API name of the object that owns the formula
+ * @param {Object} schema - Optional schema from parseExtractSpecification
+ * @param {string} fieldName - Optional API name of the formula's own field,
+ * so that a reference back to it is not inlined
+ * @returns {Object} Metrics: characters, depth, functionCalls,
+ * crossObjectHops, distinctFields, compiledSize and expandedFields (the
+ * "Object.Field" keys of the formula fields that were inlined)
+ */
+function analyzeFormulaComplexity(formula, objectName, schema, fieldName) {
+  const metrics = {
+    characters: formula ? formula.length : 0,
+    depth: 0,
+    functionCalls: 0,
+    crossObjectHops: 0,
+    distinctFields: 0,
+    compiledSize: 0,
+    expandedFields: [],
+  };
+  if (!formula || typeof formula !== "string") {
+    return metrics;
+  }
+
+  const { ast } = parseFormula(formula);
+  const measureDepth = (node) => {
+    const children =
+      node.type === AST_NODE_TYPES.CALL ? node.args
+      : node.type === AST_NODE_TYPES.BINARY ? [node.left, node.right]
+      : node.type === AST_NODE_TYPES.UNARY ? [node.operand]
+      : [];
+    const deepest = Math.max(0, ...children.map(measureDepth));
+    return node.type === AST_NODE_TYPES.CALL ? deepest + 1 : deepest;
+  };
+  metrics.depth = ast ? measureDepth(ast) : 0;
+
+  walkFormulaAst(ast, (node) => {
+    if (node.type === AST_NODE_TYPES.CALL) {
+      metrics.functionCalls++;
+    }
+  });
 
-      .sf-formula-code .sf-comment {
-        color: var(--sf-comment);
-        font-style: italic;
+  const { references } = extractFormulaDependencies(
+    formula,
+    objectName,
+    schema
+  );
+  const fields = new Set();
+  const relationships = new Set();
+  references.forEach((reference) => {
+    fields.add(reference.path.toLowerCase());
+    const segments = reference.path.toLowerCase().split(".");
+    for (let i = 1; i <= reference.relationships.length; i++) {
+      relationships.add(segments.slice(0, i).join("."));
+    }
+  });
+  metrics.distinctFields = fields.size;
+  metrics.crossObjectHops = relationships.size;
+
+  const expanded = new Set();
+  metrics.compiledSize = estimateCompiledFormulaSize(
+    formula,
+    objectName,
+    schema,
+    fieldName ? [`${objectName}.${fieldName}`.toLowerCase()] : [],
+    expanded
+  );
+  metrics.expandedFields = [...expanded];
+
+  return metrics;
+}
+
+/**
+ * Estimates the compiled size of a formula, inlining formula fields
+ * @param {string} formula - The Salesforce formula
+ * @param {string} objectName - API name of the object that owns the formula
+ * @param {Object} schema - Optional schema from parseExtractSpecification
+ * @param {Array} visiting - Lower-cased "Object.Field" keys being expanded,
+ * starting with the formula's own field (cycle guard)
+ * @param {Set} expanded - Collects the "Object.Field" keys that were inlined
+ * @returns {number} Estimated compiled size
+ */
+function estimateCompiledFormulaSize(
+  formula,
+  objectName,
+  schema,
+  visiting,
+  expanded
+) {
+  let size = tokenizeFormula(formula)
+    .filter(
+      (token) =>
+        token.type !== TOKEN_TYPES.WHITESPACE &&
+        token.type !== TOKEN_TYPES.COMMENT
+    )
+    .reduce((total, token) => total + token.value.length, 0);
+
+  const { references } = extractFormulaDependencies(
+    formula,
+    objectName,
+    schema
+  );
+  references.forEach((reference) => {
+    const definition = reference.definition;
+    const key = `${reference.object}.${reference.field}`;
+    if (
+      !definition ||
+      !definition.formula ||
+      visiting.includes(key.toLowerCase())
+    ) {
+      return;
+    }
+    expanded.add(key);
+    // The reference is replaced by the parenthesized formula it stands for
+    size +=
+      estimateCompiledFormulaSize(
+        definition.formula,
+        reference.object,
+        schema,
+        [...visiting, key.toLowerCase()],
+        expanded
+      ) +
+      2 -
+      (reference.end - reference.start);
+  });
+
+  return size;
+}
+
+/**
+ * Compares two versions of a formula token by token
+ * Whitespace is ignored and function names and constants compare without
+ * regard to case, so reformatting a formula does not count as a change.
+ * @param {string} a - The original formula
+ * @param {string} b - The changed formula
+ * @returns {Object} Object with identical, the added and removed token
+ * counts, and changes: runs of { type: "equal"|"added"|"removed", tokens }
+ * where each classified token keeps its leading whitespace
+ */
+function diffFormulas(a, b) {
+  const before = getFormulaDiffTokens(a);
+  const after = getFormulaDiffTokens(b);
+  const keyOf = (token) => `${token.type}:${token.value}`;
+
+  // Longest common subsequence table, filled from the end
+  const columns = after.length + 1;
+  const lengths = new Int32Array((before.length + 1) * columns);
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * columns + j] =
+        keyOf(before[i]) === keyOf(after[j]) ?
+          lengths[(i + 1) * columns + j + 1] + 1
+        : Math.max(
+            lengths[(i + 1) * columns + j],
+            lengths[i * columns + j + 1]
+          );
+    }
+  }
+
+  const result = { identical: true, added: 0, removed: 0, changes: [] };
+  const push = (type, token) => {
+    const last = result.changes[result.changes.length - 1];
+    if (last && last.type === type) {
+      last.tokens.push(token);
+    } else {
+      result.changes.push({ type, tokens: [token] });
+    }
+    if (type !== "equal") {
+      result.identical = false;
+      result[type]++;
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (
+      i < before.length &&
+      j < after.length &&
+      keyOf(before[i]) === keyOf(after[j])
+    ) {
+      push("equal", after[j]);
+      i++;
+      j++;
+    } else if (
+      i < before.length &&
+      (j === after.length ||
+        lengths[(i + 1) * columns + j] >= lengths[i * columns + j + 1])
+    ) {
+      // Removals come first so a replacement reads old, then new
+      push("removed", before[i]);
+      i++;
+    } else {
+      push("added", after[j]);
+      j++;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Classifies a formula's tokens for diffing, folding whitespace into the
+ * token that follows it
+ * @param {string} formula - The Salesforce formula
+ * @returns {Array} Significant tokens, each with a `whitespace` property
+ */
+function getFormulaDiffTokens(formula) {
+  if (!formula || typeof formula !== "string") {
+    return [];
+  }
+
+  const tokens = [];
+  let whitespace = "";
+  classifyTokens(tokenizeFormula(formula)).forEach((token) => {
+    if (token.type === TOKEN_TYPES.WHITESPACE) {
+      whitespace += token.value;
+    } else {
+      tokens.push({ ...token, whitespace });
+      whitespace = "";
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Spellings that canonicalizeFormula replaces by the standard operator
+ */
+const FORMULA_CANONICAL_OPERATORS = {
+  "==": "=",
+  "!=": "<>",
+};
+
+/**
+ * Shortest canonical formula that findDuplicateFormulas reports; shorter
+ * formulas (a single field, TRUE, ...) repeat by nature
+ */
+const FORMULA_DUPLICATE_MIN_LENGTH = 20;
+
+/**
+ * Rewrites a formula into a canonical form for comparison
+ * Whitespace, comments and redundant parentheses are dropped, functions and
+ * constants are uppercased, `==` becomes `=`, `!=` becomes `<>`, `&&`, `||`
+ * and `!` become AND, OR and NOT (nested ANDs and ORs are merged), numbers
+ * lose leading and trailing zeros and strings use double quotes. Operand
+ * order and field names are kept as written. Formulas with syntax errors are
+ * only stripped and uppercased token by token.
+ * @param {string} formula - The Salesforce formula
+ * @returns {string} The canonical formula; equal strings mean equal logic
+ */
+function canonicalizeFormula(formula) {
+  if (!formula || typeof formula !== "string") {
+    return "";
+  }
+
+  const { ast, errors } = parseFormula(formula);
+  if (ast && errors.length === 0) {
+    return printFormulaAst(normalizeFormulaAst(ast, formula), false);
+  }
+
+  return classifyTokens(tokenizeFormula(formula))
+    .filter(
+      (token) =>
+        token.type !== TOKEN_TYPES.WHITESPACE &&
+        token.type !== TOKEN_TYPES.COMMENT
+    )
+    .map((token) => {
+      if (
+        token.type === TOKEN_TYPES.FUNCTION ||
+        token.type === TOKEN_TYPES.CONSTANT
+      ) {
+        return token.value.toUpperCase();
       }
+      if (token.type === TOKEN_TYPES.OPERATOR) {
+        return FORMULA_CANONICAL_OPERATORS[token.value] || token.value;
+      }
+      return token.value;
+    })
+    .join("");
+}
+
+/**
+ * Rewrites a formula into the shortest equivalent text
+ * Like canonicalizeFormula, but logic is written with `&&`, `||` and `!`
+ * and strings use whichever quote needs fewer escapes. Formulas with syntax
+ * errors are returned unchanged.
+ * @param {string} formula - The Salesforce formula
+ * @returns {string} The minified formula
+ */
+function minifyFormula(formula) {
+  if (!formula || typeof formula !== "string") {
+    return "";
+  }
 
-      .sf-formula-code .sf-nested-field {
-        color: var(--sf-nested-field);
-        font-weight: bold;
-        text-decoration: underline;
+  const { ast, errors } = parseFormula(formula);
+  if (!ast || errors.length > 0) {
+    return formula;
+  }
+  return printFormulaAst(normalizeFormulaAst(ast, formula), true);
+}
+
+/**
+ * Checks whether two formulas have the same canonical form
+ * @param {string} a - A Salesforce formula
+ * @param {string} b - Another Salesforce formula
+ * @returns {boolean} True when the logic is identical
+ */
+function areFormulasEquivalent(a, b) {
+  return canonicalizeFormula(a) === canonicalizeFormula(b);
+}
+
+/**
+ * Copies a parsed formula tree into the canonical shape printed by
+ * printFormulaAst
+ * @param {Object} node - Node from parseFormula (without syntax errors)
+ * @param {string} formula - The formula the node was parsed from
+ * @returns {Object} The normalized node
+ */
+function normalizeFormulaAst(node, formula) {
+  const normalize = (child) => normalizeFormulaAst(child, formula);
+  // AND(a, AND(b, c)) is AND(a, b, c)
+  const logicalCall = (name, args) => ({
+    type: AST_NODE_TYPES.CALL,
+    name,
+    args: args.flatMap((arg) =>
+      arg.type === AST_NODE_TYPES.CALL && arg.name === name ? arg.args : [arg]
+    ),
+  });
+
+  switch (node.type) {
+    case AST_NODE_TYPES.CALL: {
+      const args = node.args.map(normalize);
+      return node.name === "AND" || node.name === "OR" ?
+          logicalCall(node.name, args)
+        : { type: AST_NODE_TYPES.CALL, name: node.name, args };
+    }
+    case AST_NODE_TYPES.BINARY: {
+      const left = normalize(node.left);
+      const right = normalize(node.right);
+      if (node.operator === "&&" || node.operator === "||") {
+        return logicalCall(node.operator === "&&" ? "AND" : "OR", [
+          left,
+          right,
+        ]);
+      }
+      return {
+        type: AST_NODE_TYPES.BINARY,
+        operator: FORMULA_CANONICAL_OPERATORS[node.operator] || node.operator,
+        left,
+        right,
+      };
+    }
+    case AST_NODE_TYPES.UNARY: {
+      const operand = normalize(node.operand);
+      if (node.operator === "!") {
+        return { type: AST_NODE_TYPES.CALL, name: "NOT", args: [operand] };
       }
+      return { type: AST_NODE_TYPES.UNARY, operator: node.operator, operand };
+    }
+    case AST_NODE_TYPES.NUMBER:
+      return {
+        type: AST_NODE_TYPES.NUMBER,
+        value: formula
+          .substring(node.start, node.end)
+          .replace(/^0+(?=\d)/, "")
+          .replace(/(\.\d*?)0+$/, "$1")
+          .replace(/\.$/, ""),
+      };
+    case AST_NODE_TYPES.FIELD:
+      return {
+        type: AST_NODE_TYPES.FIELD,
+        path: node.path,
+        bracketed: node.bracketed,
+        merge: node.merge || false,
+      };
+    default:
+      return { type: node.type, value: node.value };
+  }
+}
 
-      .sf-formula-code .sf-custom-function {
-        color: var(--sf-custom-function);
-        font-weight: bold;
-        font-style: italic;
+/**
+ * Writes a normalized formula tree as text without whitespace, adding only
+ * the parentheses that operator precedence requires
+ * @param {Object} node - Node from normalizeFormulaAst
+ * @param {boolean} minified - Write AND, OR and NOT as operators and pick the
+ * shorter string quoting
+ * @returns {string} The formula text
+ */
+function printFormulaAst(node, minified) {
+  const print = (child) => printFormulaAst(child, minified);
+  const operatorOf = (child) => {
+    if (child.type === AST_NODE_TYPES.BINARY) {
+      return child.operator;
+    }
+    if (minified && child.type === AST_NODE_TYPES.CALL) {
+      if (child.name === "NOT" && child.args.length === 1) {
+        return "!";
       }
+      if (
+        (child.name === "AND" || child.name === "OR") &&
+        child.args.length >= 2
+      ) {
+        return child.name === "AND" ? "&&" : "||";
+      }
+    }
+    return child.type === AST_NODE_TYPES.UNARY ? child.operator : null;
+  };
+  const precedenceOf = (child) => {
+    const operator = operatorOf(child);
+    if (operator === null) {
+      return Infinity;
+    }
+    return operator === "!" || child.type === AST_NODE_TYPES.UNARY ?
+        UNARY_PRECEDENCE
+      : OPERATOR_PRECEDENCE[operator];
+  };
+  const wrap = (child, parenthesize) =>
+    parenthesize ? `(${print(child)})` : print(child);
+
+  const operator = operatorOf(node);
+  switch (node.type) {
+    case AST_NODE_TYPES.CALL:
+      if (operator === "&&" || operator === "||") {
+        return node.args
+          .map((arg) =>
+            wrap(arg, precedenceOf(arg) < OPERATOR_PRECEDENCE[operator])
+          )
+          .join(operator);
+      }
+      if (operator === "!") {
+        return `!${wrap(node.args[0], precedenceOf(node.args[0]) < UNARY_PRECEDENCE)}`;
+      }
+      return `${node.name}(${node.args.map(print).join(",")})`;
+    case AST_NODE_TYPES.BINARY: {
+      const precedence = OPERATOR_PRECEDENCE[operator];
+      // Exponentiation is right-associative, everything else left-associative
+      const rightAssociative = operator === "^";
+      const left = precedenceOf(node.left);
+      const right = precedenceOf(node.right);
+      return (
+        wrap(
+          node.left,
+          left < precedence || (left === precedence && rightAssociative)
+        ) +
+        operator +
+        wrap(
+          node.right,
+          right < precedence ||
+            (right === precedence && !rightAssociative) ||
+            // Keeps 1- -2 from being written as 1--2
+            (node.right.type === AST_NODE_TYPES.UNARY &&
+              (operator === "+" || operator === "-"))
+        )
+      );
+    }
+    case AST_NODE_TYPES.UNARY:
+      return `${operator}${wrap(
+        node.operand,
+        precedenceOf(node.operand) <= UNARY_PRECEDENCE
+      )}`;
+    case AST_NODE_TYPES.FIELD: {
+      const path = node.path.join(".");
+      return (
+        node.merge ? `{!${path}}`
+        : node.bracketed ? `[${node.path.join("].[")}]`
+        : path
+      );
+    }
+    case AST_NODE_TYPES.STRING:
+      return quoteFormulaString(node.value, minified);
+    default:
+      return String(node.value);
+  }
+}
+
+/**
+ * Writes a string literal, the inverse of unquoteFormulaString
+ * @param {string} value - The literal text
+ * @param {boolean} shortest - Use single quotes when that needs fewer escapes
+ * @returns {string} The quoted string
+ */
+function quoteFormulaString(value, shortest = false) {
+  const count = (char) => value.split(char).length - 1;
+  const quote = shortest && count("'") < count('"') ? "'" : '"';
+  const escapes = { "\\": "\\\\", "\n": "\\n", "\r": "\\r", "\t": "\\t" };
+  escapes[quote] = `\\${quote}`;
+  return `${quote}${value.replace(/[\\\n\r\t"']/g, (char) => escapes[char] || char)}${quote}`;
+}
+
+/**
+ * Finds formula fields and validation rules that share the same logic
+ * Formulas are grouped by canonicalizeFormula, so formatting, comments and
+ * operator spelling do not hide a copy.
+ * @param {Object} schema - Schema from parseExtractSpecification
+ * @param {Object} options - Options: minLength (shortest canonical formula to
+ * report, default FORMULA_DUPLICATE_MIN_LENGTH)
+ * @returns {Array} Groups of at least two, largest first: { canonical, items }
+ * where each item has key (as in buildFormulaDependencyIndex), object, name
+ * and kind ("formula" or "validationRule")
+ */
+function findDuplicateFormulas(schema, options = {}) {
+  const { minLength = FORMULA_DUPLICATE_MIN_LENGTH } = options;
+  const groups = new Map();
+
+  const addFormula = (item, formula) => {
+    const canonical = canonicalizeFormula(formula);
+    if (canonical.length < minLength) {
+      return;
+    }
+    if (!groups.has(canonical)) {
+      groups.set(canonical, { canonical, items: [] });
+    }
+    groups.get(canonical).items.push(item);
+  };
 
-      .sf-formula-code .sf-formula-field {
-        color: var(--sf-formula-field);
-        font-weight: bold;
-        background-color: var(--sf-formula-field-bg);
-        padding: 1px 3px;
-        border-radius: 2px;
+  Object.values(schema.objects).forEach((schemaObject) => {
+    Object.values(schemaObject.fields).forEach((field) => {
+      if (field.formula) {
+        addFormula(
+          {
+            key: `${schemaObject.name}.${field.name}`,
+            object: schemaObject.name,
+            name: field.name,
+            kind: "formula",
+          },
+          field.formula
+        );
+      }
+    });
+    schemaObject.validationRules.forEach((rule) => {
+      if (rule.errorConditionFormula) {
+        addFormula(
+          {
+            key: `${schemaObject.name}.ValidationRule:${rule.name}`,
+            object: schemaObject.name,
+            name: rule.name,
+            kind: "validationRule",
+          },
+          rule.errorConditionFormula
+        );
       }
+    });
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.items.length > 1)
+    .sort((a, b) => b.items.length - a.items.length);
+}
+
+/**
+ * Plain-English phrases of functions for explainFormula
+ * {0}, {1}, ... stand for the explained arguments; the second phrase, where
+ * given, is used when the call is negated (NOT(ISBLANK(x)) is "x is not blank").
+ */
+const FORMULA_FUNCTION_PHRASES = {
+  ISBLANK: ["{0} is blank", "{0} is not blank"],
+  ISNULL: ["{0} is blank", "{0} is not blank"],
+  ISNUMBER: ["{0} is a number", "{0} is not a number"],
+  ISPICKVAL: ["{0} is {1}", "{0} is not {1}"],
+  ISCHANGED: ["{0} has changed", "{0} has not changed"],
+  ISNEW: ["the record is new", "the record is not new"],
+  ISCLONE: ["the record is a clone", "the record is not a clone"],
+  INCLUDES: ["{0} includes {1}", "{0} does not include {1}"],
+  CONTAINS: ["{0} contains {1}", "{0} does not contain {1}"],
+  BEGINS: ["{0} begins with {1}", "{0} does not begin with {1}"],
+  REGEX: ["{0} matches the pattern {1}", "{0} does not match the pattern {1}"],
+  PRIORVALUE: ["the previous value of {0}"],
+  BLANKVALUE: ["{0}, or {1} when that is blank"],
+  NULLVALUE: ["{0}, or {1} when that is blank"],
+  TEXT: ["{0}"],
+  VALUE: ["{0} as a number"],
+  LEN: ["the length of {0}"],
+  UPPER: ["{0} in upper case"],
+  LOWER: ["{0} in lower case"],
+  TRIM: ["{0} without surrounding spaces"],
+  LEFT: ["the first {1} characters of {0}"],
+  RIGHT: ["the last {1} characters of {0}"],
+  MID: ["{2} characters of {0} from position {1}"],
+  ABS: ["the absolute value of {0}"],
+  ROUND: ["{0} rounded to {1} decimal places"],
+  TODAY: ["today"],
+  NOW: ["now"],
+  YEAR: ["the year of {0}"],
+  MONTH: ["the month of {0}"],
+  DAY: ["the day of {0}"],
+  DATEVALUE: ["the date of {0}"],
+  ADDMONTHS: ["{0} plus {1} months"],
+};
+
+/**
+ * Plain-English phrases of binary operators for explainFormula; comparisons
+ * also give the phrase of their opposite
+ */
+const FORMULA_OPERATOR_PHRASES = {
+  "=": ["is", "is not"],
+  "==": ["is", "is not"],
+  "<>": ["is not", "is"],
+  "!=": ["is not", "is"],
+  "<": ["is less than", "is at least"],
+  ">": ["is greater than", "is at most"],
+  "<=": ["is at most", "is greater than"],
+  ">=": ["is at least", "is less than"],
+  "+": ["plus"],
+  "-": ["minus"],
+  "*": ["times"],
+  "/": ["divided by"],
+  "^": ["to the power of"],
+  "&": ["followed by"],
+};
+
+/**
+ * Names of global variables in explanations ($User.Email is "current user Email")
+ */
+const FORMULA_GLOBAL_PHRASES = {
+  $User: "current user",
+  $Profile: "current user's profile",
+  $UserRole: "current user's role",
+  $Organization: "organization",
+  $Permission: "permission",
+  $Label: "label",
+  $Setup: "setting",
+  $RecordType: "record type",
+  $Record: "record",
+};
+
+/**
+ * Checks whether a parsed node is an AND or OR, possibly under NOT
+ * @param {Object} node - Node from parseFormula
+ * @returns {string|null} "AND", "OR" or null
+ */
+function getFormulaLogicalKind(node) {
+  if (node.type === AST_NODE_TYPES.BINARY) {
+    return (
+      node.operator === "&&" ? "AND"
+      : node.operator === "||" ? "OR"
+      : null
+    );
+  }
+  if (node.type === AST_NODE_TYPES.CALL && node.args.length > 1) {
+    return node.name === "AND" || node.name === "OR" ? node.name : null;
+  }
+  return null;
+}
+
+/**
+ * Gets the operands of an AND or OR node and its operand under NOT
+ * @param {Object} node - Node from parseFormula
+ * @returns {Object} Object with `operands` (for AND/OR) and `negated` (the
+ * operand of NOT or !), each null when the node is not of that kind
+ */
+function getFormulaLogicalParts(node) {
+  const isNot =
+    (node.type === AST_NODE_TYPES.UNARY && node.operator === "!") ||
+    (node.type === AST_NODE_TYPES.CALL &&
+      node.name === "NOT" &&
+      node.args.length === 1);
+  return {
+    operands:
+      getFormulaLogicalKind(node) === null ? null
+      : node.type === AST_NODE_TYPES.BINARY ? [node.left, node.right]
+      : node.args,
+    negated:
+      !isNot ? null
+      : node.type === AST_NODE_TYPES.UNARY ? node.operand
+      : node.args[0],
+  };
+}
+
+/**
+ * Gets the connective a node is written with once negations are pushed
+ * inward: NOT(OR(a, b)) is an AND of NOT(a) and NOT(b)
+ * @param {Object} node - Node from parseFormula
+ * @param {boolean} negated - Whether the node is under a NOT
+ * @returns {string|null} "AND", "OR" or null for other nodes
+ */
+function getFormulaLogicalJoin(node, negated) {
+  const { negated: operand } = getFormulaLogicalParts(node);
+  if (operand) {
+    return getFormulaLogicalJoin(operand, !negated);
+  }
+  const kind = getFormulaLogicalKind(node);
+  if (kind === null) {
+    return null;
+  }
+  return (kind === "AND") !== negated ? "AND" : "OR";
+}
 
-      .sf-formula-code .sf-error {
-        color: var(--sf-error);
-        font-weight: bold;
-        background-color: var(--sf-error-bg);
-        padding: 1px 3px;
-        border-radius: 2px;
-        text-decoration: line-through;
+/**
+ * Turns a field API name into words: Stage_Name__c and StageName both become
+ * "Stage Name"
+ * @param {string} name - Field or relationship name
+ * @returns {string} The words
+ */
+function humanizeFormulaFieldName(name) {
+  return name
+    .split(":")[0]
+    .replace(/__[cr]$/i, "")
+    .replace(/^[a-zA-Z0-9]+__/, "")
+    .replace(/_/g, " ")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .trim();
+}
+
+/**
+ * Explains a formula in plain English
+ * IF, CASE, AND, OR, NOT, comparisons, arithmetic and the functions of
+ * FORMULA_FUNCTION_PHRASES are put into words; negations are pushed inward so
+ * NOT(OR(ISBLANK(a), b > 1)) reads "a is not blank and b is at most 1".
+ * Other functions are shown as written.
+ * @param {string} formula - The Salesforce formula
+ * @param {Object} options - Options: objectName and schema to use field labels
+ * @returns {string|null} The explanation, or null when the formula has syntax errors
+ */
+function explainFormula(formula, options = {}) {
+  const { objectName = null, schema = null } = options;
+  const { ast, errors } = parseFormula(formula);
+  if (!ast || errors.length > 0) {
+    return null;
+  }
+
+  const describeField = (path) => {
+    const globalName = FORMULA_GLOBAL_PHRASES[path[0]];
+    if (path[0].startsWith("$")) {
+      return [
+        globalName || humanizeFormulaFieldName(path[0].substring(1)),
+        ...path.slice(1).map(humanizeFormulaFieldName),
+      ].join(" ");
+    }
+
+    const reference =
+      schema && objectName ? resolveFieldPath(path, objectName, schema) : null;
+    const label =
+      reference && reference.definition && reference.definition.label;
+    return [
+      ...path.slice(0, -1).map(humanizeFormulaFieldName),
+      label || humanizeFormulaFieldName(path[path.length - 1]),
+    ].join(" ");
+  };
+
+  const fill = (phrase, args) =>
+    phrase.replace(/\{(\d+)\}/g, (match, index) =>
+      args[index] === undefined ? "?" : explain(args[index], false)
+    );
+
+  function explain(node, negated) {
+    const not = (text) => (negated ? `not (${text})` : text);
+    const { operands, negated: operand } = getFormulaLogicalParts(node);
+
+    if (operand) {
+      return explain(operand, !negated);
+    }
+    if (operands) {
+      // De Morgan: NOT(AND(a, b)) is "not a or not b"
+      const joined = getFormulaLogicalJoin(node, negated);
+      return operands
+        .map((child) => {
+          const text = explain(child, negated);
+          const childJoined = getFormulaLogicalJoin(child, negated);
+          return childJoined && childJoined !== joined ? `(${text})` : text;
+        })
+        .join(joined === "AND" ? " and " : " or ");
+    }
+
+    switch (node.type) {
+      case AST_NODE_TYPES.CALL: {
+        const args = node.args;
+        if (node.name === "IF" && args.length === 3) {
+          return `if ${explain(args[0], false)} then ${explain(args[1], negated)}, otherwise ${explain(args[2], negated)}`;
+        }
+        if (node.name === "CASE" && args.length >= 3) {
+          const cases = [];
+          for (let i = 1; i + 1 < args.length; i += 2) {
+            cases.push(
+              `when ${explain(args[i], false)} then ${explain(args[i + 1], negated)}`
+            );
+          }
+          if (args.length % 2 === 0) {
+            cases.push(`otherwise ${explain(args[args.length - 1], negated)}`);
+          }
+          return `depending on ${explain(args[0], false)}: ${cases.join("; ")}`;
+        }
+        const phrases = FORMULA_FUNCTION_PHRASES[node.name];
+        if (phrases) {
+          return negated && phrases[1] ?
+              fill(phrases[1], args)
+            : not(fill(phrases[0], args));
+        }
+        return not(
+          `${node.name}(${args.map((arg) => explain(arg, false)).join(", ")})`
+        );
+      }
+      case AST_NODE_TYPES.BINARY: {
+        const phrases = FORMULA_OPERATOR_PHRASES[node.operator];
+        const precedence = OPERATOR_PRECEDENCE[node.operator];
+        const side = (child) => {
+          const text = explain(child, false);
+          return (
+              getFormulaLogicalJoin(child, false) ||
+                (child.type === AST_NODE_TYPES.BINARY &&
+                  OPERATOR_PRECEDENCE[child.operator] < precedence)
+            ) ?
+              `(${text})`
+            : text;
+        };
+        const text = (phrase) =>
+          `${side(node.left)} ${phrase} ${side(node.right)}`;
+        return negated && phrases[1] ? text(phrases[1]) : not(text(phrases[0]));
       }
+      case AST_NODE_TYPES.UNARY:
+        return not(
+          node.operator === "-" ?
+            `minus ${explain(node.operand, false)}`
+          : explain(node.operand, false)
+        );
+      case AST_NODE_TYPES.FIELD:
+        // Only checkbox fields can be negated
+        return negated ?
+            `${describeField(node.path)} is false`
+          : describeField(node.path);
+      case AST_NODE_TYPES.STRING:
+        return node.value === "" ? "blank" : JSON.stringify(node.value);
+      case AST_NODE_TYPES.CONSTANT:
+        if (node.value === "TRUE" || node.value === "FALSE") {
+          return (node.value === "TRUE") !== negated ? "true" : "false";
+        }
+        return not(node.value === "NULL" ? "blank" : node.value.toLowerCase());
+      default:
+        return not(String(node.value));
+    }
+  }
+
+  const explanation = explain(ast, false);
+  return explanation.charAt(0).toUpperCase() + explanation.slice(1);
+}
+
+/**
+ * Writes a boolean formula as a SOQL WHERE clause
+ * Supports AND, OR and NOT over comparisons of a field with a literal (or
+ * TODAY()), ISBLANK, ISNULL, ISPICKVAL, INCLUDES, CONTAINS, BEGINS and
+ * checkbox fields. Comparisons between two fields, global variables and
+ * other functions have no SOQL equivalent.
+ * @param {string} formula - The Salesforce formula
+ * @param {Object} options - Options: resolveFieldType (see
+ * validateFormulaTypes) to reject fields that are used as conditions but are
+ * not checkboxes
+ * @returns {string|null} The condition without the WHERE keyword, or null
+ * when the formula cannot be written in SOQL
+ */
+function formulaToSoqlWhere(formula, options = {}) {
+  const { resolveFieldType = null } = options;
+  const { ast, errors } = parseFormula(formula);
+  if (!ast || errors.length > 0) {
+    return null;
+  }
+
+  const NEGATED_OPERATORS = {
+    "=": "!=",
+    "!=": "=",
+    "<": ">=",
+    ">=": "<",
+    ">": "<=",
+    "<=": ">",
+  };
+  const FLIPPED_OPERATORS = {
+    "=": "=",
+    "!=": "!=",
+    "<": ">",
+    ">": "<",
+    "<=": ">=",
+    ">=": "<=",
+  };
 
-      .sf-formula-code .sf-dot {
-        color: var(--sf-dot);
-        font-weight: bold;
-      }
+  const escape = (text) =>
+    text.replace(/\\/g, "\\\\").replace(/'/g, "\\'").replace(/\n/g, "\\n");
+  const quote = (text) => `'${escape(text)}'`;
+  const likePattern = (text) => escape(text).replace(/[%_]/g, "\\$&");
 
-      .sf-formula-code .sf-parenthesis {
-        color: var(--sf-parenthesis);
-        font-weight: bold;
-      }
+  const field = (node) => {
+    // TEXT(Picklist__c) = "x" compares the picklist value
+    if (
+      node.type === AST_NODE_TYPES.CALL &&
+      node.name === "TEXT" &&
+      node.args.length === 1
+    ) {
+      return field(node.args[0]);
+    }
+    if (
+      node.type !== AST_NODE_TYPES.FIELD ||
+      node.merge ||
+      node.path[0].startsWith("$")
+    ) {
+      return null;
+    }
+    return node.path.map((part) => part.split(":")[0]).join(".");
+  };
 
-      .sf-formula-code .sf-comma {
-        color: var(--sf-comma);
-        font-weight: bold;
-      }
+  const literal = (node) => {
+    switch (node.type) {
+      case AST_NODE_TYPES.STRING:
+        // Salesforce stores empty text as null
+        return node.value === "" ? "null" : quote(node.value);
+      case AST_NODE_TYPES.NUMBER:
+        return String(node.value);
+      case AST_NODE_TYPES.CONSTANT:
+        return node.value === "NULL" ? "null" : node.value.toLowerCase();
+      case AST_NODE_TYPES.UNARY:
+        return (
+            node.operator === "-" && node.operand.type === AST_NODE_TYPES.NUMBER
+          ) ?
+            `-${node.operand.value}`
+          : null;
+      case AST_NODE_TYPES.CALL:
+        return node.name === "TODAY" && node.args.length === 0 ? "TODAY" : null;
+      default:
+        return null;
+    }
+  };
 
-      .formula-container {
-        position: relative;
-      }
+  const compare = (name, operator, value, negated) =>
+    `${name} ${negated ? NEGATED_OPERATORS[operator] : operator} ${value}`;
 
-      .formula-container .copy-formula {
-        opacity: 0.7;
-        transition: opacity 0.2s;
-      }
+  function condition(node, negated) {
+    const { operands, negated: operand } = getFormulaLogicalParts(node);
 
-      .formula-container:hover .copy-formula {
-        opacity: 1;
+    if (operand) {
+      return condition(operand, !negated);
+    }
+    if (operands) {
+      const joined = getFormulaLogicalJoin(node, negated);
+      const parts = operands.map((child) => {
+        const text = condition(child, negated);
+        const childJoined = getFormulaLogicalJoin(child, negated);
+        return text !== null && childJoined && childJoined !== joined ?
+            `(${text})`
+          : text;
+      });
+      if (parts.includes(null)) {
+        return null;
       }
+      return parts.join(` ${joined} `);
+    }
 
-      .formula-container .copy-formula.positive {
-        background-color: #21ba45 !important;
-        color: white !important;
+    if (node.type === AST_NODE_TYPES.FIELD) {
+      const name = field(node);
+      const type = resolveFieldType ? resolveFieldType(node.path) : null;
+      if (name === null || (type && type !== "boolean")) {
+        return null;
       }
+      return `${name} = ${negated ? "false" : "true"}`;
+    }
 
-      .formula-container .theme-selector {
-        position: absolute;
-        top: 8px;
-        right: 40px;
-        z-index: 10;
+    if (node.type === AST_NODE_TYPES.BINARY) {
+      const operator =
+        { "==": "=", "<>": "!=" }[node.operator] || node.operator;
+      if (!FLIPPED_OPERATORS[operator]) {
+        return null;
       }
-
-      .formula-container .collapse-toggle {
-        position: absolute;
-        top: 8px;
-        right: 8px;
-        z-index: 10;
-        cursor: pointer;
-        opacity: 0.7;
-        transition: opacity 0.2s;
+      const left = field(node.left);
+      const right = field(node.right);
+      if (left !== null && right === null && literal(node.right) !== null) {
+        return compare(left, operator, literal(node.right), negated);
       }
-
-      .formula-container:hover .collapse-toggle {
-        opacity: 1;
+      if (right !== null && left === null && literal(node.left) !== null) {
+        return compare(
+          right,
+          FLIPPED_OPERATORS[operator],
+          literal(node.left),
+          negated
+        );
       }
+      return null;
+    }
 
-      .formula-container.collapsed .sf-formula-code {
-        max-height: 60px;
-        overflow: hidden;
-        position: relative;
+    if (node.type === AST_NODE_TYPES.CALL) {
+      const name = node.args.length > 0 ? field(node.args[0]) : null;
+      const value =
+        node.args.length === 2 && node.args[1].type === AST_NODE_TYPES.STRING ?
+          node.args[1].value
+        : null;
+      if (name === null) {
+        return null;
       }
 
-      .formula-container.collapsed .sf-formula-code::after {
-        content: '';
-        position: absolute;
-        bottom: 0;
-        left: 0;
-        right: 0;
-        height: 20px;
-        background: linear-gradient(transparent, var(--sf-background));
-        pointer-events: none;
+      switch (node.name) {
+        case "ISBLANK":
+        case "ISNULL":
+          return node.args.length === 1 ?
+              compare(name, "=", "null", negated)
+            : null;
+        case "ISPICKVAL":
+          return value === null ? null : (
+              compare(name, "=", quote(value), negated)
+            );
+        case "INCLUDES":
+          return value === null ? null : (
+              `${name} ${negated ? "EXCLUDES" : "INCLUDES"} (${quote(value)})`
+            );
+        case "CONTAINS":
+        case "BEGINS": {
+          if (value === null) {
+            return null;
+          }
+          const pattern =
+            node.name === "CONTAINS" ?
+              `%${likePattern(value)}%`
+            : `${likePattern(value)}%`;
+          const like = `${name} LIKE '${pattern}'`;
+          return negated ? `(NOT ${like})` : like;
+        }
+        default:
+          return null;
       }
-    </style>
-  `;
-
-  document.head.insertAdjacentHTML("beforeend", styles);
-
-  // Initialize with current theme
-  updateFormulaStyles();
-}
-
-/**
- * Toggles the collapse state of a formula container
- * @param {HTMLElement} button - The collapse toggle button
- */
-function toggleFormulaCollapse(button) {
-  const container = button.closest(".formula-container");
-  const icon = button.querySelector("i");
+    }
 
-  if (container.classList.contains("collapsed")) {
-    // Expand
-    container.classList.remove("collapsed");
-    icon.className = "chevron down icon";
-    button.title = "Collapse";
-  } else {
-    // Collapse
-    container.classList.add("collapsed");
-    icon.className = "chevron up icon";
-    button.title = "Expand";
+    return null;
   }
-}
-
-/**
- * Initializes all Salesforce formula functionality
- * Call this once when the page loads
- */
-function initializeSalesforceFormulaSupport() {
-  addFormulaSyntaxStyles();
-  initializeFormulaCopyButtons();
 
-  // Initialize theme selector dropdowns
-  $(document).on("change", ".theme-selector select", function () {
-    setFormulaTheme(this.value);
-  });
+  return condition(ast, false);
 }
 
 /**
  * Detects syntax errors and invalid functions in a Salesforce formula
  * @param {string} formula - The Salesforce formula to validate
+ * @param {Object} options - Optional type information, see validateFormulaTypes
+ * @param {Function} options.resolveFieldType - Maps a field path to its type
+ * @param {string} options.returnType - Formula type the formula must return
  * @returns {Array} Array of error objects with position and message
  */
-function detectFormulaErrors(formula) {
+function detectFormulaErrors(formula, options = {}) {
   const errors = [];
 
   if (!formula || typeof formula !== "string") {
@@ -1487,35 +3235,793 @@ function detectFormulaErrors(formula) {
     });
   }
 
+  // Check comments, global variables and merge fields
+  errors.push(...validateFormulaReferences(tokens));
+
+  // Check the expression structure. Unclosed parentheses are already counted
+  // above, and the parser's other errors at a reported position repeat them.
+  const reported = new Set(errors.map((error) => error.position));
+  for (const error of parseFormula(formula).errors) {
+    if (
+      error.message !== "Unmatched opening parenthesis" &&
+      !reported.has(error.position)
+    ) {
+      errors.push({ ...error, type: "syntax" });
+    }
+  }
+
+  // Check argument counts and types of known functions
+  errors.push(...validateFormulaSignatures(formula, options.resolveFieldType));
+
+  // Check operand, branch and return types
+  errors.push(...validateFormulaTypes(formula, options));
+
+  return errors;
+}
+
+/**
+ * Checks comments, global variables and merge fields of a tokenized formula
+ * @param {Array} tokens - Tokens from tokenizeFormula
+ * @returns {Array} Array of error objects with position and message
+ */
+function validateFormulaReferences(tokens) {
+  const errors = [];
+  const globalNames = Object.keys(GLOBAL_VARIABLES);
+
+  tokens.forEach((token) => {
+    if (
+      token.type === TOKEN_TYPES.COMMENT &&
+      token.value.startsWith("/*") &&
+      (token.value.length < 4 || !token.value.endsWith("*/"))
+    ) {
+      errors.push({
+        position: token.start,
+        message: "Unterminated comment",
+        type: "syntax",
+      });
+    }
+
+    let reference = null;
+    if (token.type === TOKEN_TYPES.GLOBAL_VARIABLE) {
+      reference = token.value;
+    } else if (token.type === TOKEN_TYPES.MERGE_FIELD) {
+      const expression = token.value.replace(/^\{!|\}$/g, "").trim();
+      if (!token.value.endsWith("}")) {
+        errors.push({
+          position: token.start,
+          message: "Unterminated merge field",
+          type: "syntax",
+        });
+        return;
+      }
+      if (!MERGE_FIELD_PATTERN.test(expression)) {
+        errors.push({
+          position: token.start,
+          message: `Invalid merge field: ${token.value}`,
+          type: "syntax",
+        });
+        return;
+      }
+      reference = expression.startsWith("$") ? expression : null;
+    }
+    if (!reference) {
+      return;
+    }
+
+    const path = reference.split(".").map((part) => part.trim());
+    const name = globalNames.find(
+      (globalName) => globalName.toLowerCase() === path[0].toLowerCase()
+    );
+    if (!name) {
+      errors.push({
+        position: token.start,
+        message: `Unknown global variable: ${path[0]}`,
+        type: "reference",
+      });
+    } else if (path.length - 1 < GLOBAL_VARIABLES[name]) {
+      errors.push({
+        position: token.start,
+        message: `Incomplete global variable: ${name} needs ${GLOBAL_VARIABLES[name]} name${GLOBAL_VARIABLES[name] > 1 ? "s" : ""} after it`,
+        type: "reference",
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Infers the result type of a parsed formula node
+ * @param {Object} node - Node from parseFormula
+ * @param {Function} resolveFieldType - Optional function mapping a field path to its type
+ * @returns {string|null} The inferred type, or null when it cannot be determined
+ */
+function inferFormulaType(node, resolveFieldType) {
+  if (!node) {
+    return null;
+  }
+
+  switch (node.type) {
+    case AST_NODE_TYPES.STRING:
+      return "text";
+    case AST_NODE_TYPES.NUMBER:
+      return "number";
+    case AST_NODE_TYPES.CONSTANT:
+      return node.value === "TRUE" || node.value === "FALSE" ? "boolean" : null;
+    case AST_NODE_TYPES.FIELD:
+      return resolveFieldType ? resolveFieldType(node.path) || null : null;
+    case AST_NODE_TYPES.UNARY:
+      return node.operator === "!" ? "boolean" : "number";
+    case AST_NODE_TYPES.BINARY:
+      return inferBinaryFormulaType(node, resolveFieldType);
+    case AST_NODE_TYPES.CALL: {
+      const signature = FUNCTION_SIGNATURES[node.name];
+      if (!signature) {
+        return null;
+      }
+      if (signature.returnsArg !== undefined) {
+        return inferFormulaType(
+          node.args[signature.returnsArg],
+          resolveFieldType
+        );
+      }
+      return signature.returns === "any" ? null : signature.returns;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Infers the result type of a binary operator node
+ * @param {Object} node - Binary node from parseFormula
+ * @param {Function} resolveFieldType - Optional function mapping a field path to its type
+ * @returns {string|null} The inferred type, or null when it cannot be determined
+ */
+function inferBinaryFormulaType(node, resolveFieldType) {
+  return getBinaryFormulaType(
+    node.operator,
+    inferFormulaType(node.left, resolveFieldType),
+    inferFormulaType(node.right, resolveFieldType)
+  ).type;
+}
+
+/**
+ * Checks whether a value of one type can be passed where another is expected
+ * @param {string|Array} expected - Expected type or array of accepted types
+ * @param {string|null} actual - Inferred type (null when unknown)
+ * @returns {boolean} True unless the types are known to be incompatible
+ */
+function isFormulaTypeCompatible(expected, actual) {
+  if (!actual || actual === "any") {
+    return true;
+  }
+  if (Array.isArray(expected)) {
+    return expected.some((type) => isFormulaTypeCompatible(type, actual));
+  }
+  return expected === "any" || expected === actual;
+}
+
+/**
+ * Operand and result types of the binary operators: [left, right, result]
+ * Comparison operators accept any two operands of the same type.
+ */
+const FORMULA_OPERATOR_TYPES = {
+  "+": [
+    ["number", "number", "number"],
+    ["date", "number", "date"],
+    ["datetime", "number", "datetime"],
+    ["time", "number", "time"],
+    ["number", "date", "date"],
+    ["number", "datetime", "datetime"],
+    ["text", "text", "text"],
+  ],
+  "-": [
+    ["number", "number", "number"],
+    ["date", "number", "date"],
+    ["datetime", "number", "datetime"],
+    ["time", "number", "time"],
+    ["date", "date", "number"],
+    ["datetime", "datetime", "number"],
+    ["time", "time", "number"],
+  ],
+  "*": [["number", "number", "number"]],
+  "/": [["number", "number", "number"]],
+  "^": [["number", "number", "number"]],
+  "&": [["text", "text", "text"]],
+  "&&": [["boolean", "boolean", "boolean"]],
+  "||": [["boolean", "boolean", "boolean"]],
+};
+
+/**
+ * Works out the result type of a binary operator from its operand types
+ * @param {string} operator - The operator
+ * @param {string|null} left - Type of the left operand (null when unknown)
+ * @param {string|null} right - Type of the right operand (null when unknown)
+ * @returns {Object} Object with type (null when unknown) and valid, which is
+ * false when the operand types are known not to fit the operator
+ */
+function getBinaryFormulaType(operator, left, right) {
+  const rows = FORMULA_OPERATOR_TYPES[operator];
+
+  if (!rows) {
+    // Comparison operators; picklists are left to the picklist-comparison lint rule
+    const comparable =
+      !left ||
+      !right ||
+      left === "picklist" ||
+      right === "picklist" ||
+      left === right;
+    return { type: "boolean", valid: comparable };
+  }
+
+  const matches = rows.filter(
+    ([rowLeft, rowRight]) =>
+      (!left || left === rowLeft) && (!right || right === rowRight)
+  );
+  const results = new Set(matches.map((row) => row[2]));
+  return {
+    type: results.size === 1 ? [...results][0] : null,
+    valid: matches.length > 0,
+  };
+}
+
+/**
+ * Formula result types of the field types in the extract specification
+ */
+const SCHEMA_FORMULA_TYPES = {
+  AutoNumber: "text",
+  Checkbox: "boolean",
+  Currency: "number",
+  Date: "date",
+  DateTime: "datetime",
+  Email: "text",
+  EncryptedText: "text",
+  Html: "text",
+  Location: "geolocation",
+  Lookup: "text",
+  LongTextArea: "text",
+  MasterDetail: "text",
+  MultiselectPicklist: "picklist",
+  Number: "number",
+  Percent: "number",
+  Phone: "text",
+  Picklist: "picklist",
+  Text: "text",
+  TextArea: "text",
+  Time: "time",
+  Url: "text",
+};
+
+/**
+ * Types of standard fields, which the extract specification does not list
+ */
+const STANDARD_FIELD_TYPES = {
+  Id: "text",
+  Name: "text",
+  OwnerId: "text",
+  RecordTypeId: "text",
+  CreatedById: "text",
+  LastModifiedById: "text",
+  CreatedDate: "datetime",
+  LastModifiedDate: "datetime",
+  SystemModstamp: "datetime",
+  IsDeleted: "boolean",
+};
+
+/**
+ * Maps a field of the extract specification to its formula result type
+ * Roll-up summaries count and sum numbers; MIN and MAX keep the type of
+ * the summarized field.
+ * @param {Object} field - Field from parseExtractSpecification
+ * @param {Object} schema - Schema from parseExtractSpecification
+ * @returns {string|null} The formula type, or null when it is not known
+ */
+function getSchemaFieldFormulaType(field, schema) {
+  if (field.type !== "Summary") {
+    return SCHEMA_FORMULA_TYPES[field.type] || null;
+  }
+  const summary = field.summary || {};
+  if (
+    (summary.operation === "min" || summary.operation === "max") &&
+    summary.summarizedField
+  ) {
+    const [objectName, ...path] = summary.summarizedField.split(".");
+    const { definition } = resolveFieldPath(path, objectName, schema);
+    return definition ? getSchemaFieldFormulaType(definition, schema) : null;
+  }
+  return "number";
+}
+
+/**
+ * Creates a resolveFieldType function that looks field types up in a schema
+ * @param {string} objectName - API name of the object the formula belongs to
+ * @param {Object} schema - Schema from parseExtractSpecification
+ * @returns {Function} Function mapping a field path to its formula type
+ */
+function createSchemaTypeResolver(objectName, schema) {
+  return (path) => {
+    const reference = resolveFieldPath(path, objectName, schema);
+    if (reference.definition) {
+      return getSchemaFieldFormulaType(reference.definition, schema);
+    }
+    return STANDARD_FIELD_TYPES[reference.field] || null;
+  };
+}
+
+/**
+ * Finds the expressions whose value a formula can return
+ * Looks through IF, CASE, BLANKVALUE and NULLVALUE to their results.
+ * @param {Object} node - Node from parseFormula
+ * @returns {Array} The result nodes
+ */
+function findFormulaResultNodes(node) {
+  if (!node || node.type !== AST_NODE_TYPES.CALL) {
+    return node ? [node] : [];
+  }
+  const results = getFormulaBranches(node);
+  return results ? results.flatMap(findFormulaResultNodes) : [node];
+}
+
+/**
+ * Returns the branches a conditional function chooses its value from
+ * @param {Object} node - Call node from parseFormula
+ * @returns {Array|null} The branch nodes, or null for other functions
+ */
+function getFormulaBranches(node) {
+  switch (node.name) {
+    case "IF":
+      return node.args.slice(1, 3);
+    case "CASE":
+      // Value/result pairs after the expression, then the default result
+      return node.args.filter(
+        (arg, index) =>
+          index > 0 && (index % 2 === 0 || index === node.args.length - 1)
+      );
+    case "BLANKVALUE":
+    case "NULLVALUE":
+      return node.args.slice(0, 2);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Checks the operand types of operators, the branches of conditional
+ * functions and, when given, the type the formula must return
+ * @param {string} formula - The Salesforce formula to validate
+ * @param {Object} options - Type check options
+ * @param {Function} options.resolveFieldType - Maps a field path to its type
+ * @param {string} options.returnType - Formula type the formula must return,
+ * e.g. from SCHEMA_FORMULA_TYPES for the declared field type
+ * @returns {Array} Array of error objects with position and message
+ */
+function validateFormulaTypes(formula, options = {}) {
+  const { resolveFieldType, returnType = null } = options;
+  const errors = [];
+  const { ast } = parseFormula(formula);
+  const typeOf = (node) => inferFormulaType(node, resolveFieldType);
+
+  walkFormulaAst(ast, (node) => {
+    if (node.type === AST_NODE_TYPES.BINARY) {
+      const left = typeOf(node.left);
+      const right = typeOf(node.right);
+      if (!getBinaryFormulaType(node.operator, left, right).valid) {
+        errors.push({
+          position: node.operatorStart,
+          message: `Operator ${node.operator} cannot be used with ${left || "unknown"} and ${right || "unknown"}`,
+          type: "type",
+        });
+      }
+    } else if (node.type === AST_NODE_TYPES.UNARY) {
+      const operand = typeOf(node.operand);
+      const expected = node.operator === "!" ? "boolean" : "number";
+      if (operand && operand !== expected) {
+        errors.push({
+          position: node.start,
+          message: `Operator ${node.operator} expects ${expected}, found ${operand}`,
+          type: "type",
+        });
+      }
+    } else if (node.type === AST_NODE_TYPES.CALL) {
+      const branches = getFormulaBranches(node) || [];
+      const first = branches.find((branch) => typeOf(branch));
+      branches.forEach((branch) => {
+        const type = typeOf(branch);
+        if (first && type && type !== typeOf(first)) {
+          errors.push({
+            position: branch.start,
+            message: `${node.name} results must have the same type: ${typeOf(first)} and ${type}`,
+            type: "type",
+          });
+        }
+      });
+    }
+  });
+
+  if (returnType) {
+    findFormulaResultNodes(ast).forEach((node) => {
+      const type = typeOf(node);
+      if (type && type !== returnType) {
+        errors.push({
+          position: node.start,
+          message: `Formula must return ${returnType}, found ${type}`,
+          type: "type",
+        });
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Checks every known function call in a formula against FUNCTION_SIGNATURES
+ * Reports wrong argument counts and arguments whose type is known to be wrong.
+ * @param {string} formula - The Salesforce formula to validate
+ * @param {Function} resolveFieldType - Optional function mapping a field path to its type
+ * @returns {Array} Array of error objects with position and message
+ */
+function validateFormulaSignatures(formula, resolveFieldType) {
+  const errors = [];
+  const { ast } = parseFormula(formula);
+
+  walkFormulaAst(ast, (node) => {
+    if (node.type !== AST_NODE_TYPES.CALL) {
+      return;
+    }
+
+    const signature = FUNCTION_SIGNATURES[node.name];
+    if (!signature) {
+      return;
+    }
+
+    const count = node.args.length;
+    if (
+      count < signature.minArgs ||
+      count > signature.maxArgs ||
+      (signature.evenArgs && count % 2 !== 0)
+    ) {
+      errors.push({
+        position: node.start,
+        message: `${node.name} ${describeFunctionArity(signature)} but got ${count}`,
+        type: "arity",
+      });
+    }
+
+    node.args.forEach((arg, index) => {
+      if (signature.args.length === 0) {
+        return;
+      }
+      const expected =
+        signature.args[Math.min(index, signature.args.length - 1)];
+      const actual = inferFormulaType(arg, resolveFieldType);
+      if (!isFormulaTypeCompatible(expected, actual)) {
+        errors.push({
+          position: arg.start,
+          message: `Argument ${index + 1} of ${node.name} must be ${[]
+            .concat(expected)
+            .join(" or ")}, found ${actual}`,
+          type: "type",
+        });
+      }
+    });
+  });
+
   return errors;
 }
 
+/**
+ * Describes the number of arguments a function signature accepts
+ * @param {Object} signature - Entry from FUNCTION_SIGNATURES
+ * @returns {string} Text such as "expects 2 to 3 arguments"
+ */
+function describeFunctionArity(signature) {
+  const plural = (count) => `${count} argument${count === 1 ? "" : "s"}`;
+  if (signature.maxArgs === Infinity) {
+    return (
+      `expects at least ${plural(signature.minArgs)}` +
+      (signature.evenArgs ? " (an even number)" : "")
+    );
+  }
+  if (signature.minArgs === signature.maxArgs) {
+    return `expects ${plural(signature.minArgs)}`;
+  }
+  return `expects ${signature.minArgs} to ${plural(signature.maxArgs)}`;
+}
+
+/**
+ * Severities used by formula lint rules, matching the flow best practices
+ */
+const FORMULA_LINT_SEVERITIES = ["error", "warning", "note"];
+
+/**
+ * Best-practice rules applied by lintFormula
+ * Each rule has a default severity, a description, default options and a
+ * check function that receives the parsed tree and a context with the
+ * formula text, the rule options and resolveFieldType, and returns findings
+ * as { node, message } objects.
+ */
+const FORMULA_LINT_RULES = {
+  "hardcoded-id": {
+    severity: "warning",
+    description: "Record IDs differ between orgs and sandboxes",
+    options: {},
+    check: (ast) =>
+      findFormulaNodes(
+        ast,
+        (node) =>
+          node.type === AST_NODE_TYPES.STRING &&
+          /^[a-zA-Z0-9]{3}[0-9][a-zA-Z0-9]{11}([a-zA-Z0-9]{3})?$/.test(
+            node.value
+          ) &&
+          (node.value.match(/[0-9]/g) || []).length >= 5
+      ).map((node) => ({
+        node,
+        message: `Hardcoded record ID "${node.value}"; use a custom setting, custom metadata or label instead`,
+      })),
+  },
+  "hardcoded-url": {
+    severity: "warning",
+    description: "URLs and hostnames differ between orgs and sandboxes",
+    options: {},
+    check: (ast) =>
+      findFormulaNodes(
+        ast,
+        (node) =>
+          node.type === AST_NODE_TYPES.STRING &&
+          /\bhttps?:\/\/|\b[\w-]+\.(my\.)?(salesforce|force|visualforce|lightning\.force)\.com\b/i.test(
+            node.value
+          )
+      ).map((node) => ({
+        node,
+        message:
+          "Hardcoded URL or hostname; build it from $Api or a custom setting instead",
+      })),
+  },
+  "isnull-on-text": {
+    severity: "warning",
+    description: "ISNULL is always FALSE for text values",
+    options: {},
+    check: (ast, context) =>
+      findFormulaNodes(
+        ast,
+        (node) =>
+          node.type === AST_NODE_TYPES.CALL &&
+          node.name === "ISNULL" &&
+          node.args.length === 1 &&
+          inferFormulaType(node.args[0], context.resolveFieldType) === "text"
+      ).map((node) => ({
+        node,
+        message: "ISNULL always returns FALSE for text; use ISBLANK instead",
+      })),
+  },
+  "not-isblank-chain": {
+    severity: "note",
+    description: "Several NOT(ISBLANK()) checks combined with AND",
+    options: { minChecks: 2 },
+    check: (ast, context) => {
+      const findings = [];
+      const isNotBlank = (node) =>
+        node.type === AST_NODE_TYPES.CALL &&
+        node.name === "NOT" &&
+        node.args.length === 1 &&
+        node.args[0].type === AST_NODE_TYPES.CALL &&
+        node.args[0].name === "ISBLANK";
+      const isAndChain = (node) =>
+        node.type === AST_NODE_TYPES.BINARY &&
+        node.operator === "&&" &&
+        !node.parenthesized;
+      const flattenAnd = (node) =>
+        isAndChain(node) ?
+          [...flattenAnd(node.left), ...flattenAnd(node.right)]
+        : [node];
+
+      walkFormulaAst(ast, (node, parent) => {
+        let operands = null;
+        if (node.type === AST_NODE_TYPES.CALL && node.name === "AND") {
+          operands = node.args;
+        } else if (isAndChain(node) && !(parent && isAndChain(parent))) {
+          operands = flattenAnd(node);
+        }
+        const count = operands ? operands.filter(isNotBlank).length : 0;
+        if (count >= context.options.minChecks) {
+          findings.push({
+            node,
+            message: `${count} NOT(ISBLANK()) checks can be combined as NOT(OR(ISBLANK(...), ...))`,
+          });
+        }
+      });
+      return findings;
+    },
+  },
+  "picklist-comparison": {
+    severity: "error",
+    description: "Picklist fields can only be tested with ISPICKVAL or CASE",
+    options: {},
+    check: (ast, context) =>
+      findFormulaNodes(
+        ast,
+        (node) =>
+          node.type === AST_NODE_TYPES.BINARY &&
+          OPERATOR_PRECEDENCE[node.operator] === 3 &&
+          [node.left, node.right].some(
+            (side) =>
+              inferFormulaType(side, context.resolveFieldType) === "picklist"
+          )
+      ).map((node) => ({
+        node,
+        message: `Picklist compared with ${node.operator}; use ISPICKVAL instead`,
+      })),
+  },
+  "nested-if": {
+    severity: "warning",
+    description: "Nested IFs that test one value against constants",
+    options: { minLength: 3 },
+    check: (ast, context) => {
+      const findings = [];
+      const sourceOf = (node) =>
+        context.formula
+          .substring(node.start, node.end)
+          .replace(/\s+/g, "")
+          .toUpperCase();
+      // The value an IF condition tests, as in X = "a" or ISPICKVAL(X, "a")
+      const testedValue = (condition) => {
+        if (
+          condition.type === AST_NODE_TYPES.BINARY &&
+          (condition.operator === "=" || condition.operator === "==")
+        ) {
+          const constantSide = [condition.left, condition.right].find(
+            (side) =>
+              side.type === AST_NODE_TYPES.STRING ||
+              side.type === AST_NODE_TYPES.NUMBER
+          );
+          const otherSide =
+            constantSide === condition.left ? condition.right : condition.left;
+          return constantSide ? sourceOf(otherSide) : null;
+        }
+        if (
+          condition.type === AST_NODE_TYPES.CALL &&
+          condition.name === "ISPICKVAL" &&
+          condition.args.length === 2
+        ) {
+          return sourceOf(condition.args[0]);
+        }
+        return null;
+      };
+      const isIf = (node) =>
+        node &&
+        node.type === AST_NODE_TYPES.CALL &&
+        node.name === "IF" &&
+        node.args.length === 3;
+
+      walkFormulaAst(ast, (node, parent) => {
+        if (!isIf(node) || (isIf(parent) && parent.args[2] === node)) {
+          return;
+        }
+        // Follow the ELSE branches while they test the same value
+        const value = testedValue(node.args[0]);
+        let length = 0;
+        for (
+          let current = node;
+          isIf(current) && value && testedValue(current.args[0]) === value;
+          current = current.args[2]
+        ) {
+          length++;
+        }
+        if (length >= context.options.minLength) {
+          findings.push({
+            node,
+            message: `${length} nested IFs test the same value; use CASE instead`,
+          });
+        }
+      });
+      return findings;
+    },
+  },
+};
+
+/**
+ * Collects the nodes of a parsed formula that match a predicate
+ * @param {Object} ast - Root node from parseFormula
+ * @param {Function} predicate - Called with each node
+ * @returns {Array} Matching nodes in source order
+ */
+function findFormulaNodes(ast, predicate) {
+  const nodes = [];
+  walkFormulaAst(ast, (node) => {
+    if (predicate(node)) {
+      nodes.push(node);
+    }
+  });
+  return nodes;
+}
+
+/**
+ * Checks a formula against the best-practice rules in FORMULA_LINT_RULES
+ * Rules are configured by ID: false turns a rule off, a severity string
+ * overrides its severity, and an object may set severity and rule options,
+ * e.g. { "nested-if": { minLength: 4 }, "hardcoded-url": false }.
+ * @param {string} formula - The Salesforce formula to check
+ * @param {Object} options - Optional settings
+ * @param {Object} options.rules - Per-rule configuration keyed by rule ID
+ * @param {Function} options.resolveFieldType - Maps a field path to its type
+ * @returns {Array} Findings in the detectFormulaErrors shape, with type
+ * "lint", the rule ID, its severity and the end of the flagged text
+ */
+function lintFormula(formula, options = {}) {
+  const results = [];
+  if (!formula || typeof formula !== "string") {
+    return results;
+  }
+
+  const { ast } = parseFormula(formula);
+  const ruleConfig = options.rules || {};
+
+  Object.entries(FORMULA_LINT_RULES).forEach(([ruleId, rule]) => {
+    let config = ruleConfig[ruleId];
+    if (config === false || config === "off") {
+      return;
+    }
+    if (typeof config === "string") {
+      config = { severity: config };
+    }
+    config = typeof config === "object" && config !== null ? config : {};
+
+    const severity = config.severity || rule.severity;
+    if (!FORMULA_LINT_SEVERITIES.includes(severity)) {
+      console.warn(`Unknown severity "${severity}" for rule ${ruleId}`);
+      return;
+    }
+
+    const context = {
+      formula,
+      resolveFieldType: options.resolveFieldType,
+      options: { ...rule.options, ...config },
+    };
+    rule.check(ast, context).forEach(({ node, message }) => {
+      results.push({
+        position: node.start,
+        end: node.end,
+        message,
+        type: "lint",
+        rule: ruleId,
+        severity,
+      });
+    });
+  });
+
+  return results.sort((a, b) => a.position - b.position);
+}
+
 /**
  * Highlights errors in a formula by marking error tokens
  * @param {Array} tokens - Array of tokens from tokenizeFormula
- * @param {Array} errors - Array of error objects from detectFormulaErrors
+ * @param {Array} errors - Array of error objects from detectFormulaErrors or lintFormula
  * @returns {Array} Array of tokens with error tokens marked
  */
 function markErrorTokens(tokens, errors) {
-  const errorPositions = new Set();
+  const errorPositions = new Map();
+  const lintFindings = new Map();
 
-  // Mark positions that have errors
+  // Mark positions that have errors; lint warnings and notes are kept apart
   errors.forEach((error) => {
-    errorPositions.add(error.position);
+    if (error.type === "lint" && error.severity !== "error") {
+      lintFindings.set(error.position, error);
+    } else if (!errorPositions.has(error.position)) {
+      errorPositions.set(error.position, error);
+    }
   });
 
   return tokens.map((token) => {
-    if (errorPositions.has(token.start) || errorPositions.has(token.end - 1)) {
-      return { ...token, type: TOKEN_TYPES.ERROR };
+    const error =
+      errorPositions.get(token.start) || errorPositions.get(token.end - 1);
+    if (error) {
+      return { ...token, type: TOKEN_TYPES.ERROR, error };
+    }
+    if (lintFindings.has(token.start)) {
+      return { ...token, lint: lintFindings.get(token.start) };
     }
     return token;
   });
 }
-
-// Auto-initialize when the script loads
-if (typeof document !== "undefined") {
-  document.addEventListener(
-    "DOMContentLoaded",
-    initializeSalesforceFormulaSupport
-  );
-}
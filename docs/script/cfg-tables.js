@@ -5,7 +5,7 @@
  * @param {boolean} [excludeNumericColumns=true] - When true, do not add filters for numeric columns.
  */
 function setUpColumnFiltering(id, api, excludeNumericColumns = true) {
-  const $filterHeaders = $(`${id} .filters th`);
+  const $filterHeaders = $(".filters th", api.table().header());
 
   // Helper to determine whether a column is numeric.
   const isNumericColumn = (colIdx) => {
@@ -71,13 +71,44 @@ function setUpColumnFiltering(id, api, excludeNumericColumns = true) {
 }
 
 /**
- * Clears all column filters in a DataTable.
+ * Returns the header cells of the filter row added by initDataTable.
+ * Scrolling tables move their header out of the table element, so the
+ * header is looked up through the DataTables API once initialized.
+ * @param {string} tableId - Table selector.
+ * @returns {jQuery} The filter row cells.
+ */
+function getFilterHeaderCells(tableId) {
+  const header =
+    $.fn.dataTable.isDataTable(tableId) ?
+      $(tableId).DataTable().table().header()
+    : $(`${tableId} thead`);
+  return $(".filters th", header);
+}
+
+/**
+ * Clears all column filters and search builder conditions in a DataTable.
  * @param {string} id - Table selector.
  */
 function clearAllFilters(tableId) {
-  $(`${tableId} .filters th input`).each(function () {
-    $(this).val("").trigger("change");
-  });
+  getFilterHeaderCells(tableId)
+    .find("input")
+    .each(function () {
+      $(this).val("").trigger("change");
+    });
+  if (
+    isSearchBuilderAvailable() &&
+    $.fn.dataTable.isDataTable(tableId) &&
+    $(tableId).DataTable().searchBuilder.getDetails() !== null
+  ) {
+    $(tableId).DataTable().searchBuilder.rebuild();
+  }
+  // Facets and pivots search columns that have no input, such as numeric ones
+  if (
+    $.fn.dataTable.isDataTable(tableId) &&
+    $(tableId).DataTable().columns().search().toArray().some(Boolean)
+  ) {
+    $(tableId).DataTable().columns().search("").draw();
+  }
 }
 
 /**
@@ -87,7 +118,7 @@ function clearAllFilters(tableId) {
  * @param {string} value - Value to set as the filter.
  */
 function setColumnFilter(tableId, columnIndex, value) {
-  const $input = $(`${tableId} .filters th:eq(${columnIndex}) input`);
+  const $input = getFilterHeaderCells(tableId).eq(columnIndex).find("input");
   if ($input.length > 0) {
     $input.val(value).trigger("change");
   }
@@ -185,66 +216,2025 @@ function renderXoomReferences(includeType, topClasses, wrapRef, divider) {
 }
 
 /**
- * Initializes a DataTable with optional filtering.
+ * Value of the filterColumns argument of initDataTable that adds a search
+ * builder (per-column conditions in AND/OR groups) and saved filter presets
+ * to the per-column text filters.
  */
-function initDataTable(id, filterColumns, options) {
-  let opts = { responsive: true };
+const ADVANCED_FILTER_MODE = "advanced";
 
-  if (filterColumns) {
-    opts = {
-      ...opts,
-      orderCellsTop: true,
-      initComplete: function () {
-        setUpColumnFiltering(id, this.api());
-      },
+/**
+ * Prefix of the localStorage keys holding the saved filter presets of a table
+ */
+const FILTER_PRESET_STORAGE_PREFIX = "cfg-tables-filters:";
+
+/**
+ * Returns whether the SearchBuilder extension of DataTables is loaded.
+ * @returns {boolean} True when advanced filtering is available.
+ */
+function isSearchBuilderAvailable() {
+  return Boolean($.fn.dataTable && $.fn.dataTable.SearchBuilder);
+}
+
+/**
+ * Compiles a case-insensitive filter regex, remembering the last pattern
+ * because the search builder tests every row against the same pattern.
+ * @returns {Function} Function that returns the RegExp for a pattern, or null when invalid.
+ */
+function createFilterRegexCache() {
+  let lastPattern = null;
+  let lastRegex = null;
+  return function (pattern) {
+    if (pattern !== lastPattern) {
+      lastPattern = pattern;
+      try {
+        lastRegex = new RegExp(pattern, "i");
+      } catch (error) {
+        lastRegex = null;
+      }
+    }
+    return lastRegex;
+  };
+}
+
+/**
+ * Adds "Matches Regex" and "Does Not Match Regex" to the search builder
+ * conditions of text and HTML columns. Runs once per page.
+ */
+function registerRegexFilterConditions() {
+  const conditions = $.fn.dataTable.ext.searchBuilder.conditions;
+  if (conditions.string && conditions.string.regex) return;
+
+  const Criteria = $.fn.dataTable.Criteria;
+  const getRegex = createFilterRegexCache();
+  const createCondition = (conditionName, matches) => ({
+    conditionName,
+    init: Criteria.initInput,
+    inputValue: Criteria.inputValueInput,
+    isInputValid: (el) =>
+      Criteria.isInputValidInput(el) &&
+      getRegex(Criteria.inputValueInput(el)[0]) !== null,
+    search: (value, comparison) => {
+      const regex = getRegex(comparison[0]);
+      return regex === null || regex.test(value) === matches;
+    },
+  });
+
+  ["string", "html"].forEach((type) => {
+    conditions[type] = {
+      ...conditions[type],
+      regex: createCondition("Matches Regex", true),
+      "!regex": createCondition("Does Not Match Regex", false),
     };
-    const $thead = $(`${id} thead`);
-    $thead.find("tr").first().clone(true).addClass("filters").appendTo($thead);
+  });
+}
+
+/**
+ * Returns the localStorage key for the filter presets of a table on this page.
+ * @param {string} tableId - Table selector.
+ * @returns {string} Storage key.
+ */
+function getFilterPresetStorageKey(tableId) {
+  return `${FILTER_PRESET_STORAGE_PREFIX}${window.location.pathname}${tableId}`;
+}
+
+/**
+ * Reads the saved filter presets of a table.
+ * @param {string} tableId - Table selector.
+ * @returns {Object} Filter states by preset name.
+ */
+function loadFilterPresets(tableId) {
+  try {
+    const stored = localStorage.getItem(getFilterPresetStorageKey(tableId));
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    return {};
   }
+}
 
-  if (options) {
-    opts = { ...opts, ...options };
+/**
+ * Saves the filter presets of a table; removes the key when none are left.
+ * @param {string} tableId - Table selector.
+ * @param {Object} presets - Filter states by preset name.
+ */
+function storeFilterPresets(tableId, presets) {
+  const key = getFilterPresetStorageKey(tableId);
+  try {
+    if (Object.keys(presets).length === 0) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(presets));
+    }
+  } catch (error) {
+    console.warn(`Unable to save the filter presets of ${tableId}:`, error);
   }
+}
 
-  return $(id).DataTable(opts);
+/**
+ * Captures the global search, column filters, search builder and sort order of a table.
+ * @param {string} tableId - Table selector.
+ * @returns {Object} Filter state that applyTableFilterState restores.
+ */
+function getTableFilterState(tableId) {
+  const api = $(tableId).DataTable();
+  return {
+    search: api.search(),
+    columns: getFilterHeaderCells(tableId)
+      .map(function () {
+        return $("input", this).val() ?? "";
+      })
+      .get(),
+    builder: api.searchBuilder.getDetails(),
+    order: api.order(),
+  };
 }
 
 /**
- * Initializes a DataTable with export/visibility buttons and optional column hiding.
+ * Restores a filter state captured by getTableFilterState.
+ * @param {string} tableId - Table selector.
+ * @param {Object} state - Filter state.
  */
-function initDataTableWithButtons(
-  id,
-  title,
-  includeColumnVisibility,
-  filterColumns,
-  options,
-  hideColumnsWithIdenticalValues
-) {
-  const baseButtons = [
-    { extend: "copy", title },
-    { extend: "csvHtml5", title },
-    { extend: "excelHtml5", title },
-    { extend: "pdfHtml5", title },
-    "print",
-  ];
-  if (includeColumnVisibility) {
-    baseButtons.push({ extend: "colvis", text: "Columns" });
+function applyTableFilterState(tableId, state) {
+  const api = $(tableId).DataTable();
+
+  getFilterHeaderCells(tableId).each(function (index) {
+    const $input = $("input", this);
+    const value = state.columns?.[index] ?? "";
+    if ($input.length > 0 && $input.val() !== value) {
+      $input.val(value).trigger("change");
+    }
+  });
+
+  api.search(state.search ?? "").order(state.order ?? []);
+  if (api.searchBuilder.getDetails() !== null) {
+    api.searchBuilder.rebuild(
+      state.builder?.criteria?.length ? state.builder : undefined
+    );
   }
+  api.draw();
+}
 
-  const top1Start = {
-    ...options?.layout?.top1Start,
-    buttons: baseButtons,
+/**
+ * Creates the toolbar to save, name, reload and delete the filter presets of a table.
+ * @param {string} tableId - Table selector.
+ * @returns {HTMLElement} Toolbar element for the DataTables layout.
+ */
+function createFilterPresetToolbar(tableId) {
+  const $toolbar = $(`<div class="ui small form filter-presets">
+    <div class="inline fields">
+      <div class="field">
+        <label>Filter presets</label>
+        <select class="ui dropdown"></select>
+      </div>
+      <div class="field">
+        <div class="ui small action input">
+          <input type="text" placeholder="Preset name" />
+          <button type="button" class="ui small primary button" data-action="save">Save</button>
+        </div>
+      </div>
+      <div class="field">
+        <button type="button" class="ui small button" data-action="delete">Delete</button>
+      </div>
+    </div>
+  </div>`);
+  const $select = $("select", $toolbar);
+  const $name = $("input", $toolbar);
+
+  const renderOptions = (selected) => {
+    $select
+      .empty()
+      .append($("<option>").val("").text("(none)"))
+      .append(
+        Object.keys(loadFilterPresets(tableId))
+          .sort()
+          .map((name) => $("<option>").val(name).text(name))
+      )
+      .val(selected ?? "");
   };
+  renderOptions();
 
-  const table = initDataTable(id, filterColumns, {
-    ...options,
-    layout: {
-      ...options?.layout,
-      top1Start,
-    },
+  $select.on("change", function () {
+    const preset = loadFilterPresets(tableId)[this.value];
+    $name.val(this.value);
+    if (preset) {
+      applyTableFilterState(tableId, preset);
+    }
+  });
+
+  $("[data-action=save]", $toolbar).on("click", function () {
+    const name = $name.val().trim();
+    if (name === "") {
+      $name.trigger("focus");
+      return;
+    }
+    const presets = loadFilterPresets(tableId);
+    presets[name] = getTableFilterState(tableId);
+    storeFilterPresets(tableId, presets);
+    renderOptions(name);
+  });
+
+  $("[data-action=delete]", $toolbar).on("click", function () {
+    const presets = loadFilterPresets(tableId);
+    if (!presets[$select.val()]) return;
+    delete presets[$select.val()];
+    storeFilterPresets(tableId, presets);
+    $name.val("");
+    renderOptions();
+  });
+
+  return $toolbar[0];
+}
+
+/**
+ * URL hash keys holding the global search, sort order and page of a table
+ */
+const DEEP_LINK_TABLE_KEYS = ["search", "order", "page"];
+
+/**
+ * Prefix of the URL hash keys holding column filters, followed by the column index
+ */
+const DEEP_LINK_FILTER_PREFIX = "filter.";
+
+/**
+ * Reads the deep link parameters from the URL hash.
+ * @returns {URLSearchParams} Parameters such as tab=Account&filter.1=Edit.
+ */
+function readDeepLink() {
+  return new URLSearchParams(window.location.hash.replace(/^#/, ""));
+}
+
+/**
+ * Replaces the deep link parameters owned by a caller, keeping the others,
+ * without adding a browser history entry.
+ * @param {Function} isOwnKey - Returns true for the keys to replace.
+ * @param {Array} entries - New [key, value] pairs.
+ */
+function updateDeepLink(isOwnKey, entries) {
+  const kept = [...readDeepLink()].filter(([key]) => !isOwnKey(key));
+  const hash = [...kept, ...entries]
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join("&");
+  const url = `${window.location.pathname}${window.location.search}${hash ? `#${hash}` : ""}`;
+  if (
+    url !==
+    `${window.location.pathname}${window.location.search}${window.location.hash}`
+  ) {
+    history.replaceState(history.state, "", url);
+  }
+}
+
+/**
+ * Returns the text filter input of a column, which setUpColumnFiltering
+ * places in the header cell at the same position as the column header.
+ * @param {string} tableId - Table selector.
+ * @param {object} api - DataTable API instance.
+ * @param {number} colIdx - Column index.
+ * @returns {jQuery} The input, or an empty selection.
+ */
+function getColumnFilterInput(tableId, api, colIdx) {
+  return getFilterHeaderCells(tableId)
+    .eq($(api.column(colIdx).header()).index())
+    .find("input");
+}
+
+/**
+ * Formats a DataTables sort order as in order=1.desc,0.asc.
+ * @param {Array} order - [column index, direction] pairs.
+ * @returns {string} Formatted order.
+ */
+function formatDeepLinkOrder(order) {
+  return order.map(([colIdx, direction]) => `${colIdx}.${direction}`).join(",");
+}
+
+/**
+ * Parses a sort order formatted by formatDeepLinkOrder, skipping unknown columns.
+ * @param {string} value - Formatted order.
+ * @param {number} columnCount - Number of columns in the table.
+ * @returns {Array} [column index, direction] pairs.
+ */
+function parseDeepLinkOrder(value, columnCount) {
+  return value
+    .split(",")
+    .map((part) => part.split("."))
+    .filter(([colIdx]) => /^\d+$/.test(colIdx) && Number(colIdx) < columnCount)
+    .map(([colIdx, direction]) => [
+      Number(colIdx),
+      direction === "desc" ? "desc" : "asc",
+    ]);
+}
+
+/**
+ * Returns the deep link parameters describing what a table currently shows.
+ * @param {string} tableId - Table selector.
+ * @param {Array} defaultOrder - Sort order that is left out of the link.
+ * @returns {Array} [key, value] pairs.
+ */
+function getTableDeepLinkEntries(tableId, defaultOrder = []) {
+  const api = $(tableId).DataTable();
+  const entries = [];
+
+  if (api.search()) {
+    entries.push(["search", api.search()]);
+  }
+  api.columns().every(function (colIdx) {
+    const $input = getColumnFilterInput(tableId, api, colIdx);
+    // The input keeps the leading slash of regex filters
+    const value = $input.length > 0 ? $input.val() : this.search();
+    if (value && typeof value === "string") {
+      entries.push([`${DEEP_LINK_FILTER_PREFIX}${colIdx}`, value]);
+    }
+  });
+  const order = formatDeepLinkOrder(api.order());
+  if (order !== formatDeepLinkOrder(defaultOrder)) {
+    entries.push(["order", order]);
+  }
+  if (api.page() > 0) {
+    entries.push(["page", String(api.page() + 1)]);
+  }
+  return entries;
+}
+
+/**
+ * Applies deep link parameters to a table; filters missing from the link are cleared.
+ * @param {string} tableId - Table selector.
+ * @param {URLSearchParams} params - Deep link parameters.
+ * @param {Array} defaultOrder - Sort order used when the link has none.
+ */
+function applyTableDeepLink(tableId, params, defaultOrder = []) {
+  const api = $(tableId).DataTable();
+
+  api.columns().every(function (colIdx) {
+    const value = params.get(`${DEEP_LINK_FILTER_PREFIX}${colIdx}`) ?? "";
+    const $input = getColumnFilterInput(tableId, api, colIdx);
+    if ($input.length > 0) {
+      if ($input.val() !== value) {
+        $input.val(value).trigger("change");
+      }
+    } else if (this.search() !== value) {
+      this.search(value);
+    }
+  });
+
+  const order = parseDeepLinkOrder(
+    params.get("order") ?? "",
+    api.columns().count()
+  );
+  api
+    .search(params.get("search") ?? "")
+    .order(order.length > 0 ? order : defaultOrder)
+    .draw();
+
+  const page = parseInt(params.get("page"), 10);
+  if (page > 1) {
+    api.page(Math.min(page, api.page.info().pages) - 1).draw(false);
+  }
+}
+
+/**
+ * Restores the filters, search, sort order and page of a table from the URL
+ * hash, then keeps the hash up to date so that the link can be shared.
+ * Call it once the table is initialized.
+ * @param {string} tableId - Table selector.
+ */
+function enableTableDeepLink(tableId) {
+  const api = $(tableId).DataTable();
+  const defaultOrder = api
+    .order()
+    .map(([colIdx, direction]) => [colIdx, direction]);
+  const isOwnKey = (key) =>
+    DEEP_LINK_TABLE_KEYS.includes(key) ||
+    key.startsWith(DEEP_LINK_FILTER_PREFIX);
+  let applying = false;
+
+  const apply = () => {
+    // Every filter change draws the table; write the hash once at the end
+    applying = true;
+    try {
+      applyTableDeepLink(tableId, readDeepLink(), defaultOrder);
+    } finally {
+      applying = false;
+    }
+    updateDeepLink(isOwnKey, getTableDeepLinkEntries(tableId, defaultOrder));
+  };
+
+  apply();
+  api.on("draw", function () {
+    if (!applying) {
+      updateDeepLink(isOwnKey, getTableDeepLinkEntries(tableId, defaultOrder));
+    }
+  });
+  window.addEventListener("hashchange", apply);
+}
+
+/**
+ * Height of the scrolling body of tables in virtual scrolling mode
+ */
+const VIRTUAL_SCROLL_HEIGHT = "60vh";
+
+/**
+ * Virtual tables by table selector: their rows, cell getters, the filtered
+ * row order of the last query, which exports use, and terminate().
+ */
+const VIRTUAL_TABLES = new Map();
+
+/**
+ * Returns the value that virtual tables search and sort on for a cell:
+ * arrays are joined with "||" as renderList does, and references use their
+ * ref, unresolved or value property as renderXoomReference does.
+ * Runs in the Web Worker, so it must not use anything outside its body.
+ * @param {*} value - Cell data.
+ * @returns {string|number} Searchable and sortable value.
+ */
+function getVirtualCellValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (typeof value === "number") {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(getVirtualCellValue).join("||");
+  }
+  if (typeof value === "object") {
+    return String(value.ref ?? value.unresolved ?? value.value ?? "");
+  }
+  return String(value);
+}
+
+/**
+ * Creates the cell value getters of a virtual table.
+ * Runs in the Web Worker, so it must not use anything outside its body
+ * other than getVirtualCellValue.
+ * @param {Array} columns - Column data property or index, or null when the column has no data.
+ * @returns {Array} Functions that return getVirtualCellValue of a row's cell.
+ */
+function createVirtualCellGetters(columns) {
+  return columns.map((data) => {
+    if (data === null) {
+      return () => "";
+    }
+    const path = typeof data === "number" ? [data] : String(data).split(".");
+    return (row) =>
+      getVirtualCellValue(path.reduce((value, key) => value?.[key], row));
   });
+}
+
+/**
+ * Builds the search and sort index of a virtual table.
+ * Runs in the Web Worker, so it must not use anything outside its body
+ * other than createVirtualCellGetters.
+ * @param {Array} rows - Table rows (arrays or objects).
+ * @param {Array} columns - Column data property or index, or null when the column has no data.
+ * @returns {Object} Index for queryVirtualRows.
+ */
+function createVirtualRowIndex(rows, columns) {
+  const getters = createVirtualCellGetters(columns);
+  const values = getters.map((getter) => rows.map(getter));
+  const texts = values.map((column) =>
+    column.map((value) => String(value).toLowerCase())
+  );
+  const rowTexts = rows.map((row, rowIndex) =>
+    texts.map((column) => column[rowIndex]).join(" ")
+  );
+
+  return { count: rows.length, values, texts, rowTexts, cache: null };
+}
+
+/**
+ * Filters, sorts and pages a virtual table as DataTables would on the client.
+ * The filtered and sorted row order is kept so that scrolling only slices it.
+ * Runs in the Web Worker, so it must not use anything outside its body.
+ * @param {Object} index - Index built by createVirtualRowIndex.
+ * @param {Object} request - DataTables server-side request (search, columns, order, start, length).
+ * @returns {Object} Object with recordsFiltered, the row indices to show and,
+ * when the filter or order changed, all filtered row indices in order.
+ */
+function queryVirtualRows(index, request) {
+  // Smart search: every word or "quoted phrase" must occur; regex search as is
+  const createMatcher = (search) => {
+    if (!search || !search.value) {
+      return null;
+    }
+    if (search.regex) {
+      try {
+        const regex = new RegExp(search.value, "i");
+        return (text) => regex.test(text);
+      } catch (error) {
+        return null;
+      }
+    }
+    const terms = (search.value.toLowerCase().match(/"[^"]*"|\S+/g) || [])
+      .map((term) => term.replace(/^"|"$/g, ""))
+      .filter((term) => term !== "");
+    return (text) => terms.every((term) => text.includes(term));
+  };
+
+  const key = JSON.stringify([
+    request.search,
+    request.columns.map((column) => column.search),
+    request.order,
+  ]);
+
+  const changed = !index.cache || index.cache.key !== key;
+  if (changed) {
+    const globalMatcher = createMatcher(request.search);
+    const columnMatchers = request.columns
+      .map((column, colIdx) => [colIdx, createMatcher(column.search)])
+      .filter(([, matcher]) => matcher !== null);
+
+    const rows = [];
+    for (let rowIndex = 0; rowIndex < index.count; rowIndex++) {
+      if (
+        (globalMatcher === null || globalMatcher(index.rowTexts[rowIndex])) &&
+        columnMatchers.every(([colIdx, matcher]) =>
+          matcher(index.texts[colIdx][rowIndex])
+        )
+      ) {
+        rows.push(rowIndex);
+      }
+    }
+
+    const order = (request.order || []).filter(
+      (item) => index.values[item.column] !== undefined
+    );
+    if (order.length > 0) {
+      rows.sort((a, b) => {
+        for (const { column, dir } of order) {
+          const valueA = index.values[column][a];
+          const valueB = index.values[column][b];
+          let result;
+          if (typeof valueA === "number" && typeof valueB === "number") {
+            result = valueA - valueB;
+          } else if (typeof valueA === "number" || typeof valueB === "number") {
+            // Numbers before text, as empty cells are text
+            result = typeof valueA === "number" ? -1 : 1;
+          } else {
+            const textA = index.texts[column][a];
+            const textB = index.texts[column][b];
+            result =
+              textA < textB ? -1
+              : textA > textB ? 1
+              : 0;
+          }
+          if (result !== 0) {
+            return dir === "desc" ? -result : result;
+          }
+        }
+        return a - b;
+      });
+    }
+
+    index.cache = { key, rows };
+  }
+
+  const { rows } = index.cache;
+  return {
+    recordsFiltered: rows.length,
+    filtered: changed ? rows : undefined,
+    indices:
+      request.length < 0 ?
+        rows.slice(request.start)
+      : rows.slice(request.start, request.start + request.length),
+  };
+}
+
+/**
+ * Creates the query function of a virtual table. Filtering and sorting run
+ * in a Web Worker; where workers cannot be started (such as some browsers
+ * on file:// pages) they run on the page instead.
+ * @param {Array} rows - Table rows.
+ * @param {Array} columns - Column data property or index, or null when the column has no data.
+ * @returns {Object} Object with query(request, callback), which calls back with
+ * the queryVirtualRows result, and terminate() to stop the worker.
+ */
+function createVirtualRowQuery(rows, columns) {
+  let localIndex = null;
+  const queryLocally = (request, callback) => {
+    localIndex = localIndex || createVirtualRowIndex(rows, columns);
+    callback(queryVirtualRows(localIndex, request));
+  };
+
+  let worker = null;
+  try {
+    const source = `${getVirtualCellValue}
+${createVirtualCellGetters}
+${createVirtualRowIndex}
+${queryVirtualRows}
+let index = null;
+self.onmessage = function (event) {
+  const message = event.data;
+  if (message.rows) {
+    index = createVirtualRowIndex(message.rows, message.columns);
+  } else {
+    self.postMessage({ id: message.id, result: queryVirtualRows(index, message.request) });
+  }
+};`;
+    const url = URL.createObjectURL(
+      new Blob([source], { type: "text/javascript" })
+    );
+    try {
+      worker = new Worker(url);
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+    worker.postMessage({ rows, columns });
+  } catch (error) {
+    // Rows that cannot be cloned to the worker are queried on this thread
+    worker?.terminate();
+    worker = null;
+  }
+
+  const pending = new Map();
+  let nextId = 0;
+
+  if (worker) {
+    worker.onmessage = function (event) {
+      const { callback } = pending.get(event.data.id) || {};
+      pending.delete(event.data.id);
+      if (callback) {
+        callback(event.data.result);
+      }
+    };
+    worker.onerror = function (event) {
+      console.warn("Virtual table worker failed; filtering on the page", event);
+      worker.terminate();
+      worker = null;
+      pending.forEach(({ request, callback }) =>
+        queryLocally(request, callback)
+      );
+      pending.clear();
+    };
+  }
+
+  return {
+    query(request, callback) {
+      if (!worker) {
+        queryLocally(request, callback);
+        return;
+      }
+      const id = nextId++;
+      pending.set(id, { request, callback });
+      worker.postMessage({ id, request });
+    },
+    terminate() {
+      if (worker) {
+        worker.terminate();
+        worker = null;
+      }
+      pending.clear();
+    },
+  };
+}
+
+/**
+ * Returns the DataTables options of virtual scrolling mode: only the visible
+ * rows are rendered (Scroller) and the rows are filtered and sorted by
+ * createVirtualRowQuery, which DataTables calls as its server.
+ * @param {string} id - Table selector.
+ * @param {Array} rows - Table rows.
+ * @param {Array} columns - DataTables column definitions.
+ * @returns {Object} DataTables options.
+ */
+function getVirtualScrollingOptions(id, rows, columns = []) {
+  const columnData = columns.map((column, colIdx) =>
+    column.data === undefined ? colIdx
+    : typeof column.data === "string" || typeof column.data === "number" ?
+      column.data
+    : null
+  );
+  const { query, terminate } = createVirtualRowQuery(rows, columnData);
+  const virtualTable = {
+    terminate,
+    rows,
+    getters: createVirtualCellGetters(columnData),
+    filtered: rows.map((row, rowIndex) => rowIndex),
+  };
+  VIRTUAL_TABLES.set(id, virtualTable);
+
+  return {
+    // Responsive child rows would break the fixed row height Scroller needs
+    responsive: false,
+    serverSide: true,
+    deferRender: true,
+    scroller: true,
+    scrollY: VIRTUAL_SCROLL_HEIGHT,
+    scrollCollapse: true,
+    ajax: function (request, callback) {
+      query(request, (result) => {
+        if (result.filtered) {
+          virtualTable.filtered = result.filtered;
+        }
+        callback({
+          draw: request.draw,
+          recordsTotal: rows.length,
+          recordsFiltered: result.recordsFiltered,
+          data: result.indices.map((rowIndex) => rows[rowIndex]),
+        });
+      });
+    },
+  };
+}
+
+/**
+ * Replaces the exported rows of a virtual table, which only holds the rows
+ * in view, with all filtered rows in their current order.
+ * Used as the customizeData export option of the buttons.
+ * @param {string} id - Table selector.
+ * @param {Object} data - Export data with header and body.
+ * @param {*} [columns=""] - Column selector of the export options.
+ */
+function setVirtualExportBody(id, data, columns = "") {
+  const virtualTable = VIRTUAL_TABLES.get(id);
+  if (!virtualTable) return;
+
+  const columnIndexes = $(id).DataTable().columns(columns).indexes().toArray();
+  data.body = virtualTable.filtered.map((rowIndex) =>
+    columnIndexes.map((colIdx) =>
+      String(virtualTable.getters[colIdx](virtualTable.rows[rowIndex]))
+    )
+  );
+}
+
+/**
+ * Number of most frequent values listed per column in the facet sidebar
+ */
+const FACET_VALUE_LIMIT = 10;
+
+/**
+ * Delay in milliseconds before the facet sidebar follows a filter change
+ */
+const FACET_REDRAW_DELAY = 150;
+
+/**
+ * Returns the filter values of a column, by default for the rows that pass
+ * the current filters. Virtual tables only hold the rows in view, so their
+ * values come from their data and the rows that the last query matched.
+ * @param {string} tableId - Table selector.
+ * @param {number} colIdx - Column index.
+ * @param {boolean} [filteredOnly=true] - When false, return the values of all rows.
+ * @returns {Array} Filter values as strings, in row order.
+ */
+function getColumnFilterValues(tableId, colIdx, filteredOnly = true) {
+  const virtualTable = VIRTUAL_TABLES.get(tableId);
+  if (virtualTable) {
+    const getter = virtualTable.getters[colIdx];
+    return filteredOnly ?
+        virtualTable.filtered.map((rowIndex) =>
+          String(getter(virtualTable.rows[rowIndex]))
+        )
+      : virtualTable.rows.map((row) => String(getter(row)));
+  }
+  return $(tableId)
+    .DataTable()
+    .cells(null, colIdx, { search: filteredOnly ? "applied" : "none" })
+    .render("filter")
+    .toArray()
+    .map((value) =>
+      value === null || value === undefined ?
+        ""
+      : String(value).replace(/<[^>]*>/g, "")
+    );
+}
+
+/**
+ * Computes the facets of a column: distinct values with counts, splitting
+ * multi-value cells on the "||" that renderList and renderXoomReferences use
+ * for filtering, and min/max/avg when every value is a number.
+ * @param {Array} values - Filter values of the column.
+ * @returns {Object} Object with counts (sorted [value, count] pairs) and stats (or null).
+ */
+function computeColumnFacets(values) {
+  const counts = new Map();
+  values.forEach((value) => {
+    const parts = value === "" ? [""] : value.split("||");
+    new Set(parts).forEach((part) => {
+      counts.set(part, (counts.get(part) || 0) + 1);
+    });
+  });
+
+  const numbers = values
+    .filter((value) => value.trim() !== "")
+    .map((value) => Number(value));
+  const stats =
+    numbers.length > 0 && numbers.every((number) => Number.isFinite(number)) ?
+      {
+        // Reduce rather than spread: virtual tables can have 500k values
+        min: numbers.reduce((min, number) => Math.min(min, number)),
+        max: numbers.reduce((max, number) => Math.max(max, number)),
+        avg: numbers.reduce((sum, number) => sum + number, 0) / numbers.length,
+      }
+    : null;
+
+  return {
+    counts: [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])),
+    stats,
+  };
+}
+
+/**
+ * Returns the column filter that matches one value of a possibly multi-value
+ * cell, using the regex form of the column filter inputs.
+ * @param {string} value - Facet value ("" for empty cells).
+ * @returns {string} Column filter.
+ */
+function getFacetFilter(value) {
+  const escaped = value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return value === "" ? "/^$" : `/(^|\\|\\|)${escaped}($|\\|\\|)`;
+}
+
+/**
+ * Applies a facet value as the column filter. When toggling, a filter that
+ * is already applied is cleared instead. Columns without a filter input are
+ * searched directly.
+ * @param {string} tableId - Table selector.
+ * @param {number} colIdx - Column index.
+ * @param {string} value - Facet value.
+ * @param {boolean} [toggle=true] - Whether to clear the filter when it is already applied.
+ */
+function applyFacetFilter(tableId, colIdx, value, toggle = true) {
+  const api = $(tableId).DataTable();
+  const filter = getFacetFilter(value);
+  const $input = getColumnFilterInput(tableId, api, colIdx);
+
+  if ($input.length > 0) {
+    $input
+      .val(toggle && $input.val() === filter ? "" : filter)
+      .trigger("change");
+  } else {
+    const search = filter.substring(1);
+    api
+      .column(colIdx)
+      .search(
+        toggle && api.column(colIdx).search() === search ? "" : search,
+        true,
+        false
+      )
+      .draw();
+  }
+}
+
+/**
+ * Renders the facets of the visible columns into the sidebar of a table.
+ * @param {string} tableId - Table selector.
+ * @param {jQuery} $sidebar - Sidebar element.
+ */
+function renderFacetSidebar(tableId, $sidebar) {
+  const api = $(tableId).DataTable();
+  const formatNumber = (number) =>
+    number.toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+  $sidebar.empty();
+  // Column visibility rather than ":visible", which is false in hidden tabs
+  api
+    .columns()
+    .indexes()
+    .filter((colIdx) => api.column(colIdx).visible())
+    .each(function (colIdx) {
+      const { counts, stats } = computeColumnFacets(
+        getColumnFilterValues(tableId, colIdx)
+      );
+      const $input = getColumnFilterInput(tableId, api, colIdx);
+      const activeFilter =
+        $input.length > 0 ? $input.val() : `/${api.column(colIdx).search()}`;
+
+      const $facet = $('<div class="facet"></div>').append(
+        $('<h5 class="ui header"></h5>')
+          .text($(api.column(colIdx).header()).text())
+          .append(
+            $('<div class="sub header"></div>').text(
+              stats ?
+                `min ${formatNumber(stats.min)} · max ${formatNumber(stats.max)} · avg ${formatNumber(stats.avg)}`
+              : `${counts.length} distinct values`
+            )
+          )
+      );
+
+      const $list = $('<div class="ui small selection list"></div>');
+      counts.slice(0, FACET_VALUE_LIMIT).forEach(([value, count]) => {
+        $list.append(
+          $('<a class="item"></a>')
+            .toggleClass("active", activeFilter === getFacetFilter(value))
+            .text(value === "" ? "(empty)" : value)
+            .prepend(
+              $('<div class="right floated ui mini label"></div>').text(count)
+            )
+            .on("click", () => applyFacetFilter(tableId, colIdx, value))
+        );
+      });
+      if (counts.length > FACET_VALUE_LIMIT) {
+        $list.append(
+          $('<div class="item disabled"></div>').text(
+            `${counts.length - FACET_VALUE_LIMIT} more values`
+          )
+        );
+      }
+
+      $sidebar.append($facet.append($list), '<div class="ui divider"></div>');
+    });
+}
+
+/**
+ * Shows or hides the facet sidebar of a table. While shown, it is redrawn
+ * shortly after the filters or the visible columns change, so its counts
+ * reflect the current filters.
+ * @param {string} tableId - Table selector.
+ */
+function toggleFacetSidebar(tableId) {
+  const api = $(tableId).DataTable();
+  const $container = $(api.table().container());
+  const $existing = $container.closest(".table-facets");
+
+  if ($existing.length > 0) {
+    $existing.before($container).remove();
+    api.off(".facets");
+    api.columns.adjust();
+    return;
+  }
+
+  const $sidebar = $(
+    '<div class="ui segment facet-sidebar" style="max-height: 80vh; overflow-y: auto"></div>'
+  );
+  const $content = $('<div class="twelve wide column"></div>');
+  const $layout = $('<div class="ui stackable grid table-facets"></div>')
+    .append($('<div class="four wide column"></div>').append($sidebar))
+    .append($content);
+  $container.before($layout);
+  $content.append($container);
+
+  // Paging and Scroller also draw, on every scroll step: the facets only
+  // change with the filter result, which virtual tables replace per query
+  let searches = 0;
+  const getFilterState = () =>
+    VIRTUAL_TABLES.get(tableId)?.filtered ?? searches;
+  let renderedState = getFilterState();
+  let timer = null;
+  const scheduleRender = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      if ($sidebar[0].isConnected) {
+        renderedState = getFilterState();
+        renderFacetSidebar(tableId, $sidebar);
+      }
+    }, FACET_REDRAW_DELAY);
+  };
+
+  renderFacetSidebar(tableId, $sidebar);
+  api.on("search.facets", () => searches++);
+  api.on("draw.facets", () => {
+    if (getFilterState() !== renderedState) {
+      scheduleRender();
+    }
+  });
+  api.on("column-visibility.facets", scheduleRender);
+  // Unwrap before DataTables puts the table back where its container was
+  api.on("destroy.facets", () => {
+    clearTimeout(timer);
+    $layout.before($container).remove();
+    api.off(".facets");
+  });
+  api.columns.adjust();
+}
+
+/**
+ * Aggregates offered by createPivotTable, with their labels
+ */
+const PIVOT_AGGREGATES = {
+  count: "Count of rows",
+  distinct: "Distinct count of",
+  sum: "Sum of",
+};
+
+/**
+ * Most column values shown by a pivot table; the less frequent ones are left out
+ */
+const PIVOT_MAX_COLUMNS = 30;
+
+/**
+ * Returns the heat map colour of a value out of a total: green when there
+ * is none, through yellow to red as the share grows, and gray when the
+ * total is zero. Shared by the pivot tables and the flow violation matrix.
+ * @param {number} value - Value, such as a count of violations.
+ * @param {number} total - Value at which the colour is at its strongest.
+ * @returns {string} CSS colour.
+ */
+function getHeatmapColor(value, total) {
+  if (total === 0) return "#f8f9fa"; // Light gray for nothing to compare
+  const percentage = (value / total) * 100;
+
+  if (percentage === 0) return "#dce9e2"; // Light green
+  if (percentage <= 25) return "#c7e4d3"; // Green
+  if (percentage <= 50) return "#fff3cd"; // Yellow
+  if (percentage <= 75) return "#f4c2c7"; // Light red
+  return "#efb3b8"; // Red
+}
+
+/**
+ * Cross-tabulates all rows of a table: rows and columns are the values of
+ * two table columns (multi-value cells count under each of their values)
+ * and each cell aggregates the rows that have both values.
+ * @param {string} tableId - Table selector.
+ * @param {Object} settings - Column indexes: rows, columns and value, and the aggregate (see PIVOT_AGGREGATES).
+ * @returns {Object} Object with rowKeys, columnKeys, hiddenColumns and value(rowKey, columnKey), where a null key is the total.
+ */
+function computePivot(tableId, settings) {
+  const splitValue = (value) => (value === "" ? [""] : value.split("||"));
+  const rowValues = getColumnFilterValues(tableId, settings.rows, false);
+  const columnValues = getColumnFilterValues(tableId, settings.columns, false);
+  const values =
+    settings.aggregate === "count" ?
+      null
+    : getColumnFilterValues(tableId, settings.value, false);
+
+  // Row indexes by "row key\u0000column key", with null keys for the totals
+  const groups = new Map();
+  const addToGroup = (rowKey, columnKey, rowIndex) => {
+    const key = `${rowKey}\u0000${columnKey}`;
+    if (!groups.has(key)) {
+      groups.set(key, new Set());
+    }
+    groups.get(key).add(rowIndex);
+  };
+  const columnCounts = new Map();
+
+  rowValues.forEach((rowValue, rowIndex) => {
+    const rowKeys = new Set(splitValue(rowValue));
+    const columnKeys = new Set(splitValue(columnValues[rowIndex]));
+    columnKeys.forEach((columnKey) =>
+      columnCounts.set(columnKey, (columnCounts.get(columnKey) || 0) + 1)
+    );
+    rowKeys.forEach((rowKey) => {
+      columnKeys.forEach((columnKey) =>
+        addToGroup(rowKey, columnKey, rowIndex)
+      );
+      addToGroup(rowKey, null, rowIndex);
+    });
+    columnKeys.forEach((columnKey) => addToGroup(null, columnKey, rowIndex));
+    addToGroup(null, null, rowIndex);
+  });
+
+  const aggregate = (rowIndexes) => {
+    if (!rowIndexes) return 0;
+    if (settings.aggregate === "distinct") {
+      const distinct = new Set();
+      rowIndexes.forEach((rowIndex) =>
+        splitValue(values[rowIndex]).forEach((value) => distinct.add(value))
+      );
+      distinct.delete("");
+      return distinct.size;
+    }
+    if (settings.aggregate === "sum") {
+      let sum = 0;
+      rowIndexes.forEach((rowIndex) => {
+        const number = Number(values[rowIndex]);
+        if (values[rowIndex] !== "" && Number.isFinite(number)) {
+          sum += number;
+        }
+      });
+      return sum;
+    }
+    return rowIndexes.size;
+  };
+
+  const byText = (a, b) => a.localeCompare(b, undefined, { numeric: true });
+  const columnKeys = [...columnCounts.keys()]
+    .sort((a, b) => columnCounts.get(b) - columnCounts.get(a) || byText(a, b))
+    .slice(0, PIVOT_MAX_COLUMNS)
+    .sort(byText);
+
+  return {
+    rowKeys: [...new Set(rowValues.flatMap(splitValue))].sort(byText),
+    columnKeys,
+    hiddenColumns: columnCounts.size - columnKeys.length,
+    value: (rowKey, columnKey) =>
+      aggregate(groups.get(`${rowKey}\u0000${columnKey}`)),
+  };
+}
+
+/**
+ * Filters a table down to the rows of a pivot cell and scrolls to it.
+ * @param {string} tableId - Table selector.
+ * @param {Object} settings - Pivot settings.
+ * @param {string|null} rowKey - Row value, or null for a column total.
+ * @param {string|null} columnKey - Column value, or null for a row total.
+ */
+function showPivotCellRows(tableId, settings, rowKey, columnKey) {
+  clearAllFilters(tableId);
+  if (rowKey !== null) {
+    applyFacetFilter(tableId, settings.rows, rowKey, false);
+  }
+  if (columnKey !== null) {
+    applyFacetFilter(tableId, settings.columns, columnKey, false);
+  }
+  scrollTableIntoView(tableId);
+}
+
+/**
+ * Renders the matrix of a pivot table, heat-mapped against its largest cell.
+ * @param {string} tableId - Table selector.
+ * @param {Object} settings - Pivot settings.
+ * @returns {jQuery} The matrix table.
+ */
+function renderPivotMatrix(tableId, settings) {
+  const api = $(tableId).DataTable();
+  const pivot = computePivot(tableId, settings);
+  const max = pivot.rowKeys.reduce(
+    (rowMax, rowKey) =>
+      pivot.columnKeys.reduce(
+        (cellMax, columnKey) =>
+          Math.max(cellMax, pivot.value(rowKey, columnKey)),
+        rowMax
+      ),
+    0
+  );
+  const formatKey = (key) => (key === "" ? "(empty)" : key);
+  const createCell = (rowKey, columnKey, heatmap) => {
+    const value = pivot.value(rowKey, columnKey);
+    const $cell = $('<td style="text-align: center"></td>');
+    if (heatmap) {
+      $cell.css("background-color", getHeatmapColor(value, max));
+    }
+    if (value === 0) {
+      return $cell.css("color", "#999").text(value);
+    }
+    return $cell.append(
+      $('<a href="#"></a>')
+        .text(value.toLocaleString())
+        .on("click", (event) => {
+          event.preventDefault();
+          showPivotCellRows(tableId, settings, rowKey, columnKey);
+        })
+    );
+  };
+
+  const $headerRow = $("<tr></tr>").append(
+    $("<th></th>").text($(api.column(settings.rows).header()).text())
+  );
+  pivot.columnKeys.forEach((columnKey) =>
+    $headerRow.append($("<th></th>").text(formatKey(columnKey)))
+  );
+  $headerRow.append("<th>Total</th>");
+
+  const $body = $("<tbody></tbody>");
+  pivot.rowKeys.forEach((rowKey) => {
+    const $row = $("<tr></tr>").append($("<td></td>").text(formatKey(rowKey)));
+    pivot.columnKeys.forEach((columnKey) =>
+      $row.append(createCell(rowKey, columnKey, true))
+    );
+    $body.append($row.append(createCell(rowKey, null, false)));
+  });
+  const $totalRow = $("<tr></tr>").append("<th>Total</th>");
+  pivot.columnKeys.forEach((columnKey) =>
+    $totalRow.append(createCell(null, columnKey, false))
+  );
+  $body.append($totalRow.append(createCell(null, null, false)));
+
+  const $matrix = $(
+    '<table class="ui celled collapsing compact table pivot-table"></table>'
+  ).append($("<thead></thead>").append($headerRow), $body);
+  if (pivot.hiddenColumns > 0) {
+    return $("<div></div>").append(
+      $matrix,
+      $('<div class="ui small message"></div>').text(
+        `${pivot.hiddenColumns} less frequent ${$(api.column(settings.columns).header()).text()} values are not shown`
+      )
+    );
+  }
+  return $matrix;
+}
+
+/**
+ * Creates a pivot (cross-tab) builder for the data of a DataTable: the user
+ * picks the row and column dimensions and the aggregate, and the cells of
+ * the heat-mapped matrix filter the table to their rows when clicked.
+ * @param {string} container - Selector or element to render into.
+ * @param {string} tableId - Table selector.
+ * @param {Object} [defaults] - Initial column indexes (rows, columns, value) and aggregate.
+ */
+function createPivotTable(container, tableId, defaults = {}) {
+  const api = $(tableId).DataTable();
+  const columnIndexes = api.columns().indexes().toArray();
+  const settings = {
+    rows: columnIndexes[0],
+    columns: columnIndexes[1] ?? columnIndexes[0],
+    value: columnIndexes[0],
+    aggregate: "count",
+    ...defaults,
+  };
+
+  const createSelect = (name, options) =>
+    $(`<select class="ui dropdown" name="${name}"></select>`)
+      .append(
+        options.map(([value, text]) => $("<option>").val(value).text(text))
+      )
+      .val(String(settings[name]));
+  const columnOptions = columnIndexes.map((colIdx) => [
+    colIdx,
+    $(api.column(colIdx).header()).text(),
+  ]);
+  const createField = (label, $select) =>
+    $('<div class="field"></div>').append(
+      $("<label></label>").text(label),
+      $select
+    );
+
+  const $value = createField("Value", createSelect("value", columnOptions));
+  const $form = $(
+    '<div class="ui small form"><div class="inline fields"></div></div>'
+  );
+  $(".fields", $form).append(
+    createField("Rows", createSelect("rows", columnOptions)),
+    createField("Columns", createSelect("columns", columnOptions)),
+    createField(
+      "Aggregate",
+      createSelect("aggregate", Object.entries(PIVOT_AGGREGATES))
+    ),
+    $value
+  );
+  const $matrix = $('<div style="overflow-x: auto"></div>');
+
+  const render = () => {
+    $value.toggle(settings.aggregate !== "count");
+    $matrix.empty().append(renderPivotMatrix(tableId, settings));
+  };
+  $("select", $form).on("change", function () {
+    settings[this.name] =
+      this.name === "aggregate" ? this.value : Number(this.value);
+    render();
+  });
+
+  $(container).empty().append($form, $matrix);
+  render();
+}
+
+/**
+ * Shows or hides a pivot builder above a table.
+ * @param {string} tableId - Table selector.
+ */
+function togglePivotPanel(tableId) {
+  const api = $(tableId).DataTable();
+  const $container = $(api.table().container());
+  const $existing = $container.prev(".table-pivot");
+
+  if ($existing.length > 0) {
+    $existing.remove();
+    api.off("destroy.pivot");
+    return;
+  }
+  const $panel = $('<div class="ui segment table-pivot"></div>');
+  $container.before($panel);
+  createPivotTable($panel, tableId);
+  api.on("destroy.pivot", () => $panel.remove());
+}
+
+/**
+ * Chart types offered by createTableChart, with their labels
+ */
+const CHART_TYPES = {
+  bar: "Bar",
+  stackedBar: "Stacked bar",
+  donut: "Donut",
+  treemap: "Treemap",
+};
+
+/**
+ * Series colours, from the Fomantic UI palette; "Other" is drawn in gray
+ */
+const CHART_COLORS = [
+  "#2185d0",
+  "#21ba45",
+  "#f2711c",
+  "#a333c8",
+  "#fbbd08",
+  "#00b5ad",
+  "#db2828",
+  "#e03997",
+  "#a5673f",
+  "#6435c9",
+];
+
+/**
+ * Most labels drawn by a chart; the smaller ones are added up as "Other"
+ */
+const CHART_MAX_CATEGORIES = 20;
+
+/**
+ * Width of the charts in pixels; their height follows their content
+ */
+const CHART_WIDTH = 640;
+
+/**
+ * Charts shown above tables by toggleChartPanel, by table selector
+ */
+const TABLE_CHARTS = new Map();
+
+/**
+ * Button name of the PNG and SVG chart exports of initDataTableWithButtons
+ */
+const CHART_EXPORT_BUTTON = "chartExport";
+
+/**
+ * Escapes text for SVG markup.
+ * @param {*} text - Text to escape.
+ * @returns {string} Escaped text.
+ */
+function escapeChartText(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Shortens a label to a number of characters, ending it with an ellipsis.
+ * @param {string} label - Label.
+ * @param {number} length - Most characters to keep.
+ * @returns {string} Label that fits.
+ */
+function truncateChartLabel(label, length) {
+  return label.length > length ?
+      `${label.substring(0, Math.max(length - 1, 0))}…`
+    : label;
+}
+
+/**
+ * Formats a chart value, with at most two decimals.
+ * @param {number} value - Value.
+ * @returns {string} Formatted value.
+ */
+function formatChartNumber(value) {
+  return value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+}
+
+/**
+ * Collects the chart data of the rows that pass the current filters, in
+ * table order: the values of each label are added up per value column, and
+ * the labels beyond CHART_MAX_CATEGORIES with the smallest totals become
+ * "Other". Values that are not numbers count as zero.
+ * @param {string} tableId - Table selector.
+ * @param {Object} settings - Column indexes: label and values (an array).
+ * @returns {Object} Object with series (value column titles) and categories ({label, values}).
+ */
+function getChartData(tableId, settings) {
+  const api = $(tableId).DataTable();
+  const labels = getColumnFilterValues(tableId, settings.label);
+  const valueColumns = settings.values.map((colIdx) =>
+    getColumnFilterValues(tableId, colIdx)
+  );
+
+  const categories = new Map();
+  labels.forEach((label, rowIndex) => {
+    const key = label === "" ? "(empty)" : label.split("||").join(", ");
+    if (!categories.has(key)) {
+      categories.set(key, { label: key, values: settings.values.map(() => 0) });
+    }
+    const category = categories.get(key);
+    valueColumns.forEach((values, seriesIndex) => {
+      const number = Number(values[rowIndex]);
+      if (values[rowIndex] !== "" && Number.isFinite(number)) {
+        category.values[seriesIndex] += number;
+      }
+    });
+  });
+
+  let result = [...categories.values()];
+  if (result.length > CHART_MAX_CATEGORIES) {
+    const sum = (category) =>
+      category.values.reduce((total, value) => total + value, 0);
+    const kept = new Set(
+      [...result]
+        .sort((a, b) => sum(b) - sum(a))
+        .slice(0, CHART_MAX_CATEGORIES - 1)
+    );
+    const other = {
+      label: "Other",
+      other: true,
+      values: settings.values.map(() => 0),
+    };
+    result = result.filter((category) => {
+      if (kept.has(category)) return true;
+      category.values.forEach((value, seriesIndex) => {
+        other.values[seriesIndex] += value;
+      });
+      return false;
+    });
+    result.push(other);
+  }
+
+  return {
+    series: settings.values.map((colIdx) =>
+      $(api.column(colIdx).header()).text()
+    ),
+    categories: result,
+  };
+}
+
+/**
+ * Returns the colour of a series or category.
+ * @param {number} index - Series or category index.
+ * @param {Object} [category] - Category, drawn in gray when it is "Other".
+ * @returns {string} CSS colour.
+ */
+function getChartColor(index, category) {
+  return category?.other ? "#bbbbbb" : (
+      CHART_COLORS[index % CHART_COLORS.length]
+    );
+}
+
+/**
+ * Wraps chart content in an SVG element of CHART_WIDTH.
+ * @param {number} height - Height in pixels.
+ * @param {string} content - SVG markup.
+ * @returns {string} SVG markup.
+ */
+function wrapChartSvg(height, content) {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${CHART_WIDTH}" height="${height}" viewBox="0 0 ${CHART_WIDTH} ${height}" font-family="Lato, 'Helvetica Neue', Arial, sans-serif" font-size="12"><rect width="100%" height="100%" fill="#ffffff"/>${content}</svg>`;
+}
+
+/**
+ * Renders a legend row of coloured squares with their names.
+ * @param {Array} items - Objects with name and color.
+ * @param {number} y - Top of the legend.
+ * @returns {string} SVG markup.
+ */
+function renderChartLegend(items, y) {
+  let x = 0;
+  return items
+    .map(({ name, color }) => {
+      const text = truncateChartLabel(name, 30);
+      const markup = `<rect x="${x}" y="${y}" width="12" height="12" fill="${color}"/><text x="${x + 16}" y="${y + 10}">${escapeChartText(text)}</text>`;
+      x += 28 + text.length * 7;
+      return markup;
+    })
+    .join("");
+}
+
+/**
+ * Renders a horizontal bar chart: one bar per value column for each label,
+ * or one bar per label with the value columns stacked.
+ * @param {Object} data - Chart data (see getChartData).
+ * @param {boolean} [stacked=false] - Whether to stack the value columns.
+ * @returns {string} SVG markup.
+ */
+function renderBarChart(data, stacked = false) {
+  const labelWidth = 160;
+  const valueWidth = 60;
+  const barHeight = 16;
+  const legendHeight = data.series.length > 1 ? 24 : 0;
+  const barsPerCategory = stacked ? 1 : data.series.length;
+  const rowHeight = barsPerCategory * barHeight + 8;
+  const plotWidth = CHART_WIDTH - labelWidth - valueWidth;
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+  const max = data.categories.reduce(
+    (categoryMax, { values }) =>
+      Math.max(
+        categoryMax,
+        stacked ? sum(values) : values.reduce((a, b) => Math.max(a, b), 0)
+      ),
+    0
+  );
+  const scale = (value) =>
+    max > 0 ? (Math.max(value, 0) / max) * plotWidth : 0;
+
+  const bars = data.categories.map((category, categoryIndex) => {
+    const top = legendHeight + categoryIndex * rowHeight + 4;
+    let markup = `<text x="${labelWidth - 8}" y="${top + (barsPerCategory * barHeight) / 2 + 4}" text-anchor="end"><title>${escapeChartText(category.label)}</title>${escapeChartText(truncateChartLabel(category.label, 24))}</text>`;
+    let x = labelWidth;
+    category.values.forEach((value, seriesIndex) => {
+      const width = scale(value);
+      const y = stacked ? top : top + seriesIndex * barHeight;
+      const color =
+        category.other && data.series.length === 1 ?
+          getChartColor(0, category)
+        : getChartColor(seriesIndex);
+      markup += `<rect x="${stacked ? x : labelWidth}" y="${y}" width="${width}" height="${barHeight - 2}" fill="${color}"><title>${escapeChartText(`${category.label} · ${data.series[seriesIndex]}: ${formatChartNumber(value)}`)}</title></rect>`;
+      if (stacked) {
+        x += width;
+      } else {
+        markup += `<text x="${labelWidth + width + 4}" y="${y + barHeight - 4}" fill="#555555">${formatChartNumber(value)}</text>`;
+      }
+    });
+    if (stacked) {
+      markup += `<text x="${x + 4}" y="${top + barHeight - 4}" fill="#555555">${formatChartNumber(sum(category.values))}</text>`;
+    }
+    return markup;
+  });
+
+  const legend =
+    legendHeight > 0 ?
+      renderChartLegend(
+        data.series.map((name, seriesIndex) => ({
+          name,
+          color: getChartColor(seriesIndex),
+        })),
+        4
+      )
+    : "";
+  return wrapChartSvg(
+    legendHeight + data.categories.length * rowHeight + 8,
+    `${legend}<line x1="${labelWidth}" y1="${legendHeight}" x2="${labelWidth}" y2="${legendHeight + data.categories.length * rowHeight + 4}" stroke="#999999"/>${bars.join("")}`
+  );
+}
+
+/**
+ * Renders a donut chart of the first value column, with a legend of the
+ * labels, their values and their shares, and the total in the middle.
+ * @param {Object} data - Chart data (see getChartData).
+ * @returns {string} SVG markup.
+ */
+function renderDonutChart(data) {
+  const radius = 110;
+  const innerRadius = 65;
+  const center = radius + 10;
+  const values = data.categories.map(({ values }) => Math.max(values[0], 0));
+  const total = values.reduce((sum, value) => sum + value, 0);
+  const point = (angle, r) =>
+    `${center + r * Math.sin(angle)} ${center - r * Math.cos(angle)}`;
+
+  let angle = 0;
+  const segments = data.categories.map((category, categoryIndex) => {
+    const value = values[categoryIndex];
+    if (value === 0) return "";
+    const title = `<title>${escapeChartText(`${category.label}: ${formatChartNumber(value)}`)}</title>`;
+    const color = getChartColor(categoryIndex, category);
+    // A full circle cannot be drawn as one arc
+    if (value === total) {
+      angle = 2 * Math.PI;
+      return `<circle cx="${center}" cy="${center}" r="${(radius + innerRadius) / 2}" fill="none" stroke="${color}" stroke-width="${radius - innerRadius}">${title}</circle>`;
+    }
+    const start = angle;
+    angle += (value / total) * 2 * Math.PI;
+    const largeArc = angle - start > Math.PI ? 1 : 0;
+    return `<path d="M ${point(start, radius)} A ${radius} ${radius} 0 ${largeArc} 1 ${point(angle, radius)} L ${point(angle, innerRadius)} A ${innerRadius} ${innerRadius} 0 ${largeArc} 0 ${point(start, innerRadius)} Z" fill="${color}" stroke="#ffffff">${title}</path>`;
+  });
+
+  const legend = data.categories.map((category, categoryIndex) => {
+    const y = 10 + categoryIndex * 18;
+    const share =
+      total > 0 ?
+        ` (${Math.round((values[categoryIndex] / total) * 100)}%)`
+      : "";
+    return `<rect x="${2 * center + 10}" y="${y}" width="12" height="12" fill="${getChartColor(categoryIndex, category)}"/><text x="${2 * center + 28}" y="${y + 10}"><title>${escapeChartText(category.label)}</title>${escapeChartText(truncateChartLabel(category.label, 32))}: ${formatChartNumber(values[categoryIndex])}${share}</text>`;
+  });
+
+  return wrapChartSvg(
+    Math.max(2 * center, 20 + data.categories.length * 18),
+    `${segments.join("")}<text x="${center}" y="${center - 2}" text-anchor="middle" font-size="20" font-weight="bold">${formatChartNumber(total)}</text><text x="${center}" y="${center + 16}" text-anchor="middle" fill="#555555">${escapeChartText(truncateChartLabel(data.series[0], 18))}</text>${legend.join("")}`
+  );
+}
+
+/**
+ * Lays out values as rectangles that fill an area in proportion to them,
+ * keeping the rectangles close to square (the squarified treemap layout).
+ * @param {Array} values - Values, largest first.
+ * @param {Object} area - Object with x, y, width and height.
+ * @returns {Array} Rectangles ({x, y, width, height}) in the order of the values.
+ */
+function computeTreemapLayout(values, area) {
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total <= 0) return values.map(() => ({ ...area, width: 0, height: 0 }));
+
+  const scale = (area.width * area.height) / total;
+  const rectangles = [];
+  let { x, y, width, height } = area;
+  let row = [];
+  const worstRatio = (areas, side) => {
+    const sum = areas.reduce((a, b) => a + b, 0);
+    const max = areas.reduce((a, b) => Math.max(a, b), 0);
+    const min = areas.reduce((a, b) => Math.min(a, b), Infinity);
+    return Math.max(
+      (side * side * max) / (sum * sum),
+      (sum * sum) / (side * side * min)
+    );
+  };
+  // Lays out the row along the shorter side and shrinks the free area
+  const layoutRow = () => {
+    const sum = row.reduce((a, b) => a + b, 0);
+    let offset = 0;
+    if (width >= height) {
+      const rowWidth = sum / height;
+      row.forEach((rowArea) => {
+        rectangles.push({
+          x,
+          y: y + offset,
+          width: rowWidth,
+          height: rowArea / rowWidth,
+        });
+        offset += rowArea / rowWidth;
+      });
+      x += rowWidth;
+      width -= rowWidth;
+    } else {
+      const rowHeight = sum / width;
+      row.forEach((rowArea) => {
+        rectangles.push({
+          x: x + offset,
+          y,
+          width: rowArea / rowHeight,
+          height: rowHeight,
+        });
+        offset += rowArea / rowHeight;
+      });
+      y += rowHeight;
+      height -= rowHeight;
+    }
+    row = [];
+  };
+
+  values
+    .map((value) => Math.max(value, 0) * scale)
+    .forEach((valueArea) => {
+      const side = Math.min(width, height);
+      if (
+        row.length > 0 &&
+        worstRatio([...row, valueArea], side) > worstRatio(row, side)
+      ) {
+        layoutRow();
+      }
+      row.push(valueArea);
+    });
+  if (row.length > 0) layoutRow();
+  return rectangles;
+}
+
+/**
+ * Renders a treemap of the first value column, labelling the rectangles
+ * that are large enough.
+ * @param {Object} data - Chart data (see getChartData).
+ * @returns {string} SVG markup.
+ */
+function renderTreemapChart(data) {
+  const height = 360;
+  const order = data.categories
+    .map((category, categoryIndex) => categoryIndex)
+    .filter((categoryIndex) => data.categories[categoryIndex].values[0] > 0)
+    .sort(
+      (a, b) => data.categories[b].values[0] - data.categories[a].values[0]
+    );
+  const rectangles = computeTreemapLayout(
+    order.map((categoryIndex) => data.categories[categoryIndex].values[0]),
+    { x: 0, y: 0, width: CHART_WIDTH, height }
+  );
+
+  const tiles = order.map((categoryIndex, tileIndex) => {
+    const category = data.categories[categoryIndex];
+    const { x, y, width, height: tileHeight } = rectangles[tileIndex];
+    const characters = Math.floor((width - 8) / 7);
+    const label =
+      tileHeight >= 34 && characters >= 3 ?
+        `<text x="${x + 4}" y="${y + 15}" fill="#ffffff">${escapeChartText(truncateChartLabel(category.label, characters))}</text><text x="${x + 4}" y="${y + 29}" fill="#ffffff" font-weight="bold">${escapeChartText(truncateChartLabel(formatChartNumber(category.values[0]), characters))}</text>`
+      : "";
+    return `<g><rect x="${x}" y="${y}" width="${width}" height="${tileHeight}" fill="${getChartColor(categoryIndex, category)}" stroke="#ffffff"><title>${escapeChartText(`${category.label}: ${formatChartNumber(category.values[0])}`)}</title></rect>${label}</g>`;
+  });
+  return wrapChartSvg(height, tiles.join(""));
+}
+
+/**
+ * Renders chart data as a chart of the given type.
+ * @param {Object} data - Chart data (see getChartData).
+ * @param {string} type - Chart type (see CHART_TYPES).
+ * @returns {string} SVG markup, or a message when there is nothing to draw.
+ */
+function renderChart(data, type) {
+  const hasValues = data.categories.some(({ values }) =>
+    values.some((value) => value > 0)
+  );
+  if (data.series.length === 0 || !hasValues) {
+    return '<div class="ui small message">No values to chart</div>';
+  }
+  if (type === "donut") return renderDonutChart(data);
+  if (type === "treemap") return renderTreemapChart(data);
+  return renderBarChart(data, type === "stackedBar");
+}
+
+/**
+ * Creates a chart of the data of a DataTable: the user picks the chart
+ * type, the label column and the value columns (those whose values are all
+ * numbers), and the chart redraws with the table, so it follows the filters.
+ * Donut charts and treemaps show the first value column.
+ * @param {string} container - Selector or element to render into.
+ * @param {string} tableId - Table selector.
+ * @param {Object} [defaults] - Initial type, label column index and value column indexes.
+ */
+function createTableChart(container, tableId, defaults = {}) {
+  const api = $(tableId).DataTable();
+  const columnIndexes = api.columns().indexes().toArray();
+  const numericColumns = columnIndexes.filter((colIdx) => {
+    const values = getColumnFilterValues(tableId, colIdx, false).filter(
+      (value) => value.trim() !== ""
+    );
+    return (
+      values.length > 0 &&
+      values.every((value) => Number.isFinite(Number(value)))
+    );
+  });
+  const settings = {
+    type: "bar",
+    label:
+      columnIndexes.find((colIdx) => !numericColumns.includes(colIdx)) ?? 0,
+    values: numericColumns.slice(0, 1),
+    ...defaults,
+  };
+  const columnTitle = (colIdx) => $(api.column(colIdx).header()).text();
+
+  const createSelect = (name, options) =>
+    $(`<select class="ui dropdown" name="${name}"></select>`)
+      .append(
+        options.map(([value, text]) => $("<option>").val(value).text(text))
+      )
+      .val(String(settings[name]));
+  const createField = (label, $control) =>
+    $('<div class="field"></div>').append(
+      $("<label></label>").text(label),
+      $control
+    );
+
+  const $values = $("<span></span>").append(
+    numericColumns.map((colIdx) =>
+      $('<label style="margin-right: 1em"></label>').append(
+        $('<input type="checkbox" name="values" />')
+          .val(colIdx)
+          .prop("checked", settings.values.includes(colIdx)),
+        " ",
+        document.createTextNode(columnTitle(colIdx))
+      )
+    )
+  );
+  const $form = $(
+    '<div class="ui small form"><div class="inline fields"></div></div>'
+  );
+  $(".fields", $form).append(
+    createField("Chart", createSelect("type", Object.entries(CHART_TYPES))),
+    createField(
+      "Labels",
+      createSelect(
+        "label",
+        columnIndexes.map((colIdx) => [colIdx, columnTitle(colIdx)])
+      )
+    ),
+    createField("Values", $values)
+  );
+  const $chart = $(
+    '<div class="table-chart-svg" style="overflow-x: auto"></div>'
+  );
+
+  const render = () => {
+    $chart.html(renderChart(getChartData(tableId, settings), settings.type));
+  };
+  $("select", $form).on("change", function () {
+    settings[this.name] =
+      this.name === "type" ? this.value : Number(this.value);
+    render();
+  });
+  $("input", $form).on("change", () => {
+    settings.values = $("input:checked", $form)
+      .map((i, input) => Number(input.value))
+      .get();
+    render();
+  });
+
+  $(container).empty().append($form, $chart);
+  render();
+  api.off("draw.chart").on("draw.chart", render);
+}
+
+/**
+ * Saves a file in the browser.
+ * @param {Blob} blob - File content.
+ * @param {string} fileName - File name.
+ */
+function downloadChartFile(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Exports a chart as an SVG file, or as a PNG drawn at twice its size.
+ * @param {SVGElement} svg - Chart element.
+ * @param {string} fileName - File name without its extension.
+ * @param {string} format - "svg" or "png".
+ */
+function exportChart(svg, fileName, format) {
+  const source = new XMLSerializer().serializeToString(svg);
+  if (format === "svg") {
+    downloadChartFile(
+      new Blob([source], { type: "image/svg+xml" }),
+      `${fileName}.svg`
+    );
+    return;
+  }
+
+  const image = new Image();
+  image.onload = () => {
+    const pixelRatio = 2;
+    const canvas = document.createElement("canvas");
+    canvas.width = svg.width.baseVal.value * pixelRatio;
+    canvas.height = svg.height.baseVal.value * pixelRatio;
+    const context = canvas.getContext("2d");
+    context.scale(pixelRatio, pixelRatio);
+    context.drawImage(image, 0, 0);
+    canvas.toBlob((blob) => downloadChartFile(blob, `${fileName}.png`));
+  };
+  // A data URL rather than an object URL, which would taint the canvas in some browsers
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(source)}`;
+}
+
+/**
+ * Exports the chart shown above a table; does nothing when there is none.
+ * @param {string} tableId - Table selector.
+ * @param {string} format - "svg" or "png".
+ * @param {string} [fileName] - File name without its extension; defaults to the document title.
+ */
+function exportTableChart(tableId, format, fileName = document.title) {
+  const $panel = TABLE_CHARTS.get(tableId);
+  const svg = $panel && $("svg", $panel)[0];
+  if (svg) {
+    exportChart(svg, fileName, format);
+  }
+}
+
+/**
+ * Shows or hides a chart above a table, enabling the PNG and SVG buttons
+ * of the table while it is shown.
+ * @param {string} tableId - Table selector.
+ * @param {Object} [defaults] - Initial chart settings (see createTableChart).
+ */
+function toggleChartPanel(tableId, defaults) {
+  const api = $(tableId).DataTable();
+  const exportButtons = api.buttons(`${CHART_EXPORT_BUTTON}:name`);
+
+  if (TABLE_CHARTS.has(tableId)) {
+    TABLE_CHARTS.get(tableId).remove();
+    TABLE_CHARTS.delete(tableId);
+    api.off("draw.chart destroy.chart");
+    exportButtons.disable();
+    return;
+  }
+  // The facet sidebar moves the container, so the panel is kept by table
+  const $container = $(api.table().container());
+  const $panel = $('<div class="ui segment table-chart"></div>');
+  const $facets = $container.closest(".table-facets");
+  ($facets.length > 0 ? $facets : $container).before($panel);
+  TABLE_CHARTS.set(tableId, $panel);
+  createTableChart($panel, tableId, defaults);
+  exportButtons.enable();
+  api.on("destroy.chart", () => {
+    $panel.remove();
+    TABLE_CHARTS.delete(tableId);
+    api.off("draw.chart destroy.chart");
+  });
+}
+
+/**
+ * Initializes a DataTable with optional filtering.
+ * Pass ADVANCED_FILTER_MODE as filterColumns to also get the search builder
+ * and saved filter presets; the column text filters are kept either way.
+ * With virtualScrolling, only the rows in view are rendered and the rows of
+ * options.data are filtered and sorted in a Web Worker, on their data
+ * rather than their rendered text (see getVirtualCellValue).
+ */
+function initDataTable(id, filterColumns, options, virtualScrolling) {
+  let opts = { responsive: true };
+  const advancedFiltering = filterColumns === ADVANCED_FILTER_MODE;
+
+  if (filterColumns) {
+    opts = {
+      ...opts,
+      orderCellsTop: true,
+      initComplete: function () {
+        setUpColumnFiltering(id, this.api());
+      },
+    };
+    const $thead = $(`${id} thead`);
+    $thead.find("tr").first().clone(true).addClass("filters").appendTo($thead);
+  }
+
+  if (advancedFiltering) {
+    if (virtualScrolling) {
+      console.warn(
+        `The search builder cannot filter virtual tables; ${id} uses column filters`
+      );
+    } else if (isSearchBuilderAvailable()) {
+      registerRegexFilterConditions();
+      opts.layout = {
+        top3Start: () => createFilterPresetToolbar(id),
+        top2: "searchBuilder",
+      };
+    } else {
+      console.warn(
+        `SearchBuilder is not loaded; ${id} falls back to column filters`
+      );
+    }
+  }
+
+  if (options) {
+    opts = {
+      ...opts,
+      ...options,
+      layout: { ...opts.layout, ...options.layout },
+    };
+  }
+
+  if (virtualScrolling) {
+    const { data, ...rest } = opts;
+    opts = {
+      ...rest,
+      ...getVirtualScrollingOptions(id, data ?? [], rest.columns),
+    };
+  }
+
+  const table = $(id).DataTable(opts);
+  if (virtualScrolling) {
+    // Detail tabs destroy and recreate their tables; release the worker each time
+    table.on("destroy", function () {
+      VIRTUAL_TABLES.get(id)?.terminate();
+      VIRTUAL_TABLES.delete(id);
+    });
+  }
+  return table;
+}
+
+/**
+ * Initializes a DataTable with export/visibility buttons, optional facet
+ * sidebar, pivot and chart buttons (with PNG/SVG export, enabled while the
+ * chart is shown), and optional column hiding.
+ * Set facets, pivot and chart in options to add the facet sidebar, pivot
+ * and chart buttons; they are not passed on to DataTables.
+ */
+function initDataTableWithButtons(
+  id,
+  title,
+  includeColumnVisibility,
+  filterColumns,
+  options,
+  hideColumnsWithIdenticalValues,
+  virtualScrolling
+) {
+  const { facets, pivot, chart, ...tableOptions } = options ?? {};
+  // Virtual tables hold only the rows in view, so exports take the data instead
+  const exportOptions =
+    virtualScrolling ?
+      { customizeData: (data) => setVirtualExportBody(id, data) }
+    : undefined;
+  const baseButtons = [
+    { extend: "copy", title, exportOptions },
+    { extend: "csvHtml5", title, exportOptions },
+    { extend: "excelHtml5", title, exportOptions },
+    { extend: "pdfHtml5", title, exportOptions },
+  ];
+  if (chart) {
+    baseButtons.push(
+      ...["png", "svg"].map((format) => ({
+        text: format.toUpperCase(),
+        name: CHART_EXPORT_BUTTON,
+        enabled: false,
+        action: () => exportTableChart(id, format, title),
+      }))
+    );
+  }
+  baseButtons.push({ extend: "print", exportOptions });
+  if (includeColumnVisibility) {
+    baseButtons.push({ extend: "colvis", text: "Columns" });
+  }
+  if (facets) {
+    baseButtons.push({ text: "Facets", action: () => toggleFacetSidebar(id) });
+  }
+  if (pivot) {
+    baseButtons.push({ text: "Pivot", action: () => togglePivotPanel(id) });
+  }
+  if (chart) {
+    baseButtons.push({ text: "Chart", action: () => toggleChartPanel(id) });
+  }
+
+  const top1Start = {
+    ...tableOptions.layout?.top1Start,
+    buttons: baseButtons,
+  };
+
+  const table = initDataTable(
+    id,
+    filterColumns,
+    {
+      ...tableOptions,
+      layout: {
+        ...tableOptions.layout,
+        top1Start,
+      },
+    },
+    virtualScrolling
+  );
 
-  if (hideColumnsWithIdenticalValues && table.rows().count() > 0) {
+  // Virtual tables only hold the rows in view, so they keep all columns
+  if (
+    hideColumnsWithIdenticalValues &&
+    !virtualScrolling &&
+    table.rows().count() > 0
+  ) {
     table.columns().every(function () {
       const column = this;
       if (!column.visible()) return;
@@ -1,3 +1,14 @@
+/**
+ * URL hash keys holding the identifier shown in the current tab, the added
+ * tabs and the active tab, as in #current=Account&tab=Contact&tab=Case
+ */
+const DEEP_LINK_TAB_KEYS = ["current", "tab", "active"];
+
+/**
+ * Value shown in comparisons for the keys that an item does not have
+ */
+const COMPARISON_MISSING_VALUE = "—";
+
 /**
  * Manages a tabbed details view system with configurable content generation and data table initialization.
  * This function handles the creation, display, and management of detail tabs.
@@ -32,6 +43,11 @@ function createTabbedDetailsManager(config) {
     closeButtonClass = "close icon",
   } = config;
 
+  // Identifier shown in the current tab, and deep link state (see enableDeepLink)
+  let currentIdentifier = null;
+  let deepLinkEnabled = false;
+  let restoringDeepLink = false;
+
   /**
    * Displays details in the current tab without creating a new tab.
    * @param {string} identifier - The identifier for the item to display
@@ -44,6 +60,7 @@ function createTabbedDetailsManager(config) {
       if (scrollIntoView) {
         existingTab.scrollIntoView();
       }
+      updateTabDeepLink();
       return;
     }
 
@@ -62,6 +79,8 @@ function createTabbedDetailsManager(config) {
         initializeContent(currentTabId, data);
       }
 
+      currentIdentifier = identifier;
+
       // Update menu item text
       const menuItem = document.getElementById(currentMenuItemId);
       menuItem.innerHTML = `<i>${identifier}</i>`;
@@ -74,6 +93,7 @@ function createTabbedDetailsManager(config) {
     if (scrollIntoView) {
       document.getElementById(menuId).scrollIntoView();
     }
+    updateTabDeepLink();
   }
 
   /**
@@ -141,6 +161,7 @@ function createTabbedDetailsManager(config) {
     if (scrollIntoView) {
       document.getElementById(menuId).scrollIntoView();
     }
+    updateTabDeepLink();
   }
 
   /**
@@ -249,18 +270,101 @@ function createTabbedDetailsManager(config) {
         // Reinitialize tabs
         $(".menu .item").tab();
       }
+      updateTabDeepLink();
+    }
+  }
+
+  /**
+   * Writes the current tab, the added tabs and the active tab to the URL hash.
+   */
+  function updateTabDeepLink() {
+    if (!deepLinkEnabled || restoringDeepLink) {
+      return;
+    }
+
+    const items = Array.from(
+      document.querySelectorAll(`#${menuId} .item[data-tab]`)
+    );
+    const tabs = items
+      .map((item) => item.getAttribute("data-tab"))
+      .filter((tab) => tab !== currentTabId);
+    const activeItem = items.find((item) => item.classList.contains("active"));
+    const active =
+      !activeItem ? null
+      : activeItem.getAttribute("data-tab") === currentTabId ? currentIdentifier
+      : activeItem.getAttribute("data-tab");
+
+    const entries = [];
+    if (currentIdentifier !== null) {
+      entries.push(["current", currentIdentifier]);
+    }
+    tabs.forEach((tab) => entries.push(["tab", tab]));
+    // The last added tab is shown by default, so only other choices are written
+    const shownByDefault =
+      tabs.length > 0 ? tabs[tabs.length - 1] : currentIdentifier;
+    if (active !== null && active !== shownByDefault) {
+      entries.push(["active", active]);
     }
+
+    updateDeepLink((key) => DEEP_LINK_TAB_KEYS.includes(key), entries);
+  }
+
+  /**
+   * Opens the tabs listed in the URL hash and activates the linked one.
+   */
+  function restoreFromDeepLink() {
+    const params = readDeepLink();
+    const current = params.get("current");
+    const tabs = params.getAll("tab");
+    const active =
+      params.get("active") ??
+      (tabs.length > 0 ? tabs[tabs.length - 1] : current);
+
+    restoringDeepLink = true;
+    try {
+      if (current) {
+        displayDetails(current);
+      }
+      tabs.forEach((identifier) => addAndDisplayDetails(identifier));
+
+      if (active && tabs.includes(active)) {
+        addAndDisplayDetails(active, true, true);
+      } else if (active && active === current) {
+        document.getElementById(currentMenuItemId).click();
+        document.getElementById(menuId).scrollIntoView();
+      }
+    } finally {
+      restoringDeepLink = false;
+    }
+    updateTabDeepLink();
+  }
+
+  /**
+   * Restores the open tabs from the URL hash, then keeps the hash up to date
+   * so that the link can be shared. Requires cfg-tables.js; call it once the
+   * page has initialized its tabs.
+   */
+  function enableDeepLink() {
+    deepLinkEnabled = true;
+    restoreFromDeepLink();
+    $(`#${menuId}`).on("click", ".item", () =>
+      setTimeout(updateTabDeepLink, 0)
+    );
+    window.addEventListener("hashchange", restoreFromDeepLink);
   }
 
   return {
     displayDetails,
     addAndDisplayDetails,
     closeTab,
+    enableDeepLink,
   };
 }
 
 /**
  * Sets up click handlers for a master table to trigger detail views.
+ * Clicks with Ctrl, Cmd or Shift are left to row selection (see
+ * enableRowComparison).
  * @param {string} tableSelector - Selector for the master table
  * @param {Function} getIdentifier - Function to extract identifier from clicked row
  * @param {Function} displayDetails - Function to display details (single click)
@@ -276,7 +380,10 @@ function setupMasterTableClickHandlers(
 ) {
   let clickTimer = null;
 
-  $(tableSelector + " tbody").on("click", "tr", function () {
+  $(tableSelector + " tbody").on("click", "tr", function (e) {
+    if (isRowSelectionClick(e)) {
+      return;
+    }
     const identifier = getIdentifier($(this));
     if (clickTimer) {
       clearTimeout(clickTimer);
@@ -291,6 +398,9 @@ function setupMasterTableClickHandlers(
   });
 
   $(tableSelector + " tbody").on("dblclick", "tr", function (e) {
+    if (isRowSelectionClick(e)) {
+      return;
+    }
     e.preventDefault();
     if (clickTimer) {
       clearTimeout(clickTimer);
@@ -300,3 +410,244 @@ function setupMasterTableClickHandlers(
     addAndDisplayDetails(identifier, true, false); // double-click
   });
 }
+
+/**
+ * Returns whether a click on a master table row selects it rather than
+ * opening its details.
+ * @param {Event} event - The click event
+ * @returns {boolean} True when Ctrl, Cmd or Shift is held
+ */
+function isRowSelectionClick(event) {
+  return event.ctrlKey || event.metaKey || event.shiftKey;
+}
+
+/**
+ * Formats a flattened value for comparison.
+ * @param {*} value - Value from a flatten function
+ * @returns {string} Text to compare and show
+ */
+function formatComparisonValue(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatComparisonValue).join(", ");
+  }
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Lines up flattened items: one row per key that any item has, in the order
+ * the keys first appear.
+ * @param {Array} flattenedItems - Objects of key/value pairs, one per item
+ * @returns {Array} Rows of [key, ...values, "different" or "same"], where a value is null when the item lacks the key
+ */
+function computeItemComparison(flattenedItems) {
+  const keys = new Set();
+  flattenedItems.forEach((item) =>
+    Object.keys(item).forEach((key) => keys.add(key))
+  );
+
+  return Array.from(keys).map((key) => {
+    const values = flattenedItems.map((item) =>
+      Object.prototype.hasOwnProperty.call(item, key) ?
+        formatComparisonValue(item[key])
+      : null
+    );
+    const same = values.every((value) => value === values[0]);
+    return [key, ...values, same ? "same" : "different"];
+  });
+}
+
+/**
+ * Shows items side by side below their master table, replacing an earlier
+ * comparison. The keys on which the items differ are highlighted and, until
+ * the user unticks the option, the only ones listed.
+ * @param {string} tableSelector - ID selector of the master table
+ * @param {Array} identifiers - Identifiers of the items to compare
+ * @param {Function} findData - Function to find data for a given identifier
+ * @param {Function} flattenItem - Function to turn an item's data into an object of comparable key/value pairs
+ */
+function showItemComparison(tableSelector, identifiers, findData, flattenItem) {
+  const comparisonId = `${tableSelector.substring(1)}-comparison`;
+  closeItemComparison(tableSelector);
+
+  const rows = computeItemComparison(
+    identifiers.map((identifier) => flattenItem(findData(identifier)))
+  );
+  const differenceIndex = identifiers.length + 1;
+
+  const $headerRow = $('<tr class="header"></tr>').append(
+    $("<th>Key</th>"),
+    identifiers.map((identifier) => $("<th></th>").text(identifier)),
+    $("<th>Difference</th>")
+  );
+  const $onlyDifferences = $(
+    '<div class="ui checkbox"><input type="checkbox" checked /><label>Only show differences</label></div>'
+  );
+  const $panel = $(
+    `<div class="ui segment item-comparison" data-table="${tableSelector}"></div>`
+  ).append(
+    $('<h3 class="ui header"></h3>')
+      .text(`Comparison of ${identifiers.length} items`)
+      .prepend(
+        $(
+          '<i class="close icon" style="float: right; cursor: pointer"></i>'
+        ).on("click", () => closeItemComparison(tableSelector))
+      ),
+    $onlyDifferences,
+    $(`<table id="${comparisonId}" class="ui celled table"></table>`).append(
+      $("<thead></thead>").append($headerRow)
+    )
+  );
+
+  // Below the facet sidebar when it wraps the master table
+  const $container = $($(tableSelector).DataTable().table().container());
+  const $facets = $container.closest(".table-facets");
+  ($facets.length > 0 ? $facets : $container).after($panel);
+
+  initDataTableWithButtons(
+    `#${comparisonId}`,
+    `Comparison of ${identifiers.join(", ")}`,
+    true,
+    true,
+    {
+      data: rows,
+      // Keep the order of the flatten functions, which group related keys
+      order: [],
+      // The header cells already hold the identifiers, as text
+      columns: [
+        {},
+        ...identifiers.map(() => ({
+          render: (data, type) =>
+            data !== null ? data
+            : type === "display" ? COMPARISON_MISSING_VALUE
+            : "",
+        })),
+        {},
+      ],
+      createdRow: (row, data) => {
+        if (data[differenceIndex] === "different") {
+          $("td", row)
+            .slice(1, differenceIndex)
+            .each(function (index) {
+              $(this).addClass(
+                data[index + 1] === null ? "negative" : "warning"
+              );
+            });
+        }
+      },
+    }
+  );
+
+  $("input", $onlyDifferences).on("change", function () {
+    setColumnFilter(
+      `#${comparisonId}`,
+      differenceIndex,
+      this.checked ? "different" : ""
+    );
+  });
+  setColumnFilter(`#${comparisonId}`, differenceIndex, "different");
+  $panel[0].scrollIntoView();
+}
+
+/**
+ * Removes the comparison below a master table, if there is one.
+ * @param {string} tableSelector - ID selector of the master table
+ */
+function closeItemComparison(tableSelector) {
+  const comparisonId = `#${tableSelector.substring(1)}-comparison`;
+  if ($.fn.dataTable.isDataTable(comparisonId)) {
+    $(comparisonId).DataTable().destroy();
+  }
+  $(".item-comparison")
+    .filter((index, panel) => $(panel).attr("data-table") === tableSelector)
+    .remove();
+}
+
+/**
+ * Adds multi-row selection and a Compare action to a master table created
+ * with initDataTableWithButtons: Ctrl/Cmd-click toggles a row, Shift-click
+ * selects the rows from the last clicked one, and Compare shows the selected
+ * items side by side (see showItemComparison).
+ * @param {string} tableSelector - ID selector of the master table
+ * @param {Function} getIdentifier - Function to extract identifier from a row
+ * @param {Function} findData - Function to find data for a given identifier
+ * @param {Function} flattenItem - Function to turn an item's data into an object of comparable key/value pairs
+ */
+function enableRowComparison(
+  tableSelector,
+  getIdentifier,
+  findData,
+  flattenItem
+) {
+  const api = $(tableSelector).DataTable();
+  let selected = [];
+  let lastClicked = null;
+
+  const refresh = () => {
+    $(tableSelector + " tbody tr").each(function () {
+      $(this).toggleClass("active", selected.includes(getIdentifier($(this))));
+    });
+    api
+      .button("compare:name")
+      .text(selected.length > 0 ? `Compare (${selected.length})` : "Compare")
+      .enable(selected.length >= 2);
+    api.button("clearSelection:name").enable(selected.length > 0);
+  };
+
+  api.button().add(undefined, {
+    name: "compare",
+    text: "Compare",
+    titleAttr: "Ctrl/Cmd-click or Shift-click rows to select them",
+    action: () =>
+      showItemComparison(tableSelector, selected, findData, flattenItem),
+  });
+  api.button().add(undefined, {
+    name: "clearSelection",
+    text: "Clear selection",
+    action: () => {
+      selected = [];
+      lastClicked = null;
+      refresh();
+    },
+  });
+
+  // Keep Shift-click from selecting the text of the rows
+  $(tableSelector + " tbody").on("mousedown", "tr", function (e) {
+    if (e.shiftKey) {
+      e.preventDefault();
+    }
+  });
+
+  $(tableSelector + " tbody").on("click", "tr", function (e) {
+    if (!isRowSelectionClick(e)) {
+      return;
+    }
+    const identifier = getIdentifier($(this));
+    if (!identifier) {
+      return;
+    }
+
+    const pageIdentifiers = $(tableSelector + " tbody tr")
+      .map((index, row) => getIdentifier($(row)))
+      .get();
+    const from = pageIdentifiers.indexOf(lastClicked);
+    const to = pageIdentifiers.indexOf(identifier);
+    if (e.shiftKey && from !== -1) {
+      pageIdentifiers
+        .slice(Math.min(from, to), Math.max(from, to) + 1)
+        .filter((rowIdentifier) => !selected.includes(rowIdentifier))
+        .forEach((rowIdentifier) => selected.push(rowIdentifier));
+    } else if (selected.includes(identifier)) {
+      selected = selected.filter((item) => item !== identifier);
+    } else {
+      selected.push(identifier);
+    }
+    lastClicked = identifier;
+    refresh();
+  });
+
+  api.on("draw", refresh);
+  refresh();
+}
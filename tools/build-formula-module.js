@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Builds the headless formula toolkit for Node.js
+ * Concatenates the browser scripts that have no DOM dependencies into one
+ * CommonJS and one ES module under dist/, exporting every top-level function
+ * and constant. The HTML layer (cfg-sfdc-tokens-ui.js) is not included.
+ *
+ * Usage: node tools/build-formula-module.js [outputDirectory]
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const SCRIPT_DIRECTORY = path.join(__dirname, "..", "docs", "script");
+
+/**
+ * Browser scripts in load order; later scripts use globals of earlier ones
+ */
+const FORMULA_MODULE_SOURCES = [
+  "cfg-sfdc-schema.js",
+  "cfg-sfdc-tokens.js",
+  "cfg-sfdc-evaluator.js",
+];
+
+/**
+ * Browser APIs that must not appear in the headless sources
+ */
+const DOM_REFERENCE_PATTERN =
+  /\b(document|window|navigator|localStorage)\.|\$\(|\bjQuery\b/;
+
+/**
+ * Reads the sources and returns the combined code and exported names
+ * @param {Array} sources - File names in docs/script
+ * @returns {Object} Object with code and names
+ */
+function collectFormulaModuleSources(sources = FORMULA_MODULE_SOURCES) {
+  const names = [];
+  const parts = sources.map((file) => {
+    const code = fs.readFileSync(path.join(SCRIPT_DIRECTORY, file), "utf8");
+
+    code.split("\n").forEach((line, index) => {
+      if (!line.trim().startsWith("*") && DOM_REFERENCE_PATTERN.test(line)) {
+        throw new Error(
+          `${file}:${index + 1} uses the DOM, which belongs in cfg-sfdc-tokens-ui.js`
+        );
+      }
+    });
+
+    for (const match of code.matchAll(/^(?:function|const)\s+(\w+)/gm)) {
+      names.push(match[1]);
+    }
+    return `// ${file}\n${code.replace(/^\uFEFF/, "")}`;
+  });
+
+  return { code: parts.join("\n"), names };
+}
+
+/**
+ * Writes dist/sfdc-formula.cjs and dist/sfdc-formula.mjs
+ * @param {string} outputDirectory - Directory for the built modules
+ * @returns {Array} Paths of the written files
+ */
+function buildFormulaModule(outputDirectory) {
+  const { code, names } = collectFormulaModuleSources();
+  const banner = `// Generated by tools/build-formula-module.js from ${FORMULA_MODULE_SOURCES.join(", ")}; do not edit.\n`;
+  const exportList = names.map((name) => `  ${name},`).join("\n");
+
+  const outputs = {
+    "sfdc-formula.cjs": `${banner}${code}\nmodule.exports = {\n${exportList}\n};\n`,
+    "sfdc-formula.mjs": `${banner}${code}\nexport {\n${exportList}\n};\n`,
+  };
+
+  fs.mkdirSync(outputDirectory, { recursive: true });
+  return Object.keys(outputs).map((file) => {
+    const outputPath = path.join(outputDirectory, file);
+    fs.writeFileSync(outputPath, outputs[file]);
+    return outputPath;
+  });
+}
+
+/**
+ * Compiles the headless sources in memory, without writing dist/
+ * Used by the command-line tools so that they always run the current sources.
+ * @returns {Object} The exported functions and constants
+ */
+function loadFormulaModule() {
+  const { code, names } = collectFormulaModuleSources();
+  const formulaModule = { exports: {} };
+  new Function("module", `${code}\nmodule.exports = { ${names.join(", ")} };`)(
+    formulaModule
+  );
+  return formulaModule.exports;
+}
+
+if (require.main === module) {
+  const outputDirectory = path.resolve(
+    process.argv[2] || path.join(__dirname, "..", "dist")
+  );
+  buildFormulaModule(outputDirectory).forEach((file) => {
+    console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+  });
+}
+
+module.exports = {
+  buildFormulaModule,
+  loadFormulaModule,
+  FORMULA_MODULE_SOURCES,
+};
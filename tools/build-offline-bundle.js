@@ -0,0 +1,588 @@
+#!/usr/bin/env node
+/**
+ * Builds an offline copy of the reports
+ * Copies a report folder (the pages, docs/script and the data modules) and
+ * downloads every stylesheet and script that the pages load from a CDN, with
+ * the fonts and stylesheets that those refer to, into vendor/. The pages are
+ * pointed at the local copies, so that they work from file:// with no
+ * network. With --inline, every page also gets its scripts, stylesheets and
+ * icon embedded, so that it can be handed over as a single HTML file.
+ *
+ * Usage: node tools/build-offline-bundle.js [options] [outputDirectory]
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_SOURCE = path.join(__dirname, "..", "docs");
+
+const DEFAULT_OUTPUT = path.join(__dirname, "..", "dist", "offline");
+
+/**
+ * Downloads are kept here and reused, so that later builds need no network
+ */
+const DEFAULT_CACHE = path.join(
+  __dirname,
+  "..",
+  "node_modules",
+  ".cache",
+  "offline-bundle"
+);
+
+/**
+ * Directory of the output that holds the downloaded assets
+ */
+const VENDOR_DIRECTORY = "vendor";
+
+/**
+ * Files of the report folder that are not copied
+ */
+const SKIPPED_FILES = [".DS_Store"];
+
+/**
+ * Media types of the files embedded as data URIs by --inline
+ */
+const INLINE_MEDIA_TYPES = {
+  ".css": "text/css",
+  ".eot": "application/vnd.ms-fontobject",
+  ".gif": "image/gif",
+  ".ico": "image/x-icon",
+  ".jpeg": "image/jpeg",
+  ".jpg": "image/jpeg",
+  ".otf": "font/otf",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+  ".ttf": "font/ttf",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+const SCRIPT_TAG_PATTERN =
+  /<script\b([^>]*?)\s+src=(["'])(.*?)\2([^>]*)>([\s\S]*?)<\/script>/gi;
+
+const LINK_TAG_PATTERN = /<link\b[^>]*>/gi;
+
+/**
+ * url() references of a stylesheet, with the @import rule when there is one
+ */
+const CSS_URL_PATTERN = /(@import\s+)?url\(\s*(["']?)(.*?)\2\s*\)/g;
+
+const CSS_IMPORT_PATTERN = /@import\s+url\(\s*(["']?)(.*?)\1\s*\)\s*;/g;
+
+const BUNDLE_USAGE = `Usage: node tools/build-offline-bundle.js [options] [outputDirectory]
+
+Builds a copy of the reports that works from file:// with no network
+(default output: dist/offline).
+
+Options:
+  --source <directory>  Report folder to bundle (default: docs)
+  --cache <directory>   Where downloads are kept and reused (default:
+                        node_modules/.cache/offline-bundle); put the files
+                        there to build without network
+  --inline              Embed scripts, stylesheets and icons in every page,
+                        so that each page is a single self-contained file
+  --help                Show this message
+
+Exit codes: 0 built, 1 an asset could not be downloaded, 2 invalid arguments`;
+
+/**
+ * Reads the command-line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Options; `error` is set when the arguments are invalid
+ */
+function parseBundleArguments(args) {
+  const options = {
+    source: DEFAULT_SOURCE,
+    output: DEFAULT_OUTPUT,
+    cache: DEFAULT_CACHE,
+    inline: false,
+    help: false,
+    error: null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const takeValue = () => {
+      if (i + 1 >= args.length) {
+        options.error = `${arg} needs a value`;
+        return null;
+      }
+      return args[++i];
+    };
+
+    if (arg === "--source") {
+      options.source = takeValue();
+    } else if (arg === "--cache") {
+      options.cache = takeValue();
+    } else if (arg === "--inline") {
+      options.inline = true;
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg.startsWith("-")) {
+      options.error = `Unknown option: ${arg}`;
+    } else {
+      options.output = arg;
+    }
+  }
+
+  if (!options.error && !fs.existsSync(options.source)) {
+    options.error = `Report folder not found: ${options.source}`;
+  }
+  return options;
+}
+
+/**
+ * Returns the value of an attribute of an HTML tag
+ * @param {string} tag - Tag markup
+ * @param {string} name - Attribute name
+ * @returns {string|null} The value, or null when the tag has no such attribute
+ */
+function getTagAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}=(["'])(.*?)\\1`, "i"));
+  return match ? match[2] : null;
+}
+
+/**
+ * Returns whether a reference is an absolute http(s) URL
+ * @param {string} reference - URL from a page or stylesheet
+ * @returns {boolean} True for remote references
+ */
+function isRemoteReference(reference) {
+  return /^(https?:)?\/\//i.test(reference);
+}
+
+/**
+ * Returns where a downloaded asset goes: vendor/<host>/<path>, with a hash of
+ * the query string when there is one
+ * @param {string} url - Asset URL
+ * @param {string} [extension] - Extension to add when the path lacks it
+ * @returns {string} Path relative to the output directory, with / separators
+ */
+function getVendorPath(url, extension = "") {
+  const { host, pathname, search } = new URL(url);
+  let file = pathname.endsWith("/") ? `${pathname}index` : pathname;
+  if (search) {
+    const hash = crypto.createHash("sha1").update(search).digest("hex");
+    file = `${file}-${hash.substring(0, 8)}`;
+  }
+  if (extension && path.posix.extname(file) !== extension) {
+    file += extension;
+  }
+  const segments = file
+    .split("/")
+    .filter(Boolean)
+    .map((segment) => decodeURIComponent(segment));
+  return [VENDOR_DIRECTORY, host.replace(/:/g, "_"), ...segments].join("/");
+}
+
+/**
+ * Returns the reference from one output file to another
+ * @param {string} fromPath - Referring file, relative to the output directory
+ * @param {string} toPath - Referenced file, relative to the output directory
+ * @returns {string} Relative URL
+ */
+function getRelativeReference(fromPath, toPath) {
+  return encodeURI(path.posix.relative(path.posix.dirname(fromPath), toPath));
+}
+
+/**
+ * Returns an asset from the cache, downloading it into the cache first
+ * @param {string} url - Asset URL
+ * @param {string} cacheDirectory - Download cache
+ * @returns {Promise<Buffer>} The content
+ */
+async function downloadAsset(url, cacheDirectory) {
+  const cachePath = path.join(
+    cacheDirectory,
+    ...getVendorPath(url).split("/").slice(1)
+  );
+  if (fs.existsSync(cachePath)) {
+    return fs.readFileSync(cachePath);
+  }
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(
+      `Cannot download ${url}: ${error.cause?.message || error.message}; to build without network, put the file at ${cachePath}`
+    );
+  }
+  if (!response.ok) {
+    throw new Error(
+      `Cannot download ${url}: ${response.status} ${response.statusText}`
+    );
+  }
+  const content = Buffer.from(await response.arrayBuffer());
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+  fs.writeFileSync(cachePath, content);
+  return content;
+}
+
+/**
+ * Downloads an asset into vendor/, once per URL
+ * @param {string} url - Asset URL
+ * @param {string} kind - "script", "stylesheet" or "asset"
+ * @param {Object} context - Build context from buildOfflineBundle
+ * @returns {Promise<string>} Path of the local copy, relative to the output directory
+ */
+function vendorAsset(url, kind, context) {
+  const key = url.split("#")[0];
+  if (!context.vendored.has(key)) {
+    context.vendored.set(key, writeVendorAsset(key, kind, context));
+  }
+  return context.vendored.get(key);
+}
+
+/**
+ * Downloads an asset and writes it to vendor/; the references of
+ * stylesheets are vendored too
+ * @param {string} url - Asset URL
+ * @param {string} kind - "script", "stylesheet" or "asset"
+ * @param {Object} context - Build context from buildOfflineBundle
+ * @returns {Promise<string>} Path of the local copy, relative to the output directory
+ */
+async function writeVendorAsset(url, kind, context) {
+  const extension =
+    kind === "stylesheet" ? ".css"
+    : kind === "script" ? ".js"
+    : "";
+  const vendorPath = getVendorPath(url, extension);
+  let content = await downloadAsset(url, context.cache);
+  if (kind === "stylesheet") {
+    content = await vendorStylesheetReferences(
+      content.toString("utf8"),
+      url,
+      vendorPath,
+      context
+    );
+  }
+
+  const outputPath = path.join(context.output, ...vendorPath.split("/"));
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+  context.written.push(vendorPath);
+  return vendorPath;
+}
+
+/**
+ * Vendors the fonts, images and imported stylesheets of a downloaded
+ * stylesheet and points its url() references at them. Those that cannot be
+ * downloaded are reported as warnings and left as they are: the page still
+ * works without them, only less polished.
+ * @param {string} css - Stylesheet
+ * @param {string} url - Stylesheet URL, against which its references resolve
+ * @param {string} vendorPath - Path of the local copy of the stylesheet
+ * @param {Object} context - Build context from buildOfflineBundle
+ * @returns {Promise<string>} The stylesheet with local references
+ */
+async function vendorStylesheetReferences(css, url, vendorPath, context) {
+  const replacements = await Promise.all(
+    [...css.matchAll(CSS_URL_PATTERN)].map(async (match) => {
+      const [rule, importRule = "", , reference] = match;
+      if (/^(data|blob):/i.test(reference) || reference.startsWith("#")) {
+        return rule;
+      }
+      const assetUrl = new URL(reference, url);
+      if (!/^https?:$/.test(assetUrl.protocol)) {
+        return rule;
+      }
+      try {
+        const assetPath = await vendorAsset(
+          assetUrl.href,
+          importRule ? "stylesheet" : "asset",
+          context
+        );
+        return `${importRule}url("${getRelativeReference(vendorPath, assetPath)}${assetUrl.hash}")`;
+      } catch (error) {
+        context.warnings.add(error.message);
+        return rule;
+      }
+    })
+  );
+  let index = 0;
+  return css.replace(CSS_URL_PATTERN, () => replacements[index++]);
+}
+
+/**
+ * Lists the remote scripts and stylesheets of a page
+ * @param {string} html - Page
+ * @returns {Array} Objects with url and kind ("script" or "stylesheet")
+ */
+function collectRemoteAssets(html) {
+  const assets = [];
+  for (const match of html.matchAll(SCRIPT_TAG_PATTERN)) {
+    if (isRemoteReference(match[3])) {
+      assets.push({ url: match[3], kind: "script" });
+    }
+  }
+  for (const [tag] of html.matchAll(LINK_TAG_PATTERN)) {
+    const href = getTagAttribute(tag, "href");
+    if (
+      href &&
+      isRemoteReference(href) &&
+      /\bstylesheet\b/i.test(getTagAttribute(tag, "rel") || "")
+    ) {
+      assets.push({ url: href, kind: "stylesheet" });
+    }
+  }
+  return assets.map((asset) => ({
+    ...asset,
+    url: new URL(asset.url, "https://localhost").href,
+  }));
+}
+
+/**
+ * Points the remote scripts and stylesheets of a page at their local
+ * copies. Integrity and crossorigin attributes are dropped: browsers refuse
+ * CORS loads from file:// pages.
+ * @param {string} html - Page
+ * @param {string} pagePath - Page path, relative to the output directory
+ * @param {Map} localPaths - Local copy path by asset URL
+ * @returns {string} The page
+ */
+function localizePage(html, pagePath, localPaths) {
+  const localize = (tag, reference) => {
+    const url = new URL(reference, "https://localhost").href;
+    if (!isRemoteReference(reference) || !localPaths.has(url)) {
+      return tag;
+    }
+    return tag
+      .replace(reference, () =>
+        getRelativeReference(pagePath, localPaths.get(url))
+      )
+      .replace(/\s+(integrity|crossorigin)(=(["']).*?\3)?(?=[\s/>])/gi, "");
+  };
+
+  return html
+    .replace(SCRIPT_TAG_PATTERN, (tag, before, quote, src) =>
+      localize(tag, src)
+    )
+    .replace(LINK_TAG_PATTERN, (tag) =>
+      localize(tag, getTagAttribute(tag, "href") || "")
+    );
+}
+
+/**
+ * Returns the file that a local reference points to
+ * @param {string} reference - URL from a page or stylesheet
+ * @param {string} fromFile - Absolute path of the referring file
+ * @returns {string|null} Absolute path, or null for remote and data references
+ */
+function resolveLocalReference(reference, fromFile) {
+  if (
+    !reference ||
+    isRemoteReference(reference) ||
+    /^[a-z][a-z0-9+.-]*:/i.test(reference) ||
+    reference.startsWith("#")
+  ) {
+    return null;
+  }
+  const file = decodeURI(reference.split(/[?#]/)[0]);
+  return path.resolve(path.dirname(fromFile), file);
+}
+
+/**
+ * Returns a file as a data URI
+ * @param {string} file - Absolute path
+ * @returns {string} Data URI
+ */
+function toDataUri(file) {
+  const mediaType =
+    INLINE_MEDIA_TYPES[path.extname(file).toLowerCase()] ||
+    "application/octet-stream";
+  return `data:${mediaType};base64,${fs.readFileSync(file).toString("base64")}`;
+}
+
+/**
+ * Embeds the imported stylesheets, fonts and images of a local stylesheet
+ * @param {string} file - Absolute path of the stylesheet
+ * @returns {string} Self-contained stylesheet
+ */
+function inlineStylesheet(file) {
+  return fs
+    .readFileSync(file, "utf8")
+    .replace(CSS_IMPORT_PATTERN, (rule, quote, reference) => {
+      const imported = resolveLocalReference(reference, file);
+      return imported && fs.existsSync(imported) ?
+          inlineStylesheet(imported)
+        : rule;
+    })
+    .replace(CSS_URL_PATTERN, (rule, importRule, quote, reference) => {
+      const asset = resolveLocalReference(reference, file);
+      return !importRule && asset && fs.existsSync(asset) ?
+          `url("${toDataUri(asset)}")`
+        : rule;
+    });
+}
+
+/**
+ * Embeds the local scripts, stylesheets and icons of a page
+ * @param {string} html - Page, with local references only
+ * @param {string} file - Absolute path of the page
+ * @returns {string} Self-contained page
+ */
+function inlinePage(html, file) {
+  return html
+    .replace(SCRIPT_TAG_PATTERN, (tag, before, quote, src, after) => {
+      const script = resolveLocalReference(src, file);
+      if (!script || !fs.existsSync(script)) {
+        return tag;
+      }
+      const code = fs
+        .readFileSync(script, "utf8")
+        .replace(/^\uFEFF/, "")
+        .replace(/<\/(script)/gi, "<\\/$1");
+      return `<script${before}${after}>${code}</script>`;
+    })
+    .replace(LINK_TAG_PATTERN, (tag) => {
+      const href = getTagAttribute(tag, "href");
+      const linked = resolveLocalReference(href, file);
+      if (!linked || !fs.existsSync(linked)) {
+        return tag;
+      }
+      if (/\bstylesheet\b/i.test(getTagAttribute(tag, "rel") || "")) {
+        return `<style>${inlineStylesheet(linked).replace(/<\/(style)/gi, "<\\/$1")}</style>`;
+      }
+      return tag.replace(href, () => toDataUri(linked));
+    });
+}
+
+/**
+ * Lists the local scripts of a page that are not in the report folder,
+ * typically data modules that have not been generated
+ * @param {string} html - Page
+ * @param {string} file - Absolute path of the page
+ * @returns {Array} The missing references
+ */
+function findMissingScripts(html, file) {
+  return [...html.matchAll(SCRIPT_TAG_PATTERN)]
+    .map((match) => match[3])
+    .filter((src) => {
+      const script = resolveLocalReference(src, file);
+      return script && !fs.existsSync(script);
+    });
+}
+
+/**
+ * Lists the files under a directory
+ * @param {string} directory - Absolute path
+ * @param {string} [prefix] - Path of the directory in the results
+ * @returns {Array} Paths relative to the directory, with / separators
+ */
+function listFiles(directory, prefix = "") {
+  return fs
+    .readdirSync(directory, { withFileTypes: true })
+    .flatMap((entry) =>
+      entry.isDirectory() ?
+        listFiles(path.join(directory, entry.name), `${prefix}${entry.name}/`)
+      : [`${prefix}${entry.name}`]
+    );
+}
+
+/**
+ * Copies the report folder, vendors the remote assets of its pages and
+ * rewrites the pages to use them
+ * @param {Object} options - Options from parseBundleArguments
+ * @returns {Promise<Object>} Object with pages, the number of vendored assets and warnings
+ */
+async function buildOfflineBundle(options) {
+  const source = path.resolve(options.source);
+  const output = path.resolve(options.output);
+  const context = {
+    output,
+    cache: path.resolve(options.cache),
+    vendored: new Map(),
+    written: [],
+    warnings: new Set(),
+  };
+
+  fs.mkdirSync(output, { recursive: true });
+  fs.cpSync(source, output, {
+    recursive: true,
+    filter: (file) =>
+      !SKIPPED_FILES.includes(path.basename(file)) &&
+      path.resolve(file) !== output,
+  });
+
+  const pages = listFiles(output)
+    .filter(
+      (file) =>
+        file.endsWith(".html") && !file.startsWith(`${VENDOR_DIRECTORY}/`)
+    )
+    .sort();
+  const htmlByPage = new Map(
+    pages.map((page) => [
+      page,
+      fs.readFileSync(path.join(output, ...page.split("/")), "utf8"),
+    ])
+  );
+
+  // Download everything first: a missing script or stylesheet fails the build
+  const localPaths = new Map();
+  const assets = new Map();
+  htmlByPage.forEach((html) =>
+    collectRemoteAssets(html).forEach((asset) => assets.set(asset.url, asset))
+  );
+  for (const { url, kind } of assets.values()) {
+    localPaths.set(url, await vendorAsset(url, kind, context));
+  }
+
+  htmlByPage.forEach((html, page) => {
+    const file = path.join(output, ...page.split("/"));
+    let result = localizePage(html, page, localPaths);
+    findMissingScripts(result, file).forEach((src) =>
+      context.warnings.add(`${page}: ${src} is not in the report folder`)
+    );
+    if (options.inline) {
+      result = inlinePage(result, file);
+    }
+    fs.writeFileSync(file, result);
+  });
+
+  return {
+    pages,
+    assets: context.written.length,
+    warnings: [...context.warnings],
+  };
+}
+
+/**
+ * Runs the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {Promise<number>} The exit code
+ */
+async function main(args) {
+  const options = parseBundleArguments(args);
+  if (options.help) {
+    console.log(BUNDLE_USAGE);
+    return 0;
+  }
+  if (options.error) {
+    console.error(`${options.error}\n\n${BUNDLE_USAGE}`);
+    return 2;
+  }
+
+  let result;
+  try {
+    result = await buildOfflineBundle(options);
+  } catch (error) {
+    console.error(error.message);
+    return 1;
+  }
+
+  result.warnings.forEach((warning) => console.warn(`Warning: ${warning}`));
+  console.log(
+    `Wrote ${result.pages.length} pages and ${result.assets} vendored assets to ${path.relative(process.cwd(), path.resolve(options.output)) || "."}`
+  );
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+  });
+}
+
+module.exports = { buildOfflineBundle, getVendorPath, main };
@@ -0,0 +1,460 @@
+#!/usr/bin/env node
+/**
+ * Formula health check for the extract specification
+ * Checks every formula field, validation rule and roll-up summary filter of
+ * 200.ExtractSpecificationXml.xml with the toolkit in docs/script and prints
+ * a report grouped by object and field. Exits with 1 when errors are found.
+ *
+ * Usage: node tools/lint-formulas.js [options] [specification.xml]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadFormulaModule } = require("./build-formula-module.js");
+
+const DEFAULT_SPECIFICATION = path.join(
+  __dirname,
+  "..",
+  "docs",
+  "200.ExtractSpecificationXml.xml"
+);
+
+const LINT_REPORT_FORMATS = ["text", "json", "junit"];
+
+const LINT_KIND_LABELS = {
+  formula: "formula",
+  validationRule: "validation rule",
+  summaryFilter: "summary filter",
+};
+
+const LINT_USAGE = `Usage: node tools/lint-formulas.js [options] [specification.xml]
+
+Options:
+  --format <text|json|junit>  Report format (default: text)
+  --output <file>             Write the report to a file instead of stdout
+  --object <name>             Only check this object; may be repeated
+  --lint                      Also report best-practice findings
+  --duplicates                Note formulas whose logic is repeated elsewhere
+  --verbose                   List items without problems in text reports
+  --help                      Show this message
+
+Exit codes: 0 no errors, 1 errors found, 2 invalid arguments or input`;
+
+/**
+ * Reads the command-line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} Options; `error` is set when the arguments are invalid
+ */
+function parseLintArguments(args) {
+  const options = {
+    specification: DEFAULT_SPECIFICATION,
+    format: "text",
+    output: null,
+    objects: [],
+    lint: false,
+    duplicates: false,
+    verbose: false,
+    help: false,
+    error: null,
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const takeValue = () => {
+      if (i + 1 >= args.length) {
+        options.error = `${arg} needs a value`;
+        return null;
+      }
+      return args[++i];
+    };
+
+    if (arg === "--format") {
+      options.format = takeValue();
+    } else if (arg === "--output") {
+      options.output = takeValue();
+    } else if (arg === "--object") {
+      options.objects.push(takeValue());
+    } else if (arg === "--lint") {
+      options.lint = true;
+    } else if (arg === "--duplicates") {
+      options.duplicates = true;
+    } else if (arg === "--verbose") {
+      options.verbose = true;
+    } else if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg.startsWith("-")) {
+      options.error = `Unknown option: ${arg}`;
+    } else {
+      options.specification = arg;
+    }
+  }
+
+  if (!options.error && !LINT_REPORT_FORMATS.includes(options.format)) {
+    options.error = `Unknown format: ${options.format}`;
+  }
+  return options;
+}
+
+/**
+ * Converts a character offset into a 1-based line and column
+ * @param {string} text - The formula
+ * @param {number} position - Character offset
+ * @returns {Object} Object with line and column
+ */
+function getLineAndColumn(text, position) {
+  const before = text.substring(0, Math.max(0, position));
+  const lines = before.split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Checks every formula, validation rule and summary filter of a schema
+ * @param {Object} toolkit - Module from loadFormulaModule
+ * @param {Object} schema - Schema from parseExtractSpecification
+ * @param {Object} options - Options from parseLintArguments
+ * @returns {Array} Results: { object, name, kind, formula, problems } where
+ * each problem has severity, message, position, line, column and rule
+ */
+function lintSpecification(toolkit, schema, options) {
+  const results = [];
+  const wanted = options.objects.map((name) => name.toLowerCase());
+
+  const checkFormula = (objectName, formula, returnType) => {
+    const resolveFieldType = toolkit.createSchemaTypeResolver(
+      objectName,
+      schema
+    );
+    const problems = [
+      ...toolkit.detectFormulaErrors(formula, { resolveFieldType, returnType }),
+      ...toolkit.extractFormulaDependencies(formula, objectName, schema).errors,
+      ...(options.lint ?
+        toolkit.lintFormula(formula, { resolveFieldType })
+      : []),
+    ];
+    return problems
+      .sort((a, b) => a.position - b.position)
+      .map((problem) => ({
+        severity: problem.severity || "error",
+        message: problem.message,
+        rule: problem.rule || problem.type,
+        position: problem.position,
+        ...getLineAndColumn(formula, problem.position),
+      }));
+  };
+
+  Object.values(schema.objects).forEach((schemaObject) => {
+    if (
+      wanted.length > 0 &&
+      !wanted.includes(schemaObject.name.toLowerCase())
+    ) {
+      return;
+    }
+
+    Object.values(schemaObject.fields).forEach((field) => {
+      if (field.formula) {
+        results.push({
+          object: schemaObject.name,
+          name: field.name,
+          kind: "formula",
+          formula: field.formula,
+          problems: checkFormula(
+            schemaObject.name,
+            field.formula,
+            toolkit.SCHEMA_FORMULA_TYPES[field.type]
+          ),
+        });
+      }
+      if (field.summary) {
+        results.push({
+          object: schemaObject.name,
+          name: field.name,
+          kind: "summaryFilter",
+          formula: null,
+          problems: toolkit
+            .validateSummaryFilters(field.summary, schema)
+            .map((problem) => ({
+              severity: "error",
+              message:
+                problem.position < 0 ?
+                  problem.message
+                : `Filter ${problem.position + 1}: ${problem.message}`,
+              rule: problem.type,
+              position: problem.position,
+              line: null,
+              column: null,
+            })),
+        });
+      }
+    });
+
+    schemaObject.validationRules.forEach((rule) => {
+      if (rule.errorConditionFormula) {
+        results.push({
+          object: schemaObject.name,
+          name: `ValidationRule:${rule.name}`,
+          kind: "validationRule",
+          formula: rule.errorConditionFormula,
+          problems: checkFormula(
+            schemaObject.name,
+            rule.errorConditionFormula,
+            "boolean"
+          ),
+        });
+      }
+    });
+  });
+
+  if (options.duplicates) {
+    const resultsByKey = new Map(
+      results.map((result) => [`${result.object}.${result.name}`, result])
+    );
+    toolkit.findDuplicateFormulas(schema).forEach((group) => {
+      group.items.forEach((item) => {
+        const result = resultsByKey.get(item.key);
+        if (!result) {
+          return; // Object not selected with --object
+        }
+        const others = group.items
+          .filter((other) => other !== item)
+          .map((other) => other.key);
+        result.problems.push({
+          severity: "note",
+          message: `Same logic as ${others.join(", ")}`,
+          rule: "duplicate-logic",
+          position: 0,
+          line: 1,
+          column: 1,
+        });
+      });
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Counts checked items and problems by kind and severity
+ * @param {Array} results - Results of lintSpecification
+ * @returns {Object} Summary counts
+ */
+function summarizeLintResults(results) {
+  const summary = {
+    formulas: 0,
+    validationRules: 0,
+    summaryFilters: 0,
+    errors: 0,
+    warnings: 0,
+    notes: 0,
+  };
+  results.forEach((result) => {
+    summary[`${result.kind}s`]++;
+    result.problems.forEach((problem) => {
+      summary[`${problem.severity}s`]++;
+    });
+  });
+  return summary;
+}
+
+/**
+ * Describes where a problem is, for the text and JUnit reports
+ * @param {Object} problem - Problem from lintSpecification
+ * @returns {string} "line:column", or an empty string for summary filters
+ */
+function formatProblemLocation(problem) {
+  return problem.line === null ? "" : `${problem.line}:${problem.column}`;
+}
+
+/**
+ * Formats the results as a plain-text report grouped by object
+ * @param {Array} results - Results of lintSpecification
+ * @param {Object} options - Options from parseLintArguments
+ * @returns {string} The report
+ */
+function formatTextReport(results, options) {
+  const lines = [];
+
+  let currentObject = null;
+  results.forEach((result) => {
+    if (result.problems.length === 0 && !options.verbose) {
+      return;
+    }
+    if (result.object !== currentObject) {
+      currentObject = result.object;
+      lines.push("", result.object);
+    }
+    lines.push(`  ${result.name} (${LINT_KIND_LABELS[result.kind]})`);
+    if (result.problems.length === 0) {
+      lines.push("    ok");
+    }
+    result.problems.forEach((problem) => {
+      lines.push(
+        `    ${problem.severity.padEnd(7)} ${formatProblemLocation(problem).padEnd(7)} ${problem.message} [${problem.rule}]`
+      );
+    });
+  });
+
+  const summary = summarizeLintResults(results);
+  lines.push(
+    "",
+    `Checked ${summary.formulas} formulas, ${summary.validationRules} validation rules and ${summary.summaryFilters} summary fields: ` +
+      `${summary.errors} errors, ${summary.warnings} warnings, ${summary.notes} notes`
+  );
+  return lines.join("\n").replace(/^\n/, "") + "\n";
+}
+
+/**
+ * Formats the results as JSON
+ * @param {Array} results - Results of lintSpecification
+ * @returns {string} The report
+ */
+function formatJsonReport(results) {
+  return (
+    JSON.stringify(
+      { summary: summarizeLintResults(results), results },
+      null,
+      2
+    ) + "\n"
+  );
+}
+
+/**
+ * Escapes text for XML content and attribute values
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Formats the results as JUnit XML: one suite per object, one test case per
+ * formula; errors are failures and warnings and notes go to system-out
+ * @param {Array} results - Results of lintSpecification
+ * @returns {string} The report
+ */
+function formatJunitReport(results) {
+  const suites = {};
+  results.forEach((result) => {
+    (suites[result.object] = suites[result.object] || []).push(result);
+  });
+
+  const describe = (problem) =>
+    [
+      problem.severity,
+      formatProblemLocation(problem),
+      `${problem.message} [${problem.rule}]`,
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+  const suiteXml = Object.keys(suites).map((objectName) => {
+    const cases = suites[objectName];
+    const failures = cases.filter((result) =>
+      result.problems.some((problem) => problem.severity === "error")
+    ).length;
+
+    const caseXml = cases.map((result) => {
+      const errors = result.problems.filter(
+        (problem) => problem.severity === "error"
+      );
+      const others = result.problems.filter(
+        (problem) => problem.severity !== "error"
+      );
+      const body = [
+        errors.length > 0 ?
+          `      <failure message="${escapeXml(errors[0].message)}" type="${escapeXml(errors[0].rule)}">${escapeXml(errors.map(describe).join("\n"))}</failure>`
+        : null,
+        others.length > 0 ?
+          `      <system-out>${escapeXml(others.map(describe).join("\n"))}</system-out>`
+        : null,
+      ].filter(Boolean);
+
+      const open = `    <testcase classname="${escapeXml(`${objectName}.${result.kind}`)}" name="${escapeXml(result.name)}"`;
+      return body.length === 0 ?
+          `${open} />`
+        : `${open}>\n${body.join("\n")}\n    </testcase>`;
+    });
+
+    return `  <testsuite name="${escapeXml(objectName)}" tests="${cases.length}" failures="${failures}">\n${caseXml.join("\n")}\n  </testsuite>`;
+  });
+
+  const failures = results.filter((result) =>
+    result.problems.some((problem) => problem.severity === "error")
+  ).length;
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<testsuites name="formula-lint" tests="${results.length}" failures="${failures}">\n` +
+    `${suiteXml.join("\n")}\n</testsuites>\n`
+  );
+}
+
+/**
+ * Runs the command line
+ * @param {Array} args - Arguments after the script name
+ * @returns {number} The exit code
+ */
+function main(args) {
+  const options = parseLintArguments(args);
+  if (options.help) {
+    console.log(LINT_USAGE);
+    return 0;
+  }
+  if (options.error) {
+    console.error(`${options.error}\n\n${LINT_USAGE}`);
+    return 2;
+  }
+
+  let xml;
+  try {
+    xml = fs.readFileSync(options.specification, "utf8");
+  } catch (error) {
+    console.error(`Cannot read ${options.specification}: ${error.message}`);
+    return 2;
+  }
+
+  const toolkit = loadFormulaModule();
+  let schema;
+  try {
+    schema = toolkit.parseExtractSpecification(xml);
+  } catch (error) {
+    console.error(`Cannot parse ${options.specification}: ${error.message}`);
+    return 2;
+  }
+  if (schema.errors.length > 0) {
+    const messages = schema.errors.map((error) => error.message).join(", ");
+    console.error(`Cannot parse ${options.specification}: ${messages}`);
+    return 2;
+  }
+  const unknownObjects = options.objects.filter(
+    (name) => !toolkit.getSchemaObject(schema, name)
+  );
+  if (unknownObjects.length > 0) {
+    console.error(`Unknown object: ${unknownObjects.join(", ")}`);
+    return 2;
+  }
+
+  const results = lintSpecification(toolkit, schema, options);
+
+  const report =
+    options.format === "json" ? formatJsonReport(results)
+    : options.format === "junit" ? formatJunitReport(results)
+    : formatTextReport(results, options);
+
+  if (options.output) {
+    fs.writeFileSync(options.output, report);
+  } else {
+    process.stdout.write(report);
+  }
+
+  return summarizeLintResults(results).errors > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { lintSpecification, summarizeLintResults, main };
@@ -0,0 +1,89 @@
+/**
+ * Exit codes of the formula health check
+ *
+ * Usage: node --test tools/
+ */
+
+const assert = require("assert");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, after } = require("node:test");
+
+const LINT_SCRIPT = path.join(__dirname, "lint-formulas.js");
+
+const TEMPORARY_DIRECTORY = fs.mkdtempSync(
+  path.join(os.tmpdir(), "lint-formulas-")
+);
+
+after(() => fs.rmSync(TEMPORARY_DIRECTORY, { recursive: true, force: true }));
+
+/**
+ * Writes a specification and runs the health check on it
+ * @param {string} xml - Specification contents
+ * @param {Array} args - Further command-line arguments
+ * @returns {Object} Result of spawnSync, with status, stdout and stderr
+ */
+function runLint(xml, args = []) {
+  const file = path.join(TEMPORARY_DIRECTORY, `${Math.random()}.xml`);
+  fs.writeFileSync(file, xml);
+  return spawnSync(process.execPath, [LINT_SCRIPT, ...args, file], {
+    encoding: "utf8",
+  });
+}
+
+/**
+ * Builds a specification with one Account formula field
+ * @param {string} formula - Formula text, already escaped for XML
+ * @returns {string} Specification XML
+ */
+function createSpecification(formula) {
+  return `<Specification><Schema><Account><label>Account</label><Fields>
+    <Score__c><label>Score</label><type>Number</type><formula>${formula}</formula></Score__c>
+  </Fields></Account></Schema></Specification>`;
+}
+
+test("exits with 0 when no errors are found", () => {
+  const result = runLint(createSpecification("1 + 2"));
+  assert.strictEqual(result.status, 0, result.stderr);
+});
+
+test("exits with 1 when a formula has errors", () => {
+  const result = runLint(createSpecification("1 +"));
+  assert.strictEqual(result.status, 1, result.stderr);
+});
+
+test("exits with 2 for markup that is not well-formed", () => {
+  const result = runLint(createSpecification("1 < 2"));
+  assert.strictEqual(result.status, 2);
+  assert.match(result.stderr, /Invalid markup/);
+});
+
+test("exits with 2 and writes no JUnit report for malformed input", () => {
+  const output = path.join(TEMPORARY_DIRECTORY, "report.xml");
+  const result = runLint(createSpecification("1 < 2"), [
+    "--format",
+    "junit",
+    "--output",
+    output,
+  ]);
+  assert.strictEqual(result.status, 2);
+  assert.strictEqual(fs.existsSync(output), false);
+});
+
+test("exits with 2 for a file that is not a specification", () => {
+  assert.strictEqual(runLint("not xml at all").status, 2);
+  assert.strictEqual(runLint("").status, 2);
+  assert.strictEqual(runLint("<Specification/>").status, 2);
+});
+
+test("exits with 2 for an unknown object", () => {
+  const result = runLint(createSpecification("1 + 2"), ["--object", "Contact"]);
+  assert.strictEqual(result.status, 2);
+  assert.match(result.stderr, /Unknown object: Contact/);
+});
+
+test("exits with 2 for invalid arguments", () => {
+  assert.strictEqual(runLint(createSpecification("1"), ["--bogus"]).status, 2);
+});